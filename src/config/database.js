@@ -1,56 +1,73 @@
 /**
- * @fileoverview In-memory database configuration
+ * @fileoverview Database configuration and storage adapter selection
  * @module config/database
  * @requires ../utils/logger
+ * @requires ./storage/memoryAdapter
+ * @requires ./storage/fileAdapter
  */
 
 const logger = require('../utils/logger');
+const { MemoryAdapter } = require('./storage/memoryAdapter');
+const { FileAdapter } = require('./storage/fileAdapter');
 
-// In-memory storage
-const database = {
-  orders: new Map(),
-  drivers: new Map(),
-  customers: new Map(),
+/**
+ * Storage adapter factories by name
+ * @readonly
+ * @enum {Function}
+ */
+const adapters = {
+  memory: () => new MemoryAdapter(),
+  file: () => new FileAdapter({ directory: process.env.STORAGE_DIR || './data' }),
 };
 
+// Collections are served from memory until connectDatabase picks the configured adapter
+let storageAdapter = new MemoryAdapter();
+
 /**
- * Initialize the in-memory database
+ * Initialize the configured storage adapter
  * @async
  * @function connectDatabase
+ * @param {Object} [options={}] - Connection options
+ * @param {string} [options.adapter] - Adapter name (memory, file); defaults to STORAGE_ADAPTER
  * @returns {Promise<void>}
+ * @throws {Error} If the adapter is unknown or fails to connect
  */
-const connectDatabase = async () => {
+const connectDatabase = async (options = {}) => {
+  const adapterName = options.adapter || process.env.STORAGE_ADAPTER || 'memory';
+  
   try {
+    if (!adapters[adapterName]) {
+      throw new Error(`Unknown storage adapter: ${adapterName}`);
+    }
+    
+    const adapter = adapters[adapterName]();
+    await adapter.connect();
+    storageAdapter = adapter;
+    
     // Log successful initialization
-    logger.info('In-memory database initialized successfully');
+    logger.info(`Database initialized successfully with ${adapterName} storage adapter`);
     
     // Log database metrics
-    logger.info(`Database collections: ${Object.keys(database).length}`);
-    
-    return Promise.resolve();
+    logger.info(`Database collections: ${storageAdapter.collections.size}`);
   } catch (error) {
-    logger.error('In-memory database initialization failed:', error);
+    logger.error(`Database initialization failed (${adapterName} adapter):`, error);
     throw error;
   }
 };
 
 /**
- * Close database connection (no-op for in-memory)
+ * Close the storage adapter (the memory adapter drops its data)
  * @async
  * @function disconnectDatabase
  * @returns {Promise<void>}
  */
 const disconnectDatabase = async () => {
   try {
-    // Clear all data
-    Object.keys(database).forEach(collection => {
-      database[collection].clear();
-    });
+    await storageAdapter.disconnect();
     
-    logger.info('In-memory database cleared');
-    return Promise.resolve();
+    logger.info(`Database disconnected (${storageAdapter.name} adapter)`);
   } catch (error) {
-    logger.error('Error clearing in-memory database:', error);
+    logger.error('Error disconnecting database:', error);
     throw error;
   }
 };
@@ -59,18 +76,20 @@ const disconnectDatabase = async () => {
  * Get database collection
  * @function getCollection
  * @param {string} name - Collection name
- * @returns {Map} The collection Map
+ * @returns {MemoryCollection} The collection (async get/set/delete/values/clear)
  */
-const getCollection = (name) => {
-  if (!database[name]) {
-    database[name] = new Map();
-  }
-  return database[name];
-};
+const getCollection = (name) => storageAdapter.collection(name);
+
+/**
+ * Get the active storage adapter
+ * @function getStorageAdapter
+ * @returns {MemoryAdapter|FileAdapter} The active adapter
+ */
+const getStorageAdapter = () => storageAdapter;
 
 module.exports = {
   connectDatabase,
   disconnectDatabase,
   getCollection,
-  database,
-}; 
\ No newline at end of file
+  getStorageAdapter,
+};
@@ -0,0 +1,224 @@
+/**
+ * @fileoverview File-backed storage adapter using one JSON-lines log per collection
+ * @module config/storage/fileAdapter
+ * @requires fs
+ * @requires path
+ * @requires ./memoryAdapter
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { MemoryAdapter, MemoryCollection } = require('./memoryAdapter');
+
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+
+/**
+ * Properties the models store as Date objects. Other strings are left alone,
+ * even when they look like timestamps (e.g. a notification attempt's `sentAt`).
+ * @readonly
+ * @type {Set<string>}
+ */
+const TIMESTAMP_FIELDS = new Set([
+  'createdAt',
+  'updatedAt',
+  'assignedAt',
+  'respondedAt',
+  'timestamp',
+  'timeoutAt',
+  'pickedUpAt',
+  'inTransitAt',
+  'deliveredAt',
+  'completedAt',
+  'cancelledAt',
+  'requestedAt',
+  'resolvedAt',
+  'attemptedAt',
+  'nextAttemptAt',
+]);
+
+/**
+ * JSON reviver that turns the models' ISO timestamps back into Date objects,
+ * so models read from disk behave like the ones that were saved
+ * @function reviveDates
+ * @param {string} key - Property key
+ * @param {*} value - Parsed value
+ * @returns {*} Revived value
+ */
+const reviveDates = (key, value) => (
+  TIMESTAMP_FIELDS.has(key) && typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+);
+
+/**
+ * Collection that mirrors every write to an append-only log file
+ * @class FileCollection
+ * @extends MemoryCollection
+ */
+class FileCollection extends MemoryCollection {
+  /**
+   * Create a collection
+   * @param {string} name - Collection name
+   * @param {string} filePath - Path to the collection's log file
+   */
+  constructor(name, filePath) {
+    super(name);
+    this.filePath = filePath;
+    this.pendingWrite = Promise.resolve();
+  }
+
+  /**
+   * Replay the log file into memory
+   * @async
+   * @returns {Promise<void>}
+   */
+  async load() {
+    let content;
+
+    try {
+      content = await fs.promises.readFile(this.filePath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    content.split('\n').filter(Boolean).forEach(line => {
+      const entry = JSON.parse(line, reviveDates);
+
+      if (entry.op === 'delete') {
+        this.documents.delete(entry.id);
+      } else {
+        this.documents.set(entry.id, entry.doc);
+      }
+    });
+  }
+
+  /**
+   * Rewrite the log so it holds one entry per live document
+   * @async
+   * @returns {Promise<void>}
+   */
+  async compact() {
+    const lines = [...this.documents.entries()]
+      .map(([id, doc]) => JSON.stringify({ op: 'set', id, doc }))
+      .join('\n');
+
+    const tmpPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tmpPath, lines ? `${lines}\n` : '');
+    await fs.promises.rename(tmpPath, this.filePath);
+  }
+
+  /**
+   * Append an entry to the log, keeping writes in call order
+   * @param {Object} entry - Log entry
+   * @returns {Promise<void>} Resolves once the entry is on disk
+   */
+  append(entry) {
+    const line = `${JSON.stringify(entry)}\n`;
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(() => fs.promises.appendFile(this.filePath, line));
+    return this.pendingWrite;
+  }
+
+  /**
+   * Insert or replace a document and persist it
+   * @async
+   * @param {string} id - Document ID
+   * @param {Object} document - Document to store
+   * @returns {Promise<Object>} The stored document
+   */
+  async set(id, document) {
+    await super.set(id, document);
+    await this.append({ op: 'set', id, doc: document });
+    return document;
+  }
+
+  /**
+   * Delete a document and persist the deletion
+   * @async
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} Whether a document was deleted
+   */
+  async delete(id) {
+    const deleted = await super.delete(id);
+    if (deleted) {
+      await this.append({ op: 'delete', id });
+    }
+    return deleted;
+  }
+
+  /**
+   * Remove every document and truncate the log
+   * @async
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    await super.clear();
+    this.pendingWrite = this.pendingWrite
+      .catch(() => {})
+      .then(() => fs.promises.writeFile(this.filePath, ''));
+    return this.pendingWrite;
+  }
+}
+
+/**
+ * Storage adapter that keeps collections in memory and persists them
+ * as JSON-lines files so data survives restarts
+ * @class FileAdapter
+ * @extends MemoryAdapter
+ */
+class FileAdapter extends MemoryAdapter {
+  /**
+   * Create the adapter
+   * @param {Object} [options={}] - Adapter options
+   * @param {string} [options.directory='./data'] - Directory holding the collection files
+   */
+  constructor({ directory = './data' } = {}) {
+    super();
+    this.name = 'file';
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Create the data directory and load every existing collection file
+   * @async
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    await fs.promises.mkdir(this.directory, { recursive: true });
+
+    const files = await fs.promises.readdir(this.directory);
+    const collectionNames = files
+      .filter(file => file.endsWith('.jsonl'))
+      .map(file => path.basename(file, '.jsonl'));
+
+    for (const name of collectionNames) {
+      const collection = this.collection(name);
+      await collection.load();
+      await collection.compact();
+    }
+  }
+
+  /**
+   * Wait for outstanding writes; data stays on disk
+   * @async
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    await Promise.all([...this.collections.values()].map(collection => collection.pendingWrite.catch(() => {})));
+  }
+
+  /**
+   * Create the collection object for a name
+   * @param {string} name - Collection name
+   * @returns {FileCollection} New collection
+   */
+  createCollection(name) {
+    return new FileCollection(name, path.join(this.directory, `${name}.jsonl`));
+  }
+}
+
+module.exports = {
+  FileAdapter,
+  FileCollection,
+  reviveDates,
+};
@@ -0,0 +1,129 @@
+/**
+ * @fileoverview In-memory storage adapter
+ * @module config/storage/memoryAdapter
+ */
+
+/**
+ * A named collection of documents keyed by ID.
+ * Every storage adapter returns collections with this async interface.
+ * @class MemoryCollection
+ */
+class MemoryCollection {
+  /**
+   * Create a collection
+   * @param {string} name - Collection name
+   */
+  constructor(name) {
+    this.name = name;
+    this.documents = new Map();
+  }
+
+  /**
+   * Get a document by ID
+   * @async
+   * @param {string} id - Document ID
+   * @returns {Promise<Object|undefined>} The document, if present
+   */
+  async get(id) {
+    return this.documents.get(id);
+  }
+
+  /**
+   * Insert or replace a document
+   * @async
+   * @param {string} id - Document ID
+   * @param {Object} document - Document to store
+   * @returns {Promise<Object>} The stored document
+   */
+  async set(id, document) {
+    this.documents.set(id, document);
+    return document;
+  }
+
+  /**
+   * Delete a document by ID
+   * @async
+   * @param {string} id - Document ID
+   * @returns {Promise<boolean>} Whether a document was deleted
+   */
+  async delete(id) {
+    return this.documents.delete(id);
+  }
+
+  /**
+   * List every document in the collection
+   * @async
+   * @returns {Promise<Object[]>} Documents in insertion order
+   */
+  async values() {
+    return [...this.documents.values()];
+  }
+
+  /**
+   * Remove every document from the collection
+   * @async
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    this.documents.clear();
+  }
+}
+
+/**
+ * Storage adapter that keeps every collection in process memory.
+ * Data is lost when the process exits.
+ * @class MemoryAdapter
+ */
+class MemoryAdapter {
+  /**
+   * Create the adapter
+   */
+  constructor() {
+    this.name = 'memory';
+    this.collections = new Map();
+  }
+
+  /**
+   * Connect the adapter (no-op for memory)
+   * @async
+   * @returns {Promise<void>}
+   */
+  async connect() {
+    return Promise.resolve();
+  }
+
+  /**
+   * Disconnect the adapter, dropping all data
+   * @async
+   * @returns {Promise<void>}
+   */
+  async disconnect() {
+    await Promise.all([...this.collections.values()].map(collection => collection.clear()));
+  }
+
+  /**
+   * Create the collection object for a name
+   * @param {string} name - Collection name
+   * @returns {MemoryCollection} New collection
+   */
+  createCollection(name) {
+    return new MemoryCollection(name);
+  }
+
+  /**
+   * Get a collection, creating it on first use
+   * @param {string} name - Collection name
+   * @returns {MemoryCollection} The collection
+   */
+  collection(name) {
+    if (!this.collections.has(name)) {
+      this.collections.set(name, this.createCollection(name));
+    }
+    return this.collections.get(name);
+  }
+}
+
+module.exports = {
+  MemoryAdapter,
+  MemoryCollection,
+};
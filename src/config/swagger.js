@@ -0,0 +1,130 @@
+/**
+ * @fileoverview OpenAPI specification built from the route annotations and the Joi schemas
+ * @module config/swagger
+ * @requires swagger-jsdoc
+ * @requires joi-to-swagger
+ * @requires ../validation/orderSchemas
+ * @requires ../validation/chatSchemas
+ * @requires ../validation/driverSchemas
+ * @requires ../validation/webhookSchemas
+ * @requires ../validation/customerSchemas
+ * @requires ../validation/merchantSchemas
+ * @requires ../validation/modelSchemas
+ */
+
+const path = require('path');
+const swaggerJsDoc = require('swagger-jsdoc');
+const j2s = require('joi-to-swagger');
+const orderSchemas = require('../validation/orderSchemas');
+const chatSchemas = require('../validation/chatSchemas');
+const driverSchemas = require('../validation/driverSchemas');
+const webhookSchemas = require('../validation/webhookSchemas');
+const customerSchemas = require('../validation/customerSchemas');
+const merchantSchemas = require('../validation/merchantSchemas');
+const modelSchemas = require('../validation/modelSchemas');
+
+/**
+ * Joi schemas exposed as OpenAPI components.
+ * Only schemas tagged with a className become named components; nested
+ * named schemas (e.g. Coordinates inside OrderDetails) are picked up automatically.
+ * @constant {Object[]}
+ */
+const COMPONENT_SOURCES = [
+  orderSchemas.createOrderSchema,
+  orderSchemas.assignOrderSchema,
+  orderSchemas.driverResponseSchema,
+  orderSchemas.deliveryProgressSchema,
+  orderSchemas.cancelOrderSchema,
+  orderSchemas.retryAssignmentSchema,
+  chatSchemas.chatQuerySchema,
+  driverSchemas.createDriverSchema,
+  driverSchemas.updateDriverSchema,
+  webhookSchemas.createWebhookSchema,
+  webhookSchemas.updateWebhookSchema,
+  customerSchemas.notificationPreferencesSchema,
+  merchantSchemas.dispatchSettingsSchema,
+  ...Object.values(modelSchemas),
+];
+
+/**
+ * Reusable error responses referenced by the route annotations
+ * @constant {Object}
+ */
+const ERROR_RESPONSES = {
+  BadRequest: 'Bad request - Request validation failed',
+  Unauthorized: 'Missing, invalid or expired access token',
+  Forbidden: 'The caller\'s role or subject may not access this resource',
+  NotFound: 'Resource not found',
+  Conflict: 'Request conflicts with the current order status',
+  ServerError: 'Server error',
+};
+
+/**
+ * Convert the Joi schemas into OpenAPI component schemas
+ * @function buildComponentSchemas
+ * @returns {Object} Component schemas keyed by class name
+ */
+const buildComponentSchemas = () => {
+  const schemas = {};
+
+  COMPONENT_SOURCES.forEach(schema => {
+    const { components } = j2s(schema);
+    Object.assign(schemas, components.schemas);
+  });
+
+  return schemas;
+};
+
+/**
+ * Build the OpenAPI specification served at /api-docs
+ * @function buildSwaggerSpec
+ * @param {Object} [options={}] - Build options
+ * @param {number|string} [options.port=3000] - Port of the development server
+ * @returns {Object} OpenAPI document
+ */
+const buildSwaggerSpec = ({ port = 3000 } = {}) => {
+  const responses = {};
+
+  Object.entries(ERROR_RESPONSES).forEach(([name, description]) => {
+    responses[name] = {
+      description,
+      content: {
+        'application/json': {
+          schema: { $ref: '#/components/schemas/ApiError' },
+        },
+      },
+    };
+  });
+
+  return swaggerJsDoc({
+    definition: {
+      openapi: '3.0.0',
+      info: {
+        title: 'Order Reassignment Notification API',
+        version: '1.0.0',
+        description: 'API para gerenciamento de pedidos e notificações de reatribuição',
+      },
+      servers: [
+        {
+          url: `http://localhost:${port}`,
+          description: 'Development server',
+        },
+      ],
+      components: {
+        schemas: buildComponentSchemas(),
+        responses,
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+          apiKeyAuth: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        },
+      },
+      security: [{ bearerAuth: [] }, { apiKeyAuth: [] }],
+    },
+    apis: [path.join(__dirname, '../routes/*.js')],
+  });
+};
+
+module.exports = {
+  buildComponentSchemas,
+  buildSwaggerSpec,
+};
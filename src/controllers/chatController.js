@@ -2,14 +2,29 @@
  * @fileoverview Chat Controller
  * @module controllers/chatController
  * @requires ../services/customerNotificationService
+ * @requires ../models/Order
+ * @requires ../models/ChatExchange
  * @requires ../middleware/errorHandler
+ * @requires ../utils/pagination
  * @requires ../utils/logger
  */
 
 const customerNotificationService = require('../services/customerNotificationService');
-const { badRequest, notFound } = require('../middleware/errorHandler');
+const { Order } = require('../models/Order');
+const { ChatExchange, CHAT_HISTORY_SORT_FIELD } = require('../models/ChatExchange');
+const { notFound, forbidden } = require('../middleware/errorHandler');
+const { paginate } = require('../utils/pagination');
 const logger = require('../utils/logger');
 
+/**
+ * Check that the customer is the one who placed the order
+ * @function belongsToCustomer
+ * @param {Order} order - Order
+ * @param {string} customerId - Customer ID
+ * @returns {boolean} Whether the order belongs to the customer
+ */
+const belongsToCustomer = (order, customerId) => order.customerId.toString() === customerId.toString();
+
 /**
  * Handle customer chat query
  * @async
@@ -23,9 +38,11 @@ const handleChatQuery = async (req, res, next) => {
   try {
     const { orderId, customerId, message } = req.body;
     
-    // Validate required fields
-    if (!orderId || !customerId || !message) {
-      return next(badRequest('Missing required fields: orderId, customerId, and message are required'));
+    // The conversation is stored under the order's customer, so the two must match
+    const order = await Order.findById(orderId);
+    
+    if (order && !belongsToCustomer(order, customerId)) {
+      return next(forbidden(`Order ${orderId} does not belong to customer ${customerId}`));
     }
     
     // Log incoming chat query
@@ -55,42 +72,43 @@ const handleChatQuery = async (req, res, next) => {
 };
 
 /**
- * Get chat history for an order
+ * Get the stored chat history of an order, one page at a time
  * @async
  * @function getChatHistory
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  * @param {Function} next - Express next function
- * @returns {Promise<Object>} Response with chat history
+ * @returns {Promise<Object>} Response with a page of chat exchanges
  */
 const getChatHistory = async (req, res, next) => {
   try {
     const { orderId } = req.params;
-    const { customerId } = req.query;
+    const { customerId, sortOrder, limit, cursor } = req.query;
+    
+    const order = await Order.findById(orderId);
     
-    if (!orderId) {
-      return next(badRequest('Order ID is required'));
+    if (!order) {
+      return next(notFound(`Order not found: ${orderId}`));
     }
     
-    // In a real system, you would fetch the chat history from your database
-    // For this example, we'll return a mock response
+    if (customerId && !belongsToCustomer(order, customerId)) {
+      return next(forbidden(`Order ${orderId} does not belong to customer ${customerId}`));
+    }
+    
+    const exchanges = await ChatExchange.find({ orderId, customerId: order.customerId });
+    const page = paginate(exchanges, { sortBy: CHAT_HISTORY_SORT_FIELD, sortOrder, limit, cursor });
     
     return res.status(200).json({
       success: true,
       orderId,
-      customerId: customerId || 'unknown',
-      history: [
-        {
-          sender: 'customer',
-          message: 'Where is my order?',
-          timestamp: new Date(Date.now() - 3600000).toISOString(),
-        },
-        {
-          sender: 'bot',
-          message: 'Your order is currently being reassigned to a new driver. This happens when a driver doesn\'t respond within 15 seconds. We\'ve made 2 reassignments so far and are working to get your order delivered as soon as possible.',
-          timestamp: new Date(Date.now() - 3590000).toISOString(),
-        },
-      ],
+      customerId: order.customerId,
+      count: page.items.length,
+      history: page.items,
+      pagination: {
+        limit,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore,
+      },
     });
   } catch (error) {
     logger.error('Error fetching chat history:', error);
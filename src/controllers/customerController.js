@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Customer Controller
+ * @module controllers/customerController
+ * @requires ../models/Customer
+ * @requires ../middleware/errorHandler
+ * @requires ../utils/logger
+ */
+
+const { Customer } = require('../models/Customer');
+const { notFound } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Get a customer's contact details and notification preferences
+ * @async
+ * @function getCustomerById
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with the customer
+ */
+const getCustomerById = async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+
+    const customer = await Customer.findById(customerId);
+
+    if (!customer) {
+      return next(notFound(`Customer not found: ${customerId}`));
+    }
+
+    return res.status(200).json({
+      success: true,
+      customer,
+    });
+  } catch (error) {
+    logger.error(`Error fetching customer ${req.params.customerId}:`, error);
+    return next(error);
+  }
+};
+
+/**
+ * Set a customer's notification channels and contact details,
+ * creating the customer profile on first use
+ * @async
+ * @function updateNotificationPreferences
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with the updated customer
+ */
+const updateNotificationPreferences = async (req, res, next) => {
+  try {
+    const { customerId } = req.params;
+    const { channels, phone, email, pushToken } = req.body;
+
+    const customer = await Customer.findById(customerId) || new Customer({ _id: customerId });
+
+    if (channels !== undefined) customer.notificationPreferences.channels = channels;
+    if (phone !== undefined) customer.phone = phone;
+    if (email !== undefined) customer.email = email;
+    if (pushToken !== undefined) customer.pushToken = pushToken;
+
+    await customer.save();
+
+    logger.info(`Notification preferences updated for customer ${customerId}`, {
+      channels: customer.notificationPreferences.channels,
+    });
+
+    return res.status(200).json({
+      success: true,
+      customer,
+    });
+  } catch (error) {
+    logger.error(`Error updating notification preferences for customer ${req.params.customerId}:`, error);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getCustomerById,
+  updateNotificationPreferences,
+};
@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Driver Controller
+ * @module controllers/driverController
+ * @requires ../models/Driver
+ * @requires ../middleware/errorHandler
+ * @requires ../utils/logger
+ */
+
+const { Driver } = require('../models/Driver');
+const { notFound } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Register a new driver
+ * @async
+ * @function createDriver
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with created driver
+ */
+const createDriver = async (req, res, next) => {
+  try {
+    const { name, phone, vehicleType, availability, lastKnownLocation } = req.body;
+
+    const driver = new Driver({
+      name,
+      phone,
+      vehicleType,
+      availability,
+      lastKnownLocation: lastKnownLocation
+        ? { ...lastKnownLocation, updatedAt: new Date() }
+        : null,
+    });
+
+    await driver.save();
+
+    logger.info(`New driver registered: ${driver._id}`, {
+      vehicleType: driver.vehicleType,
+      availability: driver.availability,
+    });
+
+    return res.status(201).json({
+      success: true,
+      driver,
+    });
+  } catch (error) {
+    logger.error('Error creating driver:', error);
+    return next(error);
+  }
+};
+
+/**
+ * List registered drivers
+ * @async
+ * @function listDrivers
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with drivers
+ */
+const listDrivers = async (req, res, next) => {
+  try {
+    const { availability, vehicleType } = req.query;
+    const query = {};
+
+    if (availability) {
+      query.availability = availability;
+    }
+
+    if (vehicleType) {
+      query.vehicleType = vehicleType;
+    }
+
+    const drivers = await Driver.find(query);
+
+    return res.status(200).json({
+      success: true,
+      count: drivers.length,
+      drivers,
+    });
+  } catch (error) {
+    logger.error('Error listing drivers:', error);
+    return next(error);
+  }
+};
+
+/**
+ * Get driver by ID
+ * @async
+ * @function getDriverById
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with driver details
+ */
+const getDriverById = async (req, res, next) => {
+  try {
+    const { driverId } = req.params;
+
+    const driver = await Driver.findById(driverId);
+
+    if (!driver) {
+      return next(notFound(`Driver not found: ${driverId}`));
+    }
+
+    return res.status(200).json({
+      success: true,
+      driver,
+    });
+  } catch (error) {
+    logger.error(`Error fetching driver ${req.params.driverId}:`, error);
+    return next(error);
+  }
+};
+
+/**
+ * Update a driver's profile, availability or location
+ * @async
+ * @function updateDriver
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with updated driver
+ */
+const updateDriver = async (req, res, next) => {
+  try {
+    const { driverId } = req.params;
+    const { name, phone, vehicleType, availability, lastKnownLocation } = req.body;
+
+    const driver = await Driver.findById(driverId);
+
+    if (!driver) {
+      return next(notFound(`Driver not found: ${driverId}`));
+    }
+
+    if (name !== undefined) driver.name = name;
+    if (phone !== undefined) driver.phone = phone;
+    if (vehicleType !== undefined) driver.vehicleType = vehicleType;
+    if (availability !== undefined) driver.availability = availability;
+
+    if (lastKnownLocation !== undefined) {
+      await driver.updateLocation(lastKnownLocation);
+    } else {
+      await driver.save();
+    }
+
+    logger.info(`Driver ${driverId} updated`, {
+      availability: driver.availability,
+    });
+
+    return res.status(200).json({
+      success: true,
+      driver,
+    });
+  } catch (error) {
+    logger.error(`Error updating driver ${req.params.driverId}:`, error);
+    return next(error);
+  }
+};
+
+/**
+ * Remove a driver from the registry
+ * @async
+ * @function deleteDriver
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response confirming deletion
+ */
+const deleteDriver = async (req, res, next) => {
+  try {
+    const { driverId } = req.params;
+
+    const deleted = await Driver.deleteById(driverId);
+
+    if (!deleted) {
+      return next(notFound(`Driver not found: ${driverId}`));
+    }
+
+    logger.info(`Driver ${driverId} removed`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Driver ${driverId} removed`,
+    });
+  } catch (error) {
+    logger.error(`Error deleting driver ${req.params.driverId}:`, error);
+    return next(error);
+  }
+};
+
+module.exports = {
+  createDriver,
+  listDrivers,
+  getDriverById,
+  updateDriver,
+  deleteDriver,
+};
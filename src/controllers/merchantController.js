@@ -0,0 +1,70 @@
+/**
+ * @fileoverview Merchant Controller
+ * @module controllers/merchantController
+ * @requires ../models/Merchant
+ * @requires ../utils/logger
+ */
+
+const { Merchant } = require('../models/Merchant');
+const logger = require('../utils/logger');
+
+/**
+ * Get a merchant's dispatch settings; merchants without a record get the defaults
+ * @async
+ * @function getMerchantById
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with the merchant
+ */
+const getMerchantById = async (req, res, next) => {
+  try {
+    const { merchantId } = req.params;
+
+    const merchant = await Merchant.findById(merchantId) || new Merchant({ _id: merchantId });
+
+    return res.status(200).json({
+      success: true,
+      merchant,
+    });
+  } catch (error) {
+    logger.error(`Error fetching merchant ${req.params.merchantId}:`, error);
+    return next(error);
+  }
+};
+
+/**
+ * Turn auto-dispatch on or off for a merchant's new orders,
+ * creating the merchant record on first use
+ * @async
+ * @function updateDispatchSettings
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with the updated merchant
+ */
+const updateDispatchSettings = async (req, res, next) => {
+  try {
+    const { merchantId } = req.params;
+    const { autoDispatch } = req.body;
+
+    const merchant = await Merchant.findById(merchantId) || new Merchant({ _id: merchantId });
+    merchant.autoDispatch = autoDispatch;
+    await merchant.save();
+
+    logger.info(`Auto-dispatch ${autoDispatch ? 'enabled' : 'disabled'} for merchant ${merchantId}`);
+
+    return res.status(200).json({
+      success: true,
+      merchant,
+    });
+  } catch (error) {
+    logger.error(`Error updating dispatch settings for merchant ${req.params.merchantId}:`, error);
+    return next(error);
+  }
+};
+
+module.exports = {
+  getMerchantById,
+  updateDispatchSettings,
+};
@@ -2,16 +2,20 @@
  * @fileoverview Order Controller
  * @module controllers/orderController
  * @requires ../models/Order
+ * @requires ../models/Notification
  * @requires ../services/orderAssignmentService
- * @requires ../services/customerNotificationService
  * @requires ../middleware/errorHandler
+ * @requires ../utils/pagination
+ * @requires ../utils/authToken
  * @requires ../utils/logger
  */
 
-const { Order, OrderStatus } = require('../models/Order');
+const { Order, OrderStatus, TransitionActor, ORDER_SORT_FIELDS } = require('../models/Order');
+const { Notification } = require('../models/Notification');
 const orderAssignmentService = require('../services/orderAssignmentService');
-const customerNotificationService = require('../services/customerNotificationService');
-const { badRequest, notFound } = require('../middleware/errorHandler');
+const { notFound } = require('../middleware/errorHandler');
+const { paginate } = require('../utils/pagination');
+const { Role } = require('../utils/authToken');
 const logger = require('../utils/logger');
 
 /**
@@ -25,23 +29,25 @@ const logger = require('../utils/logger');
  */
 const createOrder = async (req, res, next) => {
   try {
-    const { customerId, orderDetails } = req.body;
-    
-    if (!customerId || !orderDetails) {
-      return next(badRequest('Missing required fields: customerId and orderDetails'));
-    }
+    const { customerId, merchantId, orderDetails, rankingStrategy } = req.body;
     
     const newOrder = new Order({
       customerId,
+      merchantId,
       orderDetails,
+      rankingStrategy,
       status: OrderStatus.PENDING,
     });
     
     await newOrder.save();
     
+    const autoDispatch = await orderAssignmentService.scheduleAutoDispatch(newOrder);
+    
     logger.info(`New order created: ${newOrder._id}`, {
       customerId,
+      merchantId,
       totalAmount: orderDetails.totalAmount,
+      autoDispatch,
     });
     
     return res.status(201).json({
@@ -54,6 +60,78 @@ const createOrder = async (req, res, next) => {
   }
 };
 
+/**
+ * Build an Order.find query from validated listing filters
+ * @function buildOrderListQuery
+ * @param {Object} filters - Validated query parameters (see listOrdersQuerySchema)
+ * @returns {Object} Order query
+ */
+const buildOrderListQuery = ({ status, customerId, currentDriverId, createdFrom, createdTo, minReassignmentCount }) => {
+  const query = {};
+  
+  if (status) {
+    query.status = { $in: status };
+  }
+  
+  if (customerId) {
+    query.customerId = customerId;
+  }
+  
+  if (currentDriverId) {
+    query.currentDriverId = currentDriverId;
+  }
+  
+  if (createdFrom || createdTo) {
+    query.createdAt = {};
+    if (createdFrom) query.createdAt.$gte = createdFrom;
+    if (createdTo) query.createdAt.$lte = createdTo;
+  }
+  
+  if (minReassignmentCount !== undefined) {
+    query.reassignmentCount = { $gte: minReassignmentCount };
+  }
+  
+  return query;
+};
+
+/**
+ * List orders with filters, sorting and cursor pagination
+ * @async
+ * @function listOrders
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with a page of orders
+ */
+const listOrders = async (req, res, next) => {
+  try {
+    const { sortBy, sortOrder, limit, cursor } = req.query;
+    
+    const orders = await Order.find(buildOrderListQuery(req.query));
+    const page = paginate(orders, {
+      sortBy,
+      sortOrder,
+      limit,
+      cursor,
+      getSortValue: ORDER_SORT_FIELDS[sortBy],
+    });
+    
+    return res.status(200).json({
+      success: true,
+      count: page.items.length,
+      orders: page.items,
+      pagination: {
+        limit,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore,
+      },
+    });
+  } catch (error) {
+    logger.error('Error listing orders:', error);
+    return next(error);
+  }
+};
+
 /**
  * Get order by ID
  * @async
@@ -97,10 +175,6 @@ const assignOrderToDriver = async (req, res, next) => {
     const { orderId } = req.params;
     const { driverId } = req.body;
     
-    if (!driverId) {
-      return next(badRequest('Driver ID is required'));
-    }
-    
     const updatedOrder = await orderAssignmentService.assignOrderToDriver(orderId, driverId);
     
     return res.status(200).json({
@@ -128,28 +202,12 @@ const handleDriverResponse = async (req, res, next) => {
     const { orderId } = req.params;
     const { driverId, accepted } = req.body;
     
-    if (driverId === undefined || accepted === undefined) {
-      return next(badRequest('Driver ID and response (accepted) are required'));
-    }
-    
     const updatedOrder = await orderAssignmentService.handleDriverResponse(
       orderId,
       driverId,
       accepted
     );
     
-    // If order was reassigned, notify customer
-    if (!accepted && updatedOrder.reassignmentCount > 0) {
-      // Send notification asynchronously
-      customerNotificationService.notifyCustomerAboutReassignment(
-        orderId,
-        updatedOrder.customerId,
-        updatedOrder.reassignmentCount
-      ).catch(error => {
-        logger.error(`Failed to send reassignment notification for order ${orderId}:`, error);
-      });
-    }
-    
     return res.status(200).json({
       success: true,
       message: `Driver ${driverId} ${accepted ? 'accepted' : 'rejected'} order ${orderId}`,
@@ -186,10 +244,183 @@ const getOrderStatus = async (req, res, next) => {
   }
 };
 
+/**
+ * Record a delivery progress status reported by the assigned driver
+ * @async
+ * @function recordDeliveryProgress
+ * @param {string} status - Delivery progress status
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with updated order
+ */
+const recordDeliveryProgress = async (status, req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { driverId } = req.body;
+    
+    const updatedOrder = await orderAssignmentService.updateDeliveryProgress(orderId, driverId, status);
+    
+    return res.status(200).json({
+      success: true,
+      message: `Order ${orderId} marked ${status}`,
+      order: updatedOrder,
+    });
+  } catch (error) {
+    logger.error(`Error recording ${status} for order ${req.params.orderId}:`, error);
+    return next(error);
+  }
+};
+
+/**
+ * Mark an order as picked up by the driver
+ * @async
+ * @function markPickedUp
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with updated order
+ */
+const markPickedUp = (req, res, next) => recordDeliveryProgress(OrderStatus.PICKED_UP, req, res, next);
+
+/**
+ * Mark an order as on its way to the customer
+ * @async
+ * @function markInTransit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with updated order
+ */
+const markInTransit = (req, res, next) => recordDeliveryProgress(OrderStatus.IN_TRANSIT, req, res, next);
+
+/**
+ * Mark an order as delivered
+ * @async
+ * @function markDelivered
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with updated order
+ */
+const markDelivered = (req, res, next) => recordDeliveryProgress(OrderStatus.DELIVERED, req, res, next);
+
+/**
+ * Who a status change requested through the API is recorded against: the caller's role
+ * (customers act for themselves, everyone else as ops) and their token subject
+ * @function getRequestActor
+ * @param {Object} auth - Verified token claims (req.auth)
+ * @returns {{actor: string, actorId: string}} Transition actor and ID
+ */
+const getRequestActor = auth => ({
+  actor: auth.role === Role.CUSTOMER ? TransitionActor.CUSTOMER : TransitionActor.OPS,
+  actorId: auth.sub,
+});
+
+/**
+ * Cancel an order
+ * @async
+ * @function cancelOrder
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with cancelled order
+ */
+const cancelOrder = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+    
+    const cancelledOrder = await orderAssignmentService.cancelOrder(orderId, { reason, ...getRequestActor(req.auth) });
+    
+    return res.status(200).json({
+      success: true,
+      message: `Order ${orderId} cancelled`,
+      order: cancelledOrder,
+    });
+  } catch (error) {
+    logger.error(`Error cancelling order ${req.params.orderId}:`, error);
+    return next(error);
+  }
+};
+
+/**
+ * Restart the assignment of a timed-out order with a new round of drivers
+ * @async
+ * @function retryAssignment
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with the restarted order
+ */
+const retryAssignment = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    const { reason } = req.body;
+    
+    const order = await orderAssignmentService.retryAssignment(orderId, { reason, ...getRequestActor(req.auth) });
+    
+    // With no driver available the new round ends straight away
+    const message = order.status === OrderStatus.TIMEOUT
+      ? `No drivers available for order ${orderId}; it timed out again`
+      : `Order ${orderId} offered to driver ${order.currentDriverId} in assignment round ${order.assignmentRound}`;
+    
+    return res.status(200).json({
+      success: true,
+      message,
+      order,
+    });
+  } catch (error) {
+    logger.error(`Error restarting assignment for order ${req.params.orderId}:`, error);
+    return next(error);
+  }
+};
+
+/**
+ * List the notifications sent (or attempted) to the customer of an order, oldest first
+ * @async
+ * @function getOrderNotifications
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with notifications
+ */
+const getOrderNotifications = async (req, res, next) => {
+  try {
+    const { orderId } = req.params;
+    
+    const order = await Order.findById(orderId);
+    
+    if (!order) {
+      return next(notFound(`Order not found: ${orderId}`));
+    }
+    
+    const notifications = (await Notification.find({ orderId }))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    
+    return res.status(200).json({
+      success: true,
+      orderId,
+      count: notifications.length,
+      notifications,
+    });
+  } catch (error) {
+    logger.error(`Error listing notifications for order ${req.params.orderId}:`, error);
+    return next(error);
+  }
+};
+
 module.exports = {
   createOrder,
+  listOrders,
   getOrderById,
   assignOrderToDriver,
   handleDriverResponse,
   getOrderStatus,
+  markPickedUp,
+  markInTransit,
+  markDelivered,
+  cancelOrder,
+  retryAssignment,
+  getOrderNotifications,
 }; 
\ No newline at end of file
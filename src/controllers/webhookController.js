@@ -0,0 +1,213 @@
+/**
+ * @fileoverview Webhook Controller
+ * @module controllers/webhookController
+ * @requires ../models/WebhookSubscription
+ * @requires ../models/WebhookDelivery
+ * @requires ../middleware/errorHandler
+ * @requires ../utils/logger
+ */
+
+const { WebhookSubscription } = require('../models/WebhookSubscription');
+const { WebhookDelivery } = require('../models/WebhookDelivery');
+const { notFound } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Register a webhook subscription
+ * @async
+ * @function createWebhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with created subscription, including its secret
+ */
+const createWebhook = async (req, res, next) => {
+  try {
+    const { merchantId, url, events, secret, description, active } = req.body;
+
+    const subscription = new WebhookSubscription({ merchantId, url, events, secret, description, active });
+    await subscription.save();
+
+    logger.info(`Webhook subscription created: ${subscription._id}`, { merchantId, url, events });
+
+    return res.status(201).json({
+      success: true,
+      webhook: subscription.toResponse({ includeSecret: true }),
+    });
+  } catch (error) {
+    logger.error('Error creating webhook subscription:', error);
+    return next(error);
+  }
+};
+
+/**
+ * List webhook subscriptions
+ * @async
+ * @function listWebhooks
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with subscriptions
+ */
+const listWebhooks = async (req, res, next) => {
+  try {
+    const subscriptions = await WebhookSubscription.find();
+
+    return res.status(200).json({
+      success: true,
+      count: subscriptions.length,
+      webhooks: subscriptions.map(subscription => subscription.toResponse()),
+    });
+  } catch (error) {
+    logger.error('Error listing webhook subscriptions:', error);
+    return next(error);
+  }
+};
+
+/**
+ * Get a webhook subscription by ID
+ * @async
+ * @function getWebhookById
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with the subscription
+ */
+const getWebhookById = async (req, res, next) => {
+  try {
+    const { webhookId } = req.params;
+
+    const subscription = await WebhookSubscription.findById(webhookId);
+
+    if (!subscription) {
+      return next(notFound(`Webhook not found: ${webhookId}`));
+    }
+
+    return res.status(200).json({
+      success: true,
+      webhook: subscription.toResponse(),
+    });
+  } catch (error) {
+    logger.error(`Error fetching webhook ${req.params.webhookId}:`, error);
+    return next(error);
+  }
+};
+
+/**
+ * Update a webhook subscription's target, events, secret or state
+ * @async
+ * @function updateWebhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with the updated subscription
+ */
+const updateWebhook = async (req, res, next) => {
+  try {
+    const { webhookId } = req.params;
+    const { url, events, secret, description, active } = req.body;
+
+    const subscription = await WebhookSubscription.findById(webhookId);
+
+    if (!subscription) {
+      return next(notFound(`Webhook not found: ${webhookId}`));
+    }
+
+    if (url !== undefined) subscription.url = url;
+    if (events !== undefined) subscription.events = events;
+    if (secret !== undefined) subscription.secret = secret;
+    if (description !== undefined) subscription.description = description;
+    if (active !== undefined) subscription.active = active;
+
+    await subscription.save();
+
+    logger.info(`Webhook subscription ${webhookId} updated`, { active: subscription.active });
+
+    return res.status(200).json({
+      success: true,
+      webhook: subscription.toResponse(),
+    });
+  } catch (error) {
+    logger.error(`Error updating webhook ${req.params.webhookId}:`, error);
+    return next(error);
+  }
+};
+
+/**
+ * Remove a webhook subscription; pending retries are dropped
+ * @async
+ * @function deleteWebhook
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response confirming deletion
+ */
+const deleteWebhook = async (req, res, next) => {
+  try {
+    const { webhookId } = req.params;
+
+    const deleted = await WebhookSubscription.deleteById(webhookId);
+
+    if (!deleted) {
+      return next(notFound(`Webhook not found: ${webhookId}`));
+    }
+
+    logger.info(`Webhook subscription ${webhookId} removed`);
+
+    return res.status(200).json({
+      success: true,
+      message: `Webhook ${webhookId} removed`,
+    });
+  } catch (error) {
+    logger.error(`Error deleting webhook ${req.params.webhookId}:`, error);
+    return next(error);
+  }
+};
+
+/**
+ * List the delivery log of a webhook subscription, newest first
+ * @async
+ * @function listWebhookDeliveries
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ * @returns {Promise<Object>} Response with deliveries
+ */
+const listWebhookDeliveries = async (req, res, next) => {
+  try {
+    const { webhookId } = req.params;
+    const { status, event, limit } = req.query;
+
+    const subscription = await WebhookSubscription.findById(webhookId);
+
+    if (!subscription) {
+      return next(notFound(`Webhook not found: ${webhookId}`));
+    }
+
+    const query = { subscriptionId: webhookId };
+    if (status) query.status = status;
+    if (event) query.event = event;
+
+    const deliveries = (await WebhookDelivery.find(query))
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+
+    return res.status(200).json({
+      success: true,
+      count: deliveries.length,
+      deliveries,
+    });
+  } catch (error) {
+    logger.error(`Error listing deliveries for webhook ${req.params.webhookId}:`, error);
+    return next(error);
+  }
+};
+
+module.exports = {
+  createWebhook,
+  listWebhooks,
+  getWebhookById,
+  updateWebhook,
+  deleteWebhook,
+  listWebhookDeliveries,
+};
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview In-process bus for order lifecycle events
+ * @module events/orderEvents
+ * @requires events
+ * @requires ../utils/logger
+ */
+
+const { EventEmitter } = require('events');
+const logger = require('../utils/logger');
+
+/**
+ * Order lifecycle events
+ * @readonly
+ * @enum {string}
+ */
+const OrderEvent = {
+  ASSIGNED: 'assigned',
+  REASSIGNED: 'reassigned',
+  TIMED_OUT: 'timed_out',
+  ACCEPTED: 'accepted',
+  CANCELLED: 'cancelled',
+  DELIVERED: 'delivered',
+  HUMAN_AGENT_REQUESTED: 'human_agent_requested',
+};
+
+/**
+ * Payload delivered to subscribers
+ * @typedef {Object} OrderEventPayload
+ * @property {string} event - Event name (see OrderEvent)
+ * @property {string} orderId - Order ID
+ * @property {string} customerId - Customer who placed the order
+ * @property {string} occurredAt - ISO timestamp of the event
+ */
+
+/**
+ * @class OrderEventBus
+ * @extends EventEmitter
+ * @description Publishes order lifecycle events to in-process subscribers.
+ * Subscriber failures are logged and never reach the publisher.
+ */
+class OrderEventBus extends EventEmitter {
+  /**
+   * Publish an event
+   * @function publish
+   * @param {string} event - Event name (see OrderEvent)
+   * @param {Object} data - Event data; must include orderId and customerId
+   * @returns {OrderEventPayload} The published payload
+   */
+  publish(event, data) {
+    if (!Object.values(OrderEvent).includes(event)) {
+      throw new Error(`Unknown order event: ${event}`);
+    }
+
+    const payload = { event, ...data, occurredAt: new Date().toISOString() };
+
+    logger.debug(`Order event ${event} for order ${payload.orderId}`, { payload });
+    this.emit(event, payload);
+
+    return payload;
+  }
+
+  /**
+   * Subscribe to an event. Async handlers run without blocking the publisher.
+   * @function subscribe
+   * @param {string} event - Event name (see OrderEvent)
+   * @param {function(OrderEventPayload): (void|Promise<void>)} handler - Event handler
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe(event, handler) {
+    const listener = (payload) => {
+      Promise.resolve()
+        .then(() => handler(payload))
+        .catch(error => {
+          logger.error(`Order event handler for ${event} failed on order ${payload.orderId}:`, error);
+        });
+    };
+
+    this.on(event, listener);
+    return () => this.off(event, listener);
+  }
+}
+
+const orderEvents = new OrderEventBus();
+
+module.exports = {
+  OrderEvent,
+  orderEvents,
+};
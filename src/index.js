@@ -4,18 +4,31 @@
  * @requires express
  * @requires dotenv
  * @requires ./config/database
+ * @requires ./config/swagger
  * @requires ./routes
  * @requires ./middleware/errorHandler
+ * @requires ./services/customerNotificationService
+ * @requires ./services/webhookService
+ * @requires ./middleware/requestId
+ * @requires ./middleware/httpMetrics
+ * @requires ./services/metricsService
  */
 
 const express = require('express');
 const dotenv = require('dotenv');
-const swaggerJsDoc = require('swagger-jsdoc');
 const swaggerUi = require('swagger-ui-express');
-const { connectDatabase } = require('./config/database');
+const { connectDatabase, getStorageAdapter } = require('./config/database');
+const { buildSwaggerSpec } = require('./config/swagger');
 const logger = require('./utils/logger');
 const { errorHandler } = require('./middleware/errorHandler');
+const { requestId } = require('./middleware/requestId');
+const { httpMetrics } = require('./middleware/httpMetrics');
+const metricsService = require('./services/metricsService');
 const routes = require('./routes');
+const orderAssignmentService = require('./services/orderAssignmentService');
+// Subscribe to order events: customer notifications and outbound webhooks
+require('./services/customerNotificationService');
+const webhookService = require('./services/webhookService');
 
 // Load environment variables
 dotenv.config();
@@ -25,29 +38,13 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 
 // Middleware
+app.use(requestId);
+app.use(httpMetrics);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
-// Swagger configuration
-const swaggerOptions = {
-  definition: {
-    openapi: '3.0.0',
-    info: {
-      title: 'Order Reassignment Notification API',
-      version: '1.0.0',
-      description: 'API para gerenciamento de pedidos e notificações de reatribuição',
-    },
-    servers: [
-      {
-        url: `http://localhost:${PORT}`,
-        description: 'Development server',
-      },
-    ],
-  },
-  apis: ['./src/routes/*.js'],
-};
-
-const swaggerDocs = swaggerJsDoc(swaggerOptions);
+// Swagger documentation, with component schemas generated from the Joi validation schemas
+const swaggerDocs = buildSwaggerSpec({ port: PORT });
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
 // Add health check endpoint
@@ -56,10 +53,16 @@ app.get('/api/health', (req, res) => {
     status: 'UP',
     message: 'Server is running',
     timestamp: new Date().toISOString(),
-    database: 'In-memory database'
+    database: `${getStorageAdapter().name} storage adapter`
   });
 });
 
+// Prometheus scrape endpoint
+app.get('/metrics', (req, res) => {
+  res.set('Content-Type', metricsService.contentType);
+  res.send(metricsService.render());
+});
+
 // Routes
 app.use('/api', routes);
 
@@ -69,9 +72,16 @@ app.use(errorHandler);
 // Start server
 const startServer = async () => {
   try {
-    // Initialize in-memory database
+    // Initialize the configured storage adapter
     await connectDatabase();
     
+    // Resume driver assignments that were pending when the process stopped
+    await orderAssignmentService.recoverAssignmentTimers();
+    await orderAssignmentService.recoverAutoDispatch();
+    
+    // Resume webhook retries that were waiting when the process stopped
+    await webhookService.recoverPendingDeliveries();
+    
     app.listen(PORT, () => {
       logger.info(`Server running on port ${PORT}`);
       logger.info(`API health check available at http://localhost:${PORT}/api/health`);
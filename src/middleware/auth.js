@@ -0,0 +1,169 @@
+/**
+ * @fileoverview Authentication and authorization middleware
+ * @module middleware/auth
+ * @requires ../utils/authToken
+ * @requires ../models/Order
+ * @requires ./errorHandler
+ * @requires ../utils/logger
+ */
+
+const { Role, TokenError, verifyToken } = require('../utils/authToken');
+const { Order } = require('../models/Order');
+const { unauthorized, forbidden, serverError } = require('./errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Read the token from `Authorization: Bearer <token>` or the `X-API-Key` header
+ * @function extractToken
+ * @param {Object} req - Express request object
+ * @returns {string|null} The token
+ */
+const extractToken = (req) => {
+  const authorization = req.get('authorization');
+
+  if (authorization) {
+    const [scheme, token] = authorization.split(' ');
+    return scheme && scheme.toLowerCase() === 'bearer' ? token || null : null;
+  }
+
+  return req.get('x-api-key') || null;
+};
+
+/**
+ * Verify the caller's token and expose its claims as `req.auth`
+ * @function authenticate
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const authenticate = (req, res, next) => {
+  const token = extractToken(req);
+
+  if (!token) {
+    return next(unauthorized('Authentication required'));
+  }
+
+  try {
+    const { role, sub } = verifyToken(token);
+    req.auth = { role, sub };
+    return next();
+  } catch (error) {
+    if (error instanceof TokenError) {
+      return next(unauthorized(error.message));
+    }
+
+    logger.error('Unable to verify access token:', error);
+    return next(serverError('Authentication is not configured', {}, false));
+  }
+};
+
+/**
+ * Build a middleware that only lets the given roles through
+ * @function authorize
+ * @param {...string} roles - Allowed roles
+ * @returns {Function} Express middleware
+ * @example
+ * router.post('/:orderId/assign', authorize(Role.OPS), orderController.assignOrderToDriver);
+ */
+const authorize = (...roles) => (req, res, next) => {
+  if (!req.auth) {
+    return next(unauthorized('Authentication required'));
+  }
+
+  if (!roles.includes(req.auth.role)) {
+    return next(forbidden(`Role ${req.auth.role} cannot perform this action`));
+  }
+
+  return next();
+};
+
+/**
+ * Build a middleware that pins a request field to the caller's subject ID.
+ * For roles listed in `fieldsByRole`, a field that names someone else is rejected
+ * and a missing field is filled in with the caller's ID; other roles pass through.
+ * Run it after `validate` so it sees the validated values.
+ * @function restrictToSubject
+ * @param {string} location - Request part holding the field (params, query or body)
+ * @param {Object<string, string>} fieldsByRole - Field that must match the subject, keyed by role
+ * @returns {Function} Express middleware
+ * @example
+ * router.post('/:orderId/driver-response', restrictToSubject('body', { driver: 'driverId' }), ...);
+ */
+const restrictToSubject = (location, fieldsByRole) => (req, res, next) => {
+  const field = fieldsByRole[req.auth.role];
+
+  if (!field) {
+    return next();
+  }
+
+  const values = req[location];
+  const value = values[field];
+
+  if (value !== undefined && value !== null && String(value) !== req.auth.sub) {
+    return next(forbidden(`A ${req.auth.role} can only act on their own ${field}`, {
+      field,
+      location,
+    }));
+  }
+
+  values[field] = req.auth.sub;
+  return next();
+};
+
+/**
+ * Check whether a caller may access an order
+ * @function canAccessOrder
+ * @param {Object} auth - Caller claims
+ * @param {Order} order - The order
+ * @returns {boolean} Whether the caller may access the order
+ */
+const canAccessOrder = (auth, order) => {
+  switch (auth.role) {
+    case Role.OPS:
+      return true;
+    case Role.CUSTOMER:
+      return order.customerId === auth.sub;
+    case Role.DRIVER:
+      return order.driverAssignments.some(a => a.driverId === auth.sub);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Reject callers who do not own the order named by `req.params.orderId` (or `req.body.orderId`).
+ * Customers must have placed the order and drivers must have been offered it.
+ * Unknown orders are left to the controller so they still answer 404.
+ * @async
+ * @function requireOrderAccess
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requireOrderAccess = async (req, res, next) => {
+  if (req.auth.role === Role.OPS) {
+    return next();
+  }
+
+  const orderId = req.params.orderId || req.body.orderId;
+
+  try {
+    const order = await Order.findById(orderId);
+
+    if (order && !canAccessOrder(req.auth, order)) {
+      return next(forbidden(`Access to order ${orderId} denied`));
+    }
+
+    return next();
+  } catch (error) {
+    logger.error(`Error checking access to order ${orderId}:`, error);
+    return next(error);
+  }
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+  restrictToSubject,
+  requireOrderAccess,
+};
@@ -40,6 +40,28 @@ const badRequest = (message, data = {}) => {
   return new ApiError(400, message, data);
 };
 
+/**
+ * Create an Unauthorized error (401)
+ * @function unauthorized
+ * @param {string} message - Error message
+ * @param {Object} [data={}] - Additional data
+ * @returns {ApiError} The error object
+ */
+const unauthorized = (message, data = {}) => {
+  return new ApiError(401, message, data);
+};
+
+/**
+ * Create a Forbidden error (403)
+ * @function forbidden
+ * @param {string} message - Error message
+ * @param {Object} [data={}] - Additional data
+ * @returns {ApiError} The error object
+ */
+const forbidden = (message, data = {}) => {
+  return new ApiError(403, message, data);
+};
+
 /**
  * Create a Not Found error (404)
  * @function notFound
@@ -51,6 +73,17 @@ const notFound = (message, data = {}) => {
   return new ApiError(404, message, data);
 };
 
+/**
+ * Create a Conflict error (409)
+ * @function conflict
+ * @param {string} message - Error message
+ * @param {Object} [data={}] - Additional data
+ * @returns {ApiError} The error object
+ */
+const conflict = (message, data = {}) => {
+  return new ApiError(409, message, data);
+};
+
 /**
  * Create an Internal Server Error (500)
  * @function serverError
@@ -117,6 +150,9 @@ module.exports = {
   errorHandler,
   ApiError,
   badRequest,
+  unauthorized,
+  forbidden,
   notFound,
+  conflict,
   serverError,
 }; 
\ No newline at end of file
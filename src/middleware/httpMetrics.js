@@ -0,0 +1,90 @@
+/**
+ * @fileoverview HTTP request metrics middleware
+ * @module middleware/httpMetrics
+ * @requires ../services/metricsService
+ */
+
+const metricsService = require('../services/metricsService');
+
+/**
+ * Route label for requests that matched no route, keeping label cardinality bounded
+ * @constant {string}
+ */
+const UNMATCHED_ROUTE = 'unmatched';
+
+/**
+ * Remember the full route pattern when Express matches a route, and the deepest
+ * router the request entered for requests stopped by router-level middleware
+ * (e.g. authentication). Express resets `req.baseUrl` when an error leaves a
+ * router, so both are captured as they are set rather than when the response finishes.
+ * @function trackRoutePattern
+ * @param {Object} req - Express request object
+ */
+const trackRoutePattern = (req) => {
+  let route;
+  let baseUrl = req.baseUrl;
+
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: (value) => {
+      route = value;
+      if (value && typeof value.path === 'string') {
+        req.routePattern = `${baseUrl}${value.path}`;
+      }
+    },
+  });
+
+  Object.defineProperty(req, 'baseUrl', {
+    configurable: true,
+    enumerable: true,
+    get: () => baseUrl,
+    set: (value) => {
+      baseUrl = value;
+      if (value && (!req.mountPattern || value.length > req.mountPattern.length)) {
+        req.mountPattern = value;
+      }
+    },
+  });
+};
+
+/**
+ * Route label for a finished request
+ * @function getRouteLabel
+ * @param {Object} req - Express request object
+ * @returns {string} Route pattern, mount path wildcard, or 'unmatched'
+ */
+const getRouteLabel = (req) => {
+  if (req.routePattern) {
+    return req.routePattern;
+  }
+  return req.mountPattern ? `${req.mountPattern}/*` : UNMATCHED_ROUTE;
+};
+
+/**
+ * Count every request by method, route pattern and status, and time it
+ * @function httpMetrics
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const httpMetrics = (req, res, next) => {
+  const startTime = process.hrtime.bigint();
+  trackRoutePattern(req);
+
+  res.on('finish', () => {
+    metricsService.recordHttpRequest({
+      method: req.method,
+      route: getRouteLabel(req),
+      status: res.statusCode,
+      durationMs: Number(process.hrtime.bigint() - startTime) / 1e6,
+    });
+  });
+
+  next();
+};
+
+module.exports = {
+  httpMetrics,
+};
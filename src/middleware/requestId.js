@@ -0,0 +1,40 @@
+/**
+ * @fileoverview Request ID middleware
+ * @module middleware/requestId
+ * @requires ../utils/requestContext
+ */
+
+const crypto = require('crypto');
+const { runWithContext } = require('../utils/requestContext');
+
+const REQUEST_ID_HEADER = 'X-Request-Id';
+
+/**
+ * Incoming IDs are reused only if they are short and free of control characters
+ * @constant {RegExp}
+ */
+const VALID_REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+/**
+ * Assign each request an ID, reusing the caller's X-Request-Id when valid.
+ * The ID is exposed as `req.id`, echoed in the response header and stored
+ * in the async request context so logs and metrics pick it up.
+ * @function requestId
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  const id = incoming && VALID_REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = id;
+  res.setHeader(REQUEST_ID_HEADER, id);
+
+  runWithContext({ requestId: id }, next);
+};
+
+module.exports = {
+  REQUEST_ID_HEADER,
+  requestId,
+};
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Request validation middleware backed by Joi schemas
+ * @module middleware/validate
+ * @requires ./errorHandler
+ */
+
+const { badRequest } = require('./errorHandler');
+
+/**
+ * Request parts that can be validated, in the order they are checked
+ * @constant {string[]}
+ */
+const REQUEST_PARTS = ['params', 'query', 'body'];
+
+/**
+ * Build a middleware that validates request parts against Joi schemas.
+ * Validated (and type-converted) values replace the originals on `req`.
+ * @function validate
+ * @param {Object} schemas - Joi schemas keyed by request part
+ * @param {Object} [schemas.params] - Schema for route parameters
+ * @param {Object} [schemas.query] - Schema for the query string
+ * @param {Object} [schemas.body] - Schema for the JSON body
+ * @returns {Function} Express middleware
+ * @example
+ * router.post('/', validate({ body: createOrderSchema }), orderController.createOrder);
+ */
+const validate = (schemas) => (req, res, next) => {
+  const errors = [];
+
+  REQUEST_PARTS.forEach((part) => {
+    if (!schemas[part]) {
+      return;
+    }
+
+    const { error, value } = schemas[part].validate(req[part] || {}, { abortEarly: false });
+
+    if (error) {
+      error.details.forEach(detail => {
+        errors.push({
+          location: part,
+          field: detail.path.join('.'),
+          message: detail.message,
+          type: detail.type,
+        });
+      });
+      return;
+    }
+
+    req[part] = value;
+  });
+
+  if (errors.length > 0) {
+    return next(badRequest('Request validation failed', { errors }));
+  }
+
+  return next();
+};
+
+module.exports = {
+  validate,
+};
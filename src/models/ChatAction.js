@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Chat action model definition
+ * @module models/ChatAction
+ * @requires ../config/database
+ * @requires ../utils/query
+ * @requires ../utils/id
+ */
+
+const { getCollection } = require('../config/database');
+const { matchesQuery } = require('../utils/query');
+const { generateId } = require('../utils/id');
+
+/**
+ * Actions the chatbot may propose
+ * @readonly
+ * @enum {string}
+ */
+const ChatActionName = {
+  CANCEL_ORDER: 'cancel_order',
+  RESTART_ASSIGNMENT: 'restart_assignment',
+  REQUEST_HUMAN_AGENT: 'request_human_agent',
+};
+
+/**
+ * Chat action status enum values
+ * @readonly
+ * @enum {string}
+ */
+const ChatActionStatus = {
+  AWAITING_CONFIRMATION: 'awaiting_confirmation',
+  DECLINED: 'declined',
+  EXPIRED: 'expired',
+  EXECUTED: 'executed',
+  FAILED: 'failed',
+};
+
+/**
+ * An action the chatbot proposed through tool calling, and what became of it.
+ * Doubles as the audit log of every tool invocation.
+ * @class ChatAction
+ */
+class ChatAction {
+  /**
+   * Create a new chat action
+   * @param {Object} actionData - Action data
+   */
+  constructor(actionData) {
+    this._id = actionData._id || generateId();
+    this.orderId = actionData.orderId;
+    this.customerId = actionData.customerId;
+    this.name = actionData.name;
+    this.arguments = actionData.arguments || {};
+    this.status = actionData.status || ChatActionStatus.AWAITING_CONFIRMATION;
+    this.error = actionData.error || null;
+    this.createdAt = actionData.createdAt || new Date();
+    this.resolvedAt = actionData.resolvedAt || null;
+  }
+
+  /**
+   * Record the outcome of the action
+   * @method resolve
+   * @param {string} status - Final status (see ChatActionStatus)
+   * @param {string} [error] - Why the execution failed
+   * @returns {Promise<ChatAction>} The updated action
+   */
+  async resolve(status, error = null) {
+    this.status = status;
+    this.error = error;
+    this.resolvedAt = new Date();
+    return this.save();
+  }
+
+  /**
+   * Save the action through the configured storage adapter
+   * @async
+   * @returns {Promise<ChatAction>} The saved action
+   */
+  async save() {
+    const actionsCollection = getCollection('chat_actions');
+    await actionsCollection.set(this._id, this);
+    return this;
+  }
+
+  /**
+   * Find chat actions by a query
+   * @static
+   * @async
+   * @param {Object} query - Query object (same operators as Order.find)
+   * @returns {Promise<ChatAction[]>} Array of actions
+   */
+  static async find(query = {}) {
+    const actionsCollection = getCollection('chat_actions');
+    const actions = [];
+
+    for (const actionData of await actionsCollection.values()) {
+      if (matchesQuery(actionData, query)) {
+        actions.push(new ChatAction(actionData));
+      }
+    }
+
+    return actions;
+  }
+}
+
+module.exports = {
+  ChatAction,
+  ChatActionName,
+  ChatActionStatus,
+};
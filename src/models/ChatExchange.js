@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Chat exchange model definition
+ * @module models/ChatExchange
+ * @requires ../config/database
+ * @requires ../utils/query
+ * @requires ../utils/id
+ */
+
+const { getCollection } = require('../config/database');
+const { matchesQuery } = require('../utils/query');
+const { generateId } = require('../utils/id');
+
+/**
+ * Intent labels the chatbot recognises in a customer message
+ * @readonly
+ * @enum {string}
+ */
+const ChatIntent = {
+  STATUS: 'status',
+  DELAY: 'delay',
+  REASSIGNMENT: 'reassignment',
+  CANCEL_REQUEST: 'cancel_request',
+  ADDRESS_CHANGE: 'address_change',
+  COMPLAINT: 'complaint',
+  OTHER: 'other',
+};
+
+/**
+ * Field chat history is ordered by
+ * @constant {string}
+ */
+const CHAT_HISTORY_SORT_FIELD = 'createdAt';
+
+/**
+ * One customer message to the chatbot and the answer it got
+ * @class ChatExchange
+ */
+class ChatExchange {
+  /**
+   * Create a new chat exchange
+   * @param {Object} exchangeData - Exchange data
+   */
+  constructor(exchangeData) {
+    this._id = exchangeData._id || generateId();
+    this.orderId = exchangeData.orderId;
+    this.customerId = exchangeData.customerId;
+    this.message = exchangeData.message;
+    this.intent = exchangeData.intent;
+    // Classifier confidence (0-1); null when the keyword fallback classified the message
+    this.intentConfidence = exchangeData.intentConfidence ?? null;
+    // Classifier score per intent label, e.g. { delay: 0.8, status: 0.15 }; null like intentConfidence
+    this.intentScores = exchangeData.intentScores ?? null;
+    this.queryType = exchangeData.queryType;
+    this.response = exchangeData.response;
+    this.responseTime = exchangeData.responseTime;
+    // Action proposed or resolved in this exchange: { actionId, name, status }
+    this.action = exchangeData.action || null;
+    // createdAt is when the customer's message arrived
+    this.createdAt = exchangeData.createdAt || new Date();
+    this.respondedAt = exchangeData.respondedAt || new Date();
+  }
+
+  /**
+   * Save the exchange through the configured storage adapter
+   * @async
+   * @returns {Promise<ChatExchange>} The saved exchange
+   */
+  async save() {
+    const exchangesCollection = getCollection('chat_exchanges');
+    await exchangesCollection.set(this._id, this);
+    return this;
+  }
+
+  /**
+   * Find chat exchanges by a query
+   * @static
+   * @async
+   * @param {Object} query - Query object (same operators as Order.find)
+   * @returns {Promise<ChatExchange[]>} Array of exchanges
+   */
+  static async find(query = {}) {
+    const exchangesCollection = getCollection('chat_exchanges');
+    const exchanges = [];
+
+    for (const exchangeData of await exchangesCollection.values()) {
+      if (matchesQuery(exchangeData, query)) {
+        exchanges.push(new ChatExchange(exchangeData));
+      }
+    }
+
+    return exchanges;
+  }
+}
+
+module.exports = {
+  ChatExchange,
+  ChatIntent,
+  CHAT_HISTORY_SORT_FIELD,
+};
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Customer model definition
+ * @module models/Customer
+ * @requires ../config/database
+ * @requires ../utils/query
+ */
+
+const { getCollection } = require('../config/database');
+const { matchesQuery } = require('../utils/query');
+
+/**
+ * Notification channel enum values
+ * @readonly
+ * @enum {string}
+ */
+const NotificationChannel = {
+  PUSH: 'push',
+  SMS: 'sms',
+  EMAIL: 'email',
+};
+
+/**
+ * Customer contact details and notification preferences.
+ * The ID is the customerId used on orders.
+ * @class Customer
+ */
+class Customer {
+  /**
+   * Create a new customer
+   * @param {Object} customerData - Customer data
+   */
+  constructor(customerData) {
+    this._id = customerData._id;
+    this.name = customerData.name || null;
+    this.phone = customerData.phone || null;
+    this.email = customerData.email || null;
+    this.pushToken = customerData.pushToken || null;
+    this.notificationPreferences = {
+      channels: [],
+      ...customerData.notificationPreferences,
+    };
+    this.createdAt = customerData.createdAt || new Date();
+    this.updatedAt = customerData.updatedAt || new Date();
+  }
+
+  /**
+   * Channels to notify the customer on, most preferred first
+   * @method getNotificationChannels
+   * @param {string[]} defaultChannels - Channels used when the customer has no preference
+   * @returns {string[]} Channel names
+   */
+  getNotificationChannels(defaultChannels) {
+    const { channels } = this.notificationPreferences;
+    return channels.length > 0 ? channels : defaultChannels;
+  }
+
+  /**
+   * Save the customer through the configured storage adapter
+   * @async
+   * @returns {Promise<Customer>} The saved customer
+   */
+  async save() {
+    this.updatedAt = new Date();
+    const customersCollection = getCollection('customers');
+    await customersCollection.set(this._id, this);
+    return this;
+  }
+
+  /**
+   * Find a customer by ID
+   * @static
+   * @async
+   * @param {string} id - Customer ID
+   * @returns {Promise<Customer|null>} The found customer or null
+   */
+  static async findById(id) {
+    const customersCollection = getCollection('customers');
+    const customerData = await customersCollection.get(id);
+    return customerData ? new Customer(customerData) : null;
+  }
+
+  /**
+   * Find customers by a query
+   * @static
+   * @async
+   * @param {Object} query - Query object (same operators as Order.find)
+   * @returns {Promise<Customer[]>} Array of customers
+   */
+  static async find(query = {}) {
+    const customersCollection = getCollection('customers');
+    const customers = [];
+
+    for (const customerData of await customersCollection.values()) {
+      if (matchesQuery(customerData, query)) {
+        customers.push(new Customer(customerData));
+      }
+    }
+
+    return customers;
+  }
+}
+
+module.exports = {
+  Customer,
+  NotificationChannel,
+};
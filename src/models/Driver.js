@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Driver model definition
+ * @module models/Driver
+ * @requires ../config/database
+ * @requires ../utils/query
+ * @requires ../utils/id
+ */
+
+const { getCollection } = require('../config/database');
+const { matchesQuery } = require('../utils/query');
+const { generateId } = require('../utils/id');
+
+/**
+ * Driver availability enum values
+ * @readonly
+ * @enum {string}
+ */
+const DriverAvailability = {
+  ONLINE: 'online',
+  OFFLINE: 'offline',
+  BUSY: 'busy',
+};
+
+/**
+ * Vehicle type enum values
+ * @readonly
+ * @enum {string}
+ */
+const VehicleType = {
+  BICYCLE: 'bicycle',
+  MOTORCYCLE: 'motorcycle',
+  CAR: 'car',
+  VAN: 'van',
+};
+
+/**
+ * Driver class persisted through the storage adapter
+ * @class Driver
+ */
+class Driver {
+  /**
+   * Create a new driver
+   * @param {Object} driverData - Driver data
+   */
+  constructor(driverData) {
+    this._id = driverData._id || generateId();
+    this.name = driverData.name;
+    this.phone = driverData.phone || null;
+    this.vehicleType = driverData.vehicleType || VehicleType.MOTORCYCLE;
+    this.availability = driverData.availability || DriverAvailability.OFFLINE;
+    this.lastKnownLocation = driverData.lastKnownLocation || null;
+    this.createdAt = driverData.createdAt || new Date();
+    this.updatedAt = driverData.updatedAt || new Date();
+  }
+
+  /**
+   * Save the driver through the configured storage adapter
+   * @async
+   * @returns {Promise<Driver>} The saved driver
+   */
+  async save() {
+    this.updatedAt = new Date();
+    const driversCollection = getCollection('drivers');
+    await driversCollection.set(this._id, this);
+    return this;
+  }
+
+  /**
+   * Update the driver's last known location
+   * @method updateLocation
+   * @param {Object} location - Location data
+   * @param {number} location.latitude - Latitude
+   * @param {number} location.longitude - Longitude
+   * @returns {Promise<Driver>} Updated driver object
+   */
+  async updateLocation({ latitude, longitude }) {
+    this.lastKnownLocation = {
+      latitude,
+      longitude,
+      updatedAt: new Date(),
+    };
+    return this.save();
+  }
+
+  /**
+   * Change the driver's availability
+   * @method setAvailability
+   * @param {string} availability - New availability (online, offline, busy)
+   * @returns {Promise<Driver>} Updated driver object
+   */
+  async setAvailability(availability) {
+    this.availability = availability;
+    return this.save();
+  }
+
+  /**
+   * Find a driver by ID
+   * @static
+   * @async
+   * @param {string} id - Driver ID
+   * @returns {Promise<Driver|null>} The found driver or null
+   */
+  static async findById(id) {
+    const driversCollection = getCollection('drivers');
+    const driverData = await driversCollection.get(id);
+    return driverData ? new Driver(driverData) : null;
+  }
+
+  /**
+   * Find drivers by a query
+   * @static
+   * @async
+   * @param {Object} query - Query object (same operators as Order.find)
+   * @returns {Promise<Driver[]>} Array of drivers
+   */
+  static async find(query = {}) {
+    const driversCollection = getCollection('drivers');
+    const drivers = [];
+
+    for (const driverData of await driversCollection.values()) {
+      if (matchesQuery(driverData, query)) {
+        drivers.push(new Driver(driverData));
+      }
+    }
+
+    return drivers;
+  }
+
+  /**
+   * Delete a driver by ID
+   * @static
+   * @async
+   * @param {string} id - Driver ID
+   * @returns {Promise<boolean>} Whether the driver was deleted
+   */
+  static async deleteById(id) {
+    const driversCollection = getCollection('drivers');
+    return driversCollection.delete(id);
+  }
+}
+
+module.exports = {
+  Driver,
+  DriverAvailability,
+  VehicleType,
+};
@@ -0,0 +1,55 @@
+/**
+ * @fileoverview Merchant model definition
+ * @module models/Merchant
+ * @requires ../config/database
+ */
+
+const { getCollection } = require('../config/database');
+
+/**
+ * Dispatch settings of a merchant orders come from.
+ * The ID is the merchantId used on orders; merchants without a record use the defaults.
+ * @class Merchant
+ */
+class Merchant {
+  /**
+   * Create a new merchant
+   * @param {Object} merchantData - Merchant data
+   */
+  constructor(merchantData) {
+    this._id = merchantData._id;
+    // false keeps the merchant's orders waiting for a manual /assign even with AUTO_DISPATCH_ENABLED
+    this.autoDispatch = merchantData.autoDispatch ?? true;
+    this.createdAt = merchantData.createdAt || new Date();
+    this.updatedAt = merchantData.updatedAt || new Date();
+  }
+
+  /**
+   * Save the merchant through the configured storage adapter
+   * @async
+   * @returns {Promise<Merchant>} The saved merchant
+   */
+  async save() {
+    this.updatedAt = new Date();
+    const merchantsCollection = getCollection('merchants');
+    await merchantsCollection.set(this._id, this);
+    return this;
+  }
+
+  /**
+   * Find a merchant by ID
+   * @static
+   * @async
+   * @param {string} id - Merchant ID
+   * @returns {Promise<Merchant|null>} The found merchant or null
+   */
+  static async findById(id) {
+    const merchantsCollection = getCollection('merchants');
+    const merchantData = await merchantsCollection.get(id);
+    return merchantData ? new Merchant(merchantData) : null;
+  }
+}
+
+module.exports = {
+  Merchant,
+};
@@ -0,0 +1,106 @@
+/**
+ * @fileoverview Customer notification model definition
+ * @module models/Notification
+ * @requires ../config/database
+ * @requires ../utils/query
+ * @requires ../utils/id
+ */
+
+const { getCollection } = require('../config/database');
+const { matchesQuery } = require('../utils/query');
+const { generateId } = require('../utils/id');
+
+/**
+ * Notification delivery status enum values
+ * @readonly
+ * @enum {string}
+ */
+const NotificationStatus = {
+  DELIVERED: 'delivered',
+  FAILED: 'failed',
+};
+
+/**
+ * How the notification text was produced
+ * @readonly
+ * @enum {string}
+ */
+const MessageSource = {
+  OPENAI: 'openai',
+  FALLBACK: 'fallback',
+};
+
+/**
+ * Record of a message generated for a customer and its delivery result
+ * @class Notification
+ */
+class Notification {
+  /**
+   * Create a new notification
+   * @param {Object} notificationData - Notification data
+   */
+  constructor(notificationData) {
+    this._id = notificationData._id || generateId();
+    this.orderId = notificationData.orderId;
+    this.customerId = notificationData.customerId;
+    this.queryType = notificationData.queryType;
+    this.message = notificationData.message;
+    this.source = notificationData.source;
+    this.model = notificationData.model || null;
+    this.tokenUsage = notificationData.tokenUsage || null;
+    this.channel = notificationData.channel || null;
+    this.status = notificationData.status;
+    this.deliveryAttempts = notificationData.deliveryAttempts || [];
+    this.createdAt = notificationData.createdAt || new Date();
+  }
+
+  /**
+   * Save the notification through the configured storage adapter
+   * @async
+   * @returns {Promise<Notification>} The saved notification
+   */
+  async save() {
+    const notificationsCollection = getCollection('notifications');
+    await notificationsCollection.set(this._id, this);
+    return this;
+  }
+
+  /**
+   * Find a notification by ID
+   * @static
+   * @async
+   * @param {string} id - Notification ID
+   * @returns {Promise<Notification|null>} The found notification or null
+   */
+  static async findById(id) {
+    const notificationsCollection = getCollection('notifications');
+    const notificationData = await notificationsCollection.get(id);
+    return notificationData ? new Notification(notificationData) : null;
+  }
+
+  /**
+   * Find notifications by a query
+   * @static
+   * @async
+   * @param {Object} query - Query object (same operators as Order.find)
+   * @returns {Promise<Notification[]>} Array of notifications
+   */
+  static async find(query = {}) {
+    const notificationsCollection = getCollection('notifications');
+    const notifications = [];
+
+    for (const notificationData of await notificationsCollection.values()) {
+      if (matchesQuery(notificationData, query)) {
+        notifications.push(new Notification(notificationData));
+      }
+    }
+
+    return notifications;
+  }
+}
+
+module.exports = {
+  Notification,
+  NotificationStatus,
+  MessageSource,
+};
@@ -2,10 +2,17 @@
  * @fileoverview Order model definition
  * @module models/Order
  * @requires ../config/database
+ * @requires ../middleware/errorHandler
+ * @requires ../utils/query
+ * @requires ../utils/id
+ * @requires ../events/orderEvents
  */
 
 const { getCollection } = require('../config/database');
-const crypto = require('crypto');
+const { conflict } = require('../middleware/errorHandler');
+const { matchesQuery } = require('../utils/query');
+const { generateId } = require('../utils/id');
+const { OrderEvent, orderEvents } = require('../events/orderEvents');
 
 /**
  * Order status enum values
@@ -15,6 +22,9 @@ const crypto = require('crypto');
 const OrderStatus = {
   PENDING: 'pending',
   ACCEPTED: 'accepted',
+  PICKED_UP: 'picked_up',
+  IN_TRANSIT: 'in_transit',
+  DELIVERED: 'delivered',
   COMPLETED: 'completed',
   TIMEOUT: 'timeout',
   CANCELLED: 'cancelled',
@@ -30,19 +40,62 @@ const AssignmentStatus = {
   ACCEPTED: 'accepted',
   REJECTED: 'rejected',
   TIMED_OUT: 'timed_out',
+  WITHDRAWN: 'withdrawn',
 };
 
 /**
- * Generate a unique ID
- * @function generateId
- * @returns {string} A unique ID
+ * Allowed order status transitions, keyed by current status
+ * @readonly
+ * @type {Object<string, string[]>}
  */
-function generateId() {
-  return crypto.randomBytes(12).toString('hex');
-}
+const OrderTransitions = {
+  [OrderStatus.PENDING]: [OrderStatus.ACCEPTED, OrderStatus.TIMEOUT, OrderStatus.CANCELLED],
+  [OrderStatus.ACCEPTED]: [OrderStatus.PICKED_UP, OrderStatus.CANCELLED],
+  [OrderStatus.PICKED_UP]: [OrderStatus.IN_TRANSIT, OrderStatus.DELIVERED, OrderStatus.CANCELLED],
+  [OrderStatus.IN_TRANSIT]: [OrderStatus.DELIVERED, OrderStatus.CANCELLED],
+  [OrderStatus.DELIVERED]: [OrderStatus.COMPLETED],
+  [OrderStatus.TIMEOUT]: [OrderStatus.PENDING, OrderStatus.CANCELLED],
+  [OrderStatus.COMPLETED]: [],
+  [OrderStatus.CANCELLED]: [],
+};
+
+/**
+ * Statuses a driver reports after accepting, with the timestamp field each one sets
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const DeliveryProgressTimestamps = {
+  [OrderStatus.PICKED_UP]: 'pickedUpAt',
+  [OrderStatus.IN_TRANSIT]: 'inTransitAt',
+  [OrderStatus.DELIVERED]: 'deliveredAt',
+};
+
+/**
+ * Who caused an order status change
+ * @readonly
+ * @enum {string}
+ */
+const TransitionActor = {
+  SYSTEM: 'system',
+  DRIVER: 'driver',
+  CUSTOMER: 'customer',
+  OPS: 'ops',
+};
 
 /**
- * Order class for in-memory storage
+ * Fields orders can be listed by, mapped to the value used for sorting
+ * @readonly
+ * @type {Object<string, function(Object): *>}
+ */
+const ORDER_SORT_FIELDS = {
+  createdAt: order => order.createdAt,
+  updatedAt: order => order.updatedAt,
+  reassignmentCount: order => order.reassignmentCount,
+  totalAmount: order => (order.orderDetails ? order.orderDetails.totalAmount : null),
+};
+
+/**
+ * Order class persisted through the storage adapter
  * @class Order
  */
 class Order {
@@ -53,6 +106,7 @@ class Order {
   constructor(orderData) {
     this._id = orderData._id || generateId();
     this.customerId = orderData.customerId;
+    this.merchantId = orderData.merchantId || null;
     this.orderDetails = orderData.orderDetails || {
       items: [],
       totalAmount: 0,
@@ -64,23 +118,92 @@ class Order {
     this.driverAssignments = orderData.driverAssignments || [];
     this.createdAt = orderData.createdAt || new Date();
     this.updatedAt = orderData.updatedAt || new Date();
+    this.pickedUpAt = orderData.pickedUpAt || null;
+    this.inTransitAt = orderData.inTransitAt || null;
+    this.deliveredAt = orderData.deliveredAt || null;
     this.completedAt = orderData.completedAt || null;
     this.timeoutAt = orderData.timeoutAt || null;
-    this.assignmentTimeout = orderData.assignmentTimeout || 15; // seconds
+    this.cancelledAt = orderData.cancelledAt || null;
+    this.cancellation = orderData.cancellation || null;
+    this.assignmentTimeout = orderData.assignmentTimeout || parseInt(process.env.DRIVER_ASSIGNMENT_TIMEOUT || '15000') / 1000; // seconds
+    // Each restart after a timeout opens a new round with its own attempt budget
+    this.assignmentRound = orderData.assignmentRound || 1;
     this.reassignmentCount = orderData.reassignmentCount || 0;
     this.reassignmentLogs = orderData.reassignmentLogs || [];
+    this.rankingStrategy = orderData.rankingStrategy || null;
+    this.statusHistory = orderData.statusHistory || [];
+    this.humanAgentRequest = orderData.humanAgentRequest || null;
+  }
+
+  /**
+   * Check whether the order may move to a status
+   * @method canTransitionTo
+   * @param {string} nextStatus - Target status
+   * @returns {boolean} Whether the transition is allowed
+   */
+  canTransitionTo(nextStatus) {
+    return (OrderTransitions[this.status] || []).includes(nextStatus);
+  }
+
+  /**
+   * Move the order to a new status and record it in statusHistory.
+   * Does not save; callers persist the order once all their changes are applied.
+   * @method transitionTo
+   * @param {string} nextStatus - Target status
+   * @param {Object} [options={}] - Transition metadata
+   * @param {string} [options.actor=system] - Who caused the transition (see TransitionActor)
+   * @param {string} [options.actorId] - ID of the driver, customer or operator
+   * @param {string} [options.reason] - Why the transition happened
+   * @throws {ApiError} 409 if the transition is not allowed
+   */
+  transitionTo(nextStatus, { actor = TransitionActor.SYSTEM, actorId = null, reason = null } = {}) {
+    if (!this.canTransitionTo(nextStatus)) {
+      throw conflict(`Cannot change order ${this._id} from ${this.status} to ${nextStatus}`, {
+        orderId: this._id,
+        currentStatus: this.status,
+        requestedStatus: nextStatus,
+        allowedStatuses: OrderTransitions[this.status] || [],
+      });
+    }
+
+    this.statusHistory.push({
+      from: this.status,
+      to: nextStatus,
+      actor,
+      actorId,
+      reason,
+      timestamp: new Date(),
+    });
+    this.status = nextStatus;
   }
 
   /**
-   * Save the order to the in-memory database
+   * Ensure the order is in one of the given statuses before a mutation
+   * @method assertStatus
+   * @param {string[]} allowedStatuses - Statuses in which the action is allowed
+   * @param {string} action - Description of the attempted action
+   * @throws {ApiError} 409 if the order is in another status
+   */
+  assertStatus(allowedStatuses, action) {
+    if (!allowedStatuses.includes(this.status)) {
+      throw conflict(`Cannot ${action}: order ${this._id} has status ${this.status}`, {
+        orderId: this._id,
+        currentStatus: this.status,
+        allowedStatuses,
+      });
+    }
+  }
+
+  /**
+   * Save the order through the configured storage adapter
    * @async
    * @returns {Promise<Order>} The saved order
    */
   async save() {
     this.updatedAt = new Date();
     const ordersCollection = getCollection('orders');
-    ordersCollection.set(this._id, this);
-    return Promise.resolve(this);
+    await ordersCollection.set(this._id, this);
+    return this;
   }
 
   /**
@@ -91,17 +214,27 @@ class Order {
    * @returns {Promise<Order>} Updated order object
    */
   async addDriverAssignment(driverData) {
+    this.assertStatus([OrderStatus.PENDING], 'assign driver');
+    
     this.currentDriverId = driverData.driverId;
     this.driverAssignments.push({
       _id: generateId(),
       driverId: driverData.driverId,
       status: AssignmentStatus.PENDING,
+      round: this.assignmentRound,
       assignedAt: new Date(),
     });
     
     this.reassignmentCount = this.driverAssignments.length - 1;
     
-    return this.save();
+    await this.save();
+    orderEvents.publish(OrderEvent.ASSIGNED, {
+      orderId: this._id,
+      customerId: this.customerId,
+      driverId: driverData.driverId,
+    });
+    
+    return this;
   }
 
   /**
@@ -110,8 +243,11 @@ class Order {
    * @param {string} driverId - Driver ID
    * @param {string} status - Response status (accepted, rejected)
    * @returns {Promise<Order>} Updated order object
+   * @throws {ApiError} 409 if the order is no longer pending or the driver has no pending assignment
    */
   async recordDriverResponse(driverId, status) {
+    this.assertStatus([OrderStatus.PENDING], 'record driver response');
+    
     // Find the current assignment for this driver
     const assignment = this.driverAssignments.find(
       a => a.driverId.toString() === driverId.toString() && 
@@ -119,7 +255,7 @@ class Order {
     );
     
     if (!assignment) {
-      throw new Error('No pending assignment found for this driver');
+      throw conflict('No pending assignment found for this driver', { orderId: this._id, driverId });
     }
     
     // Update the assignment
@@ -129,10 +265,20 @@ class Order {
     
     // Update order status if accepted
     if (status === AssignmentStatus.ACCEPTED) {
-      this.status = OrderStatus.ACCEPTED;
+      this.transitionTo(OrderStatus.ACCEPTED, { actor: TransitionActor.DRIVER, actorId: driverId });
+    }
+    
+    await this.save();
+    
+    if (status === AssignmentStatus.ACCEPTED) {
+      orderEvents.publish(OrderEvent.ACCEPTED, {
+        orderId: this._id,
+        customerId: this.customerId,
+        driverId,
+      });
     }
     
-    return this.save();
+    return this;
   }
 
   /**
@@ -144,6 +290,8 @@ class Order {
    * @returns {Promise<Order>} Updated order object
    */
   async recordReassignment(previousDriverId, newDriverId, reason) {
+    this.assertStatus([OrderStatus.PENDING], 'reassign driver');
+    
     // Update previous driver assignment
     const prevAssignment = this.driverAssignments.find(
       a => a.driverId.toString() === previousDriverId.toString() && 
@@ -162,6 +310,7 @@ class Order {
       _id: generateId(),
       driverId: newDriverId,
       status: AssignmentStatus.PENDING,
+      round: this.assignmentRound,
       assignedAt: new Date(),
     });
     
@@ -176,18 +325,173 @@ class Order {
     
     this.reassignmentCount += 1;
     
-    return this.save();
+    await this.save();
+    orderEvents.publish(OrderEvent.REASSIGNED, {
+      orderId: this._id,
+      customerId: this.customerId,
+      previousDriverId,
+      newDriverId,
+      reason,
+      reassignmentCount: this.reassignmentCount,
+    });
+    
+    return this;
   }
 
   /**
-   * Mark order as timed out after all drivers exhausted
+   * Mark order as timed out after all drivers exhausted.
+   * The last offer expires with the order, so the driver is free for other orders.
    * @method markAsTimedOut
    * @returns {Promise<Order>} Updated order object
    */
   async markAsTimedOut() {
-    this.status = OrderStatus.TIMEOUT;
+    this.transitionTo(OrderStatus.TIMEOUT, { reason: 'No driver accepted the order' });
     this.timeoutAt = new Date();
-    return this.save();
+    
+    this.driverAssignments
+      .filter(a => a.status === AssignmentStatus.PENDING)
+      .forEach(a => {
+        a.status = AssignmentStatus.TIMED_OUT;
+        a.respondedAt = this.timeoutAt;
+        a.responseTime = this.timeoutAt - a.assignedAt;
+      });
+    
+    await this.save();
+    orderEvents.publish(OrderEvent.TIMED_OUT, {
+      orderId: this._id,
+      customerId: this.customerId,
+      reassignmentCount: this.reassignmentCount,
+    });
+    
+    return this;
+  }
+
+  /**
+   * Put a timed-out order back to pending for a new assignment round.
+   * Earlier assignments, logs and status history are kept.
+   * @method restartAssignment
+   * @param {Object} options - Restart details
+   * @param {string} options.actor - Who restarted (customer, ops, system)
+   * @param {string} [options.actorId] - ID of the customer or operator
+   * @param {string} [options.reason] - Why the assignment was restarted
+   * @returns {Promise<Order>} Updated order object
+   * @throws {ApiError} 409 if the order has not timed out
+   */
+  async restartAssignment({ actor, actorId = null, reason = null }) {
+    this.transitionTo(OrderStatus.PENDING, { actor, actorId, reason });
+    
+    this.assignmentRound += 1;
+    this.currentDriverId = null;
+    this.timeoutAt = null;
+    
+    await this.save();
+    
+    return this;
+  }
+
+  /**
+   * Flag the order for a human support agent
+   * @method requestHumanAgent
+   * @param {Object} options - Request details
+   * @param {string} options.reason - What the customer needs help with
+   * @param {string} options.actor - Who asked (customer, ops, system)
+   * @param {string} [options.actorId] - ID of the customer or operator
+   * @returns {Promise<Order>} Updated order object
+   */
+  async requestHumanAgent({ reason, actor, actorId = null }) {
+    this.humanAgentRequest = { reason, actor, actorId, requestedAt: new Date() };
+    
+    await this.save();
+    orderEvents.publish(OrderEvent.HUMAN_AGENT_REQUESTED, {
+      orderId: this._id,
+      customerId: this.customerId,
+      reason,
+      actor,
+      actorId,
+    });
+    
+    return this;
+  }
+
+  /**
+   * Record a delivery progress update from the assigned driver
+   * @method recordDeliveryProgress
+   * @param {string} driverId - Driver reporting the progress
+   * @param {string} status - New status (picked_up, in_transit, delivered)
+   * @returns {Promise<Order>} Updated order object
+   * @throws {ApiError} 409 if the driver is not assigned or the transition is not allowed
+   */
+  async recordDeliveryProgress(driverId, status) {
+    const timestampField = DeliveryProgressTimestamps[status];
+    
+    if (!timestampField) {
+      throw conflict(`${status} is not a delivery progress status`, { orderId: this._id, status });
+    }
+    
+    if (!this.currentDriverId || this.currentDriverId.toString() !== driverId.toString()) {
+      throw conflict(`Driver ${driverId} is not currently assigned to order ${this._id}`, {
+        orderId: this._id,
+        driverId,
+      });
+    }
+    
+    this.transitionTo(status, { actor: TransitionActor.DRIVER, actorId: driverId });
+    
+    const now = new Date();
+    this[timestampField] = now;
+    
+    if (status === OrderStatus.DELIVERED) {
+      this.completedAt = now;
+    }
+    
+    await this.save();
+    
+    if (status === OrderStatus.DELIVERED) {
+      orderEvents.publish(OrderEvent.DELIVERED, {
+        orderId: this._id,
+        customerId: this.customerId,
+        driverId,
+      });
+    }
+    
+    return this;
+  }
+
+  /**
+   * Cancel the order and withdraw any offer still waiting for a driver
+   * @method cancel
+   * @param {Object} options - Cancellation details
+   * @param {string} options.reason - Why the order was cancelled
+   * @param {string} options.actor - Who cancelled (customer, ops, system)
+   * @param {string} [options.actorId] - ID of the customer or operator
+   * @returns {Promise<Order>} Updated order object
+   * @throws {ApiError} 409 if the order can no longer be cancelled
+   */
+  async cancel({ reason, actor, actorId = null }) {
+    this.transitionTo(OrderStatus.CANCELLED, { actor, actorId, reason });
+    
+    const withdrawnAt = new Date();
+    this.driverAssignments
+      .filter(a => a.status === AssignmentStatus.PENDING)
+      .forEach(a => {
+        a.status = AssignmentStatus.WITHDRAWN;
+        a.respondedAt = withdrawnAt;
+        a.responseTime = withdrawnAt - a.assignedAt;
+      });
+    
+    this.cancelledAt = withdrawnAt;
+    this.cancellation = { reason, actor, actorId };
+    
+    await this.save();
+    orderEvents.publish(OrderEvent.CANCELLED, {
+      orderId: this._id,
+      customerId: this.customerId,
+      reason,
+      actor,
+      actorId,
+    });
+    
+    return this;
   }
 
   /**
@@ -199,38 +503,31 @@ class Order {
    */
   static async findById(id) {
     const ordersCollection = getCollection('orders');
-    const orderData = ordersCollection.get(id);
-    return orderData ? Promise.resolve(new Order(orderData)) : Promise.resolve(null);
+    const orderData = await ordersCollection.get(id);
+    return orderData ? new Order(orderData) : null;
   }
 
   /**
    * Find orders by a query
    * @static
    * @async
-   * @param {Object} query - Query object
+   * @param {Object} query - Query object; values may be plain (equality) or operator
+   *   objects using `$eq`, `$ne`, `$in`, `$nin`, `$gt`, `$gte`, `$lt`, `$lte`
    * @returns {Promise<Order[]>} Array of orders
+   * @example
+   * Order.find({ status: { $in: ['pending', 'timeout'] }, reassignmentCount: { $gte: 2 } });
    */
   static async find(query = {}) {
     const ordersCollection = getCollection('orders');
     const orders = [];
     
-    for (const [id, orderData] of ordersCollection.entries()) {
-      let matches = true;
-      
-      // Check if order matches all query criteria
-      for (const [key, value] of Object.entries(query)) {
-        if (orderData[key] !== value) {
-          matches = false;
-          break;
-        }
-      }
-      
-      if (matches) {
+    for (const orderData of await ordersCollection.values()) {
+      if (matchesQuery(orderData, query)) {
         orders.push(new Order(orderData));
       }
     }
     
-    return Promise.resolve(orders);
+    return orders;
   }
 
   /**
@@ -254,12 +551,16 @@ class Order {
    */
   static async deleteById(id) {
     const ordersCollection = getCollection('orders');
-    return Promise.resolve(ordersCollection.delete(id));
+    return ordersCollection.delete(id);
   }
 }
 
 module.exports = {
   Order,
   OrderStatus,
+  OrderTransitions,
+  DeliveryProgressTimestamps,
   AssignmentStatus,
+  TransitionActor,
+  ORDER_SORT_FIELDS,
 }; 
\ No newline at end of file
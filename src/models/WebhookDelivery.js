@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Webhook delivery log model definition
+ * @module models/WebhookDelivery
+ * @requires ../config/database
+ * @requires ../utils/query
+ * @requires ../utils/id
+ */
+
+const { getCollection } = require('../config/database');
+const { matchesQuery } = require('../utils/query');
+const { generateId } = require('../utils/id');
+
+/**
+ * Delivery status enum values
+ * @readonly
+ * @enum {string}
+ */
+const DeliveryStatus = {
+  PENDING: 'pending',
+  SUCCEEDED: 'succeeded',
+  FAILED: 'failed',
+};
+
+/**
+ * One order event sent (or being sent) to one webhook subscription
+ * @class WebhookDelivery
+ */
+class WebhookDelivery {
+  /**
+   * Create a new delivery
+   * @param {Object} deliveryData - Delivery data
+   */
+  constructor(deliveryData) {
+    this._id = deliveryData._id || generateId();
+    this.subscriptionId = deliveryData.subscriptionId;
+    this.event = deliveryData.event;
+    this.orderId = deliveryData.orderId;
+    this.payload = deliveryData.payload;
+    this.status = deliveryData.status || DeliveryStatus.PENDING;
+    this.attempts = deliveryData.attempts || [];
+    this.nextAttemptAt = deliveryData.nextAttemptAt || null;
+    this.createdAt = deliveryData.createdAt || new Date();
+    this.completedAt = deliveryData.completedAt || null;
+  }
+
+  /**
+   * Record the outcome of a delivery attempt
+   * @method recordAttempt
+   * @param {Object} attempt - Attempt details
+   * @param {number|null} attempt.statusCode - HTTP status returned by the receiver
+   * @param {string|null} attempt.error - Error message for failed attempts
+   * @param {number} attempt.durationMs - Request duration in milliseconds
+   * @param {boolean} attempt.success - Whether the receiver accepted the payload
+   * @param {Date|null} [attempt.nextAttemptAt] - When the next retry is scheduled, if any
+   * @returns {Promise<WebhookDelivery>} Updated delivery
+   */
+  async recordAttempt({ statusCode, error, durationMs, success, nextAttemptAt = null }) {
+    this.attempts.push({
+      attempt: this.attempts.length + 1,
+      attemptedAt: new Date(),
+      statusCode,
+      error,
+      durationMs,
+    });
+
+    this.nextAttemptAt = nextAttemptAt;
+
+    if (success) {
+      this.status = DeliveryStatus.SUCCEEDED;
+      this.completedAt = new Date();
+    } else if (!nextAttemptAt) {
+      this.status = DeliveryStatus.FAILED;
+      this.completedAt = new Date();
+    }
+
+    return this.save();
+  }
+
+  /**
+   * Save the delivery through the configured storage adapter
+   * @async
+   * @returns {Promise<WebhookDelivery>} The saved delivery
+   */
+  async save() {
+    const deliveriesCollection = getCollection('webhook_deliveries');
+    await deliveriesCollection.set(this._id, this);
+    return this;
+  }
+
+  /**
+   * Find a delivery by ID
+   * @static
+   * @async
+   * @param {string} id - Delivery ID
+   * @returns {Promise<WebhookDelivery|null>} The found delivery or null
+   */
+  static async findById(id) {
+    const deliveriesCollection = getCollection('webhook_deliveries');
+    const deliveryData = await deliveriesCollection.get(id);
+    return deliveryData ? new WebhookDelivery(deliveryData) : null;
+  }
+
+  /**
+   * Find deliveries by a query
+   * @static
+   * @async
+   * @param {Object} query - Query object (same operators as Order.find)
+   * @returns {Promise<WebhookDelivery[]>} Array of deliveries
+   */
+  static async find(query = {}) {
+    const deliveriesCollection = getCollection('webhook_deliveries');
+    const deliveries = [];
+
+    for (const deliveryData of await deliveriesCollection.values()) {
+      if (matchesQuery(deliveryData, query)) {
+        deliveries.push(new WebhookDelivery(deliveryData));
+      }
+    }
+
+    return deliveries;
+  }
+}
+
+module.exports = {
+  WebhookDelivery,
+  DeliveryStatus,
+};
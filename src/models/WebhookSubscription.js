@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Webhook subscription model definition
+ * @module models/WebhookSubscription
+ * @requires ../config/database
+ * @requires ../utils/query
+ * @requires ../utils/id
+ */
+
+const { getCollection } = require('../config/database');
+const { matchesQuery } = require('../utils/query');
+const { generateId } = require('../utils/id');
+const crypto = require('crypto');
+
+/**
+ * Generate a signing secret
+ * @function generateSecret
+ * @returns {string} A random secret
+ */
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Webhook subscription persisted through the storage adapter
+ * @class WebhookSubscription
+ */
+class WebhookSubscription {
+  /**
+   * Create a new webhook subscription
+   * @param {Object} subscriptionData - Subscription data
+   */
+  constructor(subscriptionData) {
+    this._id = subscriptionData._id || generateId();
+    // Only events of this merchant's orders are delivered to the subscription
+    this.merchantId = subscriptionData.merchantId;
+    this.url = subscriptionData.url;
+    this.events = subscriptionData.events || [];
+    this.secret = subscriptionData.secret || generateSecret();
+    this.description = subscriptionData.description || null;
+    this.active = subscriptionData.active !== undefined ? subscriptionData.active : true;
+    this.createdAt = subscriptionData.createdAt || new Date();
+    this.updatedAt = subscriptionData.updatedAt || new Date();
+  }
+
+  /**
+   * Check whether the subscription wants an event
+   * @method isSubscribedTo
+   * @param {string} event - Order event name
+   * @returns {boolean} Whether the event should be delivered
+   */
+  isSubscribedTo(event) {
+    return this.active && this.events.includes(event);
+  }
+
+  /**
+   * Representation returned by the API; the secret is only revealed on creation
+   * @method toResponse
+   * @param {Object} [options={}] - Options
+   * @param {boolean} [options.includeSecret=false] - Whether to include the secret
+   * @returns {Object} Subscription without internal fields
+   */
+  toResponse({ includeSecret = false } = {}) {
+    const { secret, ...subscription } = this;
+    return includeSecret ? { ...subscription, secret } : subscription;
+  }
+
+  /**
+   * Save the subscription through the configured storage adapter
+   * @async
+   * @returns {Promise<WebhookSubscription>} The saved subscription
+   */
+  async save() {
+    this.updatedAt = new Date();
+    const subscriptionsCollection = getCollection('webhook_subscriptions');
+    await subscriptionsCollection.set(this._id, this);
+    return this;
+  }
+
+  /**
+   * Find a subscription by ID
+   * @static
+   * @async
+   * @param {string} id - Subscription ID
+   * @returns {Promise<WebhookSubscription|null>} The found subscription or null
+   */
+  static async findById(id) {
+    const subscriptionsCollection = getCollection('webhook_subscriptions');
+    const subscriptionData = await subscriptionsCollection.get(id);
+    return subscriptionData ? new WebhookSubscription(subscriptionData) : null;
+  }
+
+  /**
+   * Find subscriptions by a query
+   * @static
+   * @async
+   * @param {Object} query - Query object (same operators as Order.find)
+   * @returns {Promise<WebhookSubscription[]>} Array of subscriptions
+   */
+  static async find(query = {}) {
+    const subscriptionsCollection = getCollection('webhook_subscriptions');
+    const subscriptions = [];
+
+    for (const subscriptionData of await subscriptionsCollection.values()) {
+      if (matchesQuery(subscriptionData, query)) {
+        subscriptions.push(new WebhookSubscription(subscriptionData));
+      }
+    }
+
+    return subscriptions;
+  }
+
+  /**
+   * Delete a subscription by ID
+   * @static
+   * @async
+   * @param {string} id - Subscription ID
+   * @returns {Promise<boolean>} Whether the subscription was deleted
+   */
+  static async deleteById(id) {
+    const subscriptionsCollection = getCollection('webhook_subscriptions');
+    return subscriptionsCollection.delete(id);
+  }
+}
+
+module.exports = {
+  WebhookSubscription,
+};
@@ -3,10 +3,22 @@
  * @module routes/chatRoutes
  * @requires express
  * @requires ../controllers/chatController
+ * @requires ../middleware/validate
+ * @requires ../middleware/auth
+ * @requires ../utils/authToken
+ * @requires ../validation/chatSchemas
  */
 
 const express = require('express');
 const chatController = require('../controllers/chatController');
+const { validate } = require('../middleware/validate');
+const { authorize, restrictToSubject, requireOrderAccess } = require('../middleware/auth');
+const { Role } = require('../utils/authToken');
+const {
+  chatQuerySchema,
+  chatHistoryParamsSchema,
+  chatHistoryQuerySchema,
+} = require('../validation/chatSchemas');
 const router = express.Router();
 
 /**
@@ -14,54 +26,47 @@ const router = express.Router();
  * /api/chat:
  *   post:
  *     summary: Handle customer chat query
- *     description: Process a customer chat message and return a response
+ *     description: Process a customer chat message, store the exchange and return the response
  *     tags: [Chat]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - orderId
- *               - customerId
- *               - message
- *             properties:
- *               orderId:
- *                 type: string
- *                 description: Order ID
- *               customerId:
- *                 type: string
- *                 description: Customer ID
- *               message:
- *                 type: string
- *                 description: Customer message
+ *             $ref: '#/components/schemas/ChatQueryRequest'
  *     responses:
  *       200:
  *         description: Successful response
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                 response:
- *                   type: string
- *                   description: Chatbot response
+ *               $ref: '#/components/schemas/ChatResponse'
  *       400:
- *         description: Bad request - Missing required fields
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
-router.post('/', chatController.handleChatQuery);
+router.post(
+  '/',
+  authorize(Role.CUSTOMER, Role.OPS),
+  validate({ body: chatQuerySchema }),
+  restrictToSubject('body', { [Role.CUSTOMER]: 'customerId' }),
+  requireOrderAccess,
+  chatController.handleChatQuery
+);
 
 /**
  * @swagger
  * /api/chat/history/{orderId}:
  *   get:
  *     summary: Get chat history for an order
- *     description: Retrieve the chat history between customer and chatbot for a specific order
+ *     description: |
+ *       Retrieve the stored exchanges between the order's customer and the chatbot, one page at a time.
+ *       A customerId that did not place the order is rejected.
  *     tags: [Chat]
  *     parameters:
  *       - in: path
@@ -74,16 +79,52 @@ router.post('/', chatController.handleChatQuery);
  *         name: customerId
  *         schema:
  *           type: string
- *         description: Customer ID
+ *         description: Customer ID (must be the order's customer)
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: asc
+ *         description: asc for oldest first
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor returned by the previous page
  *     responses:
  *       200:
  *         description: Chat history retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ChatHistoryResponse'
  *       400:
- *         description: Bad request - Missing order ID
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
-router.get('/history/:orderId', chatController.getChatHistory);
+router.get(
+  '/history/:orderId',
+  authorize(Role.CUSTOMER, Role.OPS),
+  validate({ params: chatHistoryParamsSchema, query: chatHistoryQuerySchema }),
+  restrictToSubject('query', { [Role.CUSTOMER]: 'customerId' }),
+  requireOrderAccess,
+  chatController.getChatHistory
+);
 
 /**
  * @swagger
@@ -95,6 +136,8 @@ router.get('/history/:orderId', chatController.getChatHistory);
  *     responses:
  *       200:
  *         description: Health status retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
  *       500:
  *         description: Server error
  */
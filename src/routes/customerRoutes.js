@@ -0,0 +1,109 @@
+/**
+ * @fileoverview Customer Routes
+ * @module routes/customerRoutes
+ * @requires express
+ * @requires ../controllers/customerController
+ * @requires ../middleware/validate
+ * @requires ../middleware/auth
+ * @requires ../utils/authToken
+ * @requires ../validation/customerSchemas
+ */
+
+const express = require('express');
+const customerController = require('../controllers/customerController');
+const { validate } = require('../middleware/validate');
+const { authorize, restrictToSubject } = require('../middleware/auth');
+const { Role } = require('../utils/authToken');
+const {
+  customerIdParamsSchema,
+  notificationPreferencesSchema,
+} = require('../validation/customerSchemas');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/customers/{customerId}:
+ *   get:
+ *     summary: Get customer
+ *     description: Retrieve a customer's contact details and notification preferences
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     responses:
+ *       200:
+ *         description: Customer retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CustomerResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/:customerId',
+  authorize(Role.CUSTOMER, Role.OPS),
+  validate({ params: customerIdParamsSchema }),
+  restrictToSubject('params', { [Role.CUSTOMER]: 'customerId' }),
+  customerController.getCustomerById
+);
+
+/**
+ * @swagger
+ * /api/customers/{customerId}/notification-preferences:
+ *   put:
+ *     summary: Update notification preferences
+ *     description: |
+ *       Choose the channels (push, sms, email) the customer is notified on, most preferred first,
+ *       and the contact details they need. When a channel fails the next one is tried.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: customerId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/NotificationPreferencesRequest'
+ *     responses:
+ *       200:
+ *         description: Preferences updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CustomerResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put(
+  '/:customerId/notification-preferences',
+  authorize(Role.CUSTOMER, Role.OPS),
+  validate({ params: customerIdParamsSchema, body: notificationPreferencesSchema }),
+  restrictToSubject('params', { [Role.CUSTOMER]: 'customerId' }),
+  customerController.updateNotificationPreferences
+);
+
+module.exports = router;
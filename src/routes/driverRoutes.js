@@ -0,0 +1,212 @@
+/**
+ * @fileoverview Driver Routes
+ * @module routes/driverRoutes
+ * @requires express
+ * @requires ../controllers/driverController
+ * @requires ../middleware/validate
+ * @requires ../middleware/auth
+ * @requires ../utils/authToken
+ * @requires ../validation/driverSchemas
+ */
+
+const express = require('express');
+const driverController = require('../controllers/driverController');
+const { validate } = require('../middleware/validate');
+const { authorize, restrictToSubject } = require('../middleware/auth');
+const { Role } = require('../utils/authToken');
+const {
+  driverIdParamsSchema,
+  createDriverSchema,
+  updateDriverSchema,
+  listDriversQuerySchema,
+} = require('../validation/driverSchemas');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/drivers:
+ *   post:
+ *     summary: Register a new driver
+ *     description: Add a driver to the registry used for order assignment
+ *     tags: [Drivers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateDriverRequest'
+ *     responses:
+ *       201:
+ *         description: Driver registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DriverResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/', authorize(Role.OPS), validate({ body: createDriverSchema }), driverController.createDriver);
+
+/**
+ * @swagger
+ * /api/drivers:
+ *   get:
+ *     summary: List drivers
+ *     description: List registered drivers, optionally filtered by availability or vehicle type
+ *     tags: [Drivers]
+ *     parameters:
+ *       - in: query
+ *         name: availability
+ *         schema:
+ *           type: string
+ *           enum: [online, offline, busy]
+ *       - in: query
+ *         name: vehicleType
+ *         schema:
+ *           type: string
+ *           enum: [bicycle, motorcycle, car, van]
+ *     responses:
+ *       200:
+ *         description: Drivers retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DriverListResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/', authorize(Role.OPS), validate({ query: listDriversQuerySchema }), driverController.listDrivers);
+
+/**
+ * @swagger
+ * /api/drivers/{driverId}:
+ *   get:
+ *     summary: Get driver by ID
+ *     description: Retrieve a registered driver
+ *     tags: [Drivers]
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Driver ID
+ *     responses:
+ *       200:
+ *         description: Driver retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DriverResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/:driverId',
+  authorize(Role.DRIVER, Role.OPS),
+  validate({ params: driverIdParamsSchema }),
+  restrictToSubject('params', { [Role.DRIVER]: 'driverId' }),
+  driverController.getDriverById
+);
+
+/**
+ * @swagger
+ * /api/drivers/{driverId}:
+ *   patch:
+ *     summary: Update driver
+ *     description: Update a driver's profile, availability or last known location
+ *     tags: [Drivers]
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Driver ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateDriverRequest'
+ *     responses:
+ *       200:
+ *         description: Driver updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DriverResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.patch(
+  '/:driverId',
+  authorize(Role.DRIVER, Role.OPS),
+  validate({ params: driverIdParamsSchema, body: updateDriverSchema }),
+  restrictToSubject('params', { [Role.DRIVER]: 'driverId' }),
+  driverController.updateDriver
+);
+
+/**
+ * @swagger
+ * /api/drivers/{driverId}:
+ *   delete:
+ *     summary: Remove driver
+ *     description: Remove a driver from the registry
+ *     tags: [Drivers]
+ *     parameters:
+ *       - in: path
+ *         name: driverId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Driver ID
+ *     responses:
+ *       200:
+ *         description: Driver removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:driverId', authorize(Role.OPS), validate({ params: driverIdParamsSchema }), driverController.deleteDriver);
+
+module.exports = router;
@@ -4,12 +4,22 @@
  * @requires express
  * @requires ./orderRoutes
  * @requires ./chatRoutes
+ * @requires ./driverRoutes
+ * @requires ./webhookRoutes
+ * @requires ./customerRoutes
+ * @requires ./merchantRoutes
+ * @requires ../middleware/auth
  */
 
 const express = require('express');
 const orderRoutes = require('./orderRoutes');
 const chatRoutes = require('./chatRoutes');
+const driverRoutes = require('./driverRoutes');
+const webhookRoutes = require('./webhookRoutes');
+const customerRoutes = require('./customerRoutes');
+const merchantRoutes = require('./merchantRoutes');
 const { notFound } = require('../middleware/errorHandler');
+const { authenticate } = require('../middleware/auth');
 const router = express.Router();
 
 // Add API version and timestamp to all responses
@@ -34,9 +44,13 @@ router.use((req, res, next) => {
   next();
 });
 
-// Register all routes
-router.use('/orders', orderRoutes);
-router.use('/chat', chatRoutes);
+// Register all routes; every resource requires a signed access token
+router.use('/orders', authenticate, orderRoutes);
+router.use('/chat', authenticate, chatRoutes);
+router.use('/drivers', authenticate, driverRoutes);
+router.use('/webhooks', authenticate, webhookRoutes);
+router.use('/customers', authenticate, customerRoutes);
+router.use('/merchants', authenticate, merchantRoutes);
 
 // Health check endpoint
 router.get('/health', (req, res) => {
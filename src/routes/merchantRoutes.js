@@ -0,0 +1,105 @@
+/**
+ * @fileoverview Merchant Routes
+ * @module routes/merchantRoutes
+ * @requires express
+ * @requires ../controllers/merchantController
+ * @requires ../middleware/validate
+ * @requires ../middleware/auth
+ * @requires ../utils/authToken
+ * @requires ../validation/merchantSchemas
+ */
+
+const express = require('express');
+const merchantController = require('../controllers/merchantController');
+const { validate } = require('../middleware/validate');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../utils/authToken');
+const {
+  merchantIdParamsSchema,
+  dispatchSettingsSchema,
+} = require('../validation/merchantSchemas');
+const router = express.Router();
+
+/**
+ * @swagger
+ * /api/merchants/{merchantId}:
+ *   get:
+ *     summary: Get merchant
+ *     description: Retrieve a merchant's dispatch settings; merchants never configured get the defaults
+ *     tags: [Merchants]
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Merchant ID
+ *     responses:
+ *       200:
+ *         description: Merchant retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MerchantResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/:merchantId',
+  authorize(Role.OPS),
+  validate({ params: merchantIdParamsSchema }),
+  merchantController.getMerchantById
+);
+
+/**
+ * @swagger
+ * /api/merchants/{merchantId}/dispatch-settings:
+ *   put:
+ *     summary: Update dispatch settings
+ *     description: |
+ *       Turn auto-dispatch on or off for the merchant's orders. The setting applies to orders created
+ *       afterwards, and to undispatched orders recovered on restart; orders already offered are not affected.
+ *     tags: [Merchants]
+ *     parameters:
+ *       - in: path
+ *         name: merchantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Merchant ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DispatchSettingsRequest'
+ *     responses:
+ *       200:
+ *         description: Settings updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MerchantResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.put(
+  '/:merchantId/dispatch-settings',
+  authorize(Role.OPS),
+  validate({ params: merchantIdParamsSchema, body: dispatchSettingsSchema }),
+  merchantController.updateDispatchSettings
+);
+
+module.exports = router;
@@ -3,10 +3,27 @@
  * @module routes/orderRoutes
  * @requires express
  * @requires ../controllers/orderController
+ * @requires ../middleware/validate
+ * @requires ../middleware/auth
+ * @requires ../utils/authToken
+ * @requires ../validation/orderSchemas
  */
 
 const express = require('express');
 const orderController = require('../controllers/orderController');
+const { validate } = require('../middleware/validate');
+const { authorize, restrictToSubject, requireOrderAccess } = require('../middleware/auth');
+const { Role } = require('../utils/authToken');
+const {
+  orderIdParamsSchema,
+  createOrderSchema,
+  listOrdersQuerySchema,
+  assignOrderSchema,
+  driverResponseSchema,
+  deliveryProgressSchema,
+  cancelOrderSchema,
+  retryAssignmentSchema,
+} = require('../validation/orderSchemas');
 const router = express.Router();
 
 /**
@@ -14,41 +31,123 @@ const router = express.Router();
  * /api/orders:
  *   post:
  *     summary: Create a new order
- *     description: Create a new order in the system
+ *     description: |
+ *       Create a new order in the system. With auto-dispatch enabled (AUTO_DISPATCH_ENABLED) the order is offered
+ *       to the best available driver after AUTO_DISPATCH_DELAY_MS, unless its merchant turned auto-dispatch off
+ *       (PUT /api/merchants/{merchantId}/dispatch-settings); otherwise it waits for a manual assignment.
  *     tags: [Orders]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - customerId
- *               - orderDetails
- *             properties:
- *               customerId:
- *                 type: string
- *                 description: Customer ID
- *               orderDetails:
- *                 type: object
- *                 properties:
- *                   items:
- *                     type: array
- *                     items:
- *                       type: object
- *                   totalAmount:
- *                     type: number
- *                   deliveryAddress:
- *                     type: string
+ *             $ref: '#/components/schemas/CreateOrderRequest'
  *     responses:
  *       201:
  *         description: Order created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
  *       400:
- *         description: Bad request - Missing required fields
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
-router.post('/', orderController.createOrder);
+router.post(
+  '/',
+  authorize(Role.CUSTOMER, Role.OPS),
+  validate({ body: createOrderSchema }),
+  restrictToSubject('body', { [Role.CUSTOMER]: 'customerId' }),
+  orderController.createOrder
+);
+
+/**
+ * @swagger
+ * /api/orders:
+ *   get:
+ *     summary: List orders
+ *     description: Search orders with filters, sorting and cursor pagination. Customers only see their own orders and drivers the orders currently assigned to them
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *         description: Comma-separated list of statuses (e.g. pending,timeout)
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currentDriverId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: minReassignmentCount
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: sortBy
+ *         schema:
+ *           type: string
+ *           enum: [createdAt, updatedAt, reassignmentCount, totalAmount]
+ *           default: createdAt
+ *       - in: query
+ *         name: sortOrder
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *       - in: query
+ *         name: cursor
+ *         schema:
+ *           type: string
+ *         description: nextCursor returned by the previous page; only valid with the same sortBy
+ *     responses:
+ *       200:
+ *         description: Page of orders
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderListResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/',
+  authorize(Role.CUSTOMER, Role.DRIVER, Role.OPS),
+  validate({ query: listOrdersQuerySchema }),
+  restrictToSubject('query', { [Role.CUSTOMER]: 'customerId', [Role.DRIVER]: 'currentDriverId' }),
+  orderController.listOrders
+);
 
 /**
  * @swagger
@@ -67,12 +166,28 @@ router.post('/', orderController.createOrder);
  *     responses:
  *       200:
  *         description: Order retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: Order not found
+ *         $ref: '#/components/responses/NotFound'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
-router.get('/:orderId', orderController.getOrderById);
+router.get(
+  '/:orderId',
+  authorize(Role.CUSTOMER, Role.DRIVER, Role.OPS),
+  validate({ params: orderIdParamsSchema }),
+  requireOrderAccess,
+  orderController.getOrderById
+);
 
 /**
  * @swagger
@@ -91,12 +206,70 @@ router.get('/:orderId', orderController.getOrderById);
  *     responses:
  *       200:
  *         description: Order status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderStatusResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/:orderId/status',
+  authorize(Role.CUSTOMER, Role.DRIVER, Role.OPS),
+  validate({ params: orderIdParamsSchema }),
+  requireOrderAccess,
+  orderController.getOrderStatus
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/notifications:
+ *   get:
+ *     summary: Get order notification history
+ *     description: |
+ *       Every notification generated for the order's customer, oldest first: message text,
+ *       whether it came from OpenAI or the fallback, token usage, channel and delivery result.
+ *       Intended for support agents.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Notifications retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/NotificationListResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: Order not found
+ *         $ref: '#/components/responses/NotFound'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
-router.get('/:orderId/status', orderController.getOrderStatus);
+router.get(
+  '/:orderId/notifications',
+  authorize(Role.OPS),
+  validate({ params: orderIdParamsSchema }),
+  orderController.getOrderNotifications
+);
 
 /**
  * @swagger
@@ -117,31 +290,44 @@ router.get('/:orderId/status', orderController.getOrderStatus);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - driverId
- *             properties:
- *               driverId:
- *                 type: string
- *                 description: Driver ID
+ *             $ref: '#/components/schemas/AssignOrderRequest'
  *     responses:
  *       200:
  *         description: Order assigned successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
  *       400:
- *         description: Bad request - Missing driver ID
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: Order not found
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Order is no longer pending
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
-router.post('/:orderId/assign', orderController.assignOrderToDriver);
+router.post(
+  '/:orderId/assign',
+  authorize(Role.OPS),
+  validate({ params: orderIdParamsSchema, body: assignOrderSchema }),
+  orderController.assignOrderToDriver
+);
 
 /**
  * @swagger
  * /api/orders/{orderId}/driver-response:
  *   post:
  *     summary: Handle driver response to assignment
- *     description: Record whether a driver accepts or rejects an order assignment
+ *     description: Record whether a driver accepts or rejects an order assignment. Drivers can only respond to their own assignments
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -155,27 +341,304 @@ router.post('/:orderId/assign', orderController.assignOrderToDriver);
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - driverId
- *               - accepted
- *             properties:
- *               driverId:
- *                 type: string
- *                 description: Driver ID
- *               accepted:
- *                 type: boolean
- *                 description: Whether the driver accepted the order
+ *             $ref: '#/components/schemas/DriverResponseRequest'
  *     responses:
  *       200:
  *         description: Driver response recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Order is no longer pending or the driver has no pending assignment
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  '/:orderId/driver-response',
+  authorize(Role.DRIVER, Role.OPS),
+  validate({ params: orderIdParamsSchema, body: driverResponseSchema }),
+  restrictToSubject('body', { [Role.DRIVER]: 'driverId' }),
+  orderController.handleDriverResponse
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/picked-up:
+ *   post:
+ *     summary: Mark order as picked up
+ *     description: Driver confirms they collected the order (requires status accepted)
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryProgressRequest'
+ *     responses:
+ *       200:
+ *         description: Delivery progress recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Driver is not assigned or the order is not at the previous stage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  '/:orderId/picked-up',
+  authorize(Role.DRIVER, Role.OPS),
+  validate({ params: orderIdParamsSchema, body: deliveryProgressSchema }),
+  restrictToSubject('body', { [Role.DRIVER]: 'driverId' }),
+  orderController.markPickedUp
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/in-transit:
+ *   post:
+ *     summary: Mark order as in transit
+ *     description: Driver reports the order is on its way to the customer (requires status picked_up)
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryProgressRequest'
+ *     responses:
+ *       200:
+ *         description: Delivery progress recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Driver is not assigned or the order is not at the previous stage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  '/:orderId/in-transit',
+  authorize(Role.DRIVER, Role.OPS),
+  validate({ params: orderIdParamsSchema, body: deliveryProgressSchema }),
+  restrictToSubject('body', { [Role.DRIVER]: 'driverId' }),
+  orderController.markInTransit
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/delivered:
+ *   post:
+ *     summary: Mark order as delivered
+ *     description: Driver confirms delivery; sets completedAt (requires status picked_up or in_transit)
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/DeliveryProgressRequest'
+ *     responses:
+ *       200:
+ *         description: Delivery progress recorded successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Driver is not assigned or the order is not at the previous stage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  '/:orderId/delivered',
+  authorize(Role.DRIVER, Role.OPS),
+  validate({ params: orderIdParamsSchema, body: deliveryProgressSchema }),
+  restrictToSubject('body', { [Role.DRIVER]: 'driverId' }),
+  orderController.markDelivered
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/cancel:
+ *   post:
+ *     summary: Cancel an order
+ *     description: |
+ *       Cancel an order, stop its driver assignment timer, withdraw the pending driver offer and notify the customer.
+ *       The cancellation is recorded with the caller's role as actor and their token subject as actorId.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CancelOrderRequest'
+ *     responses:
+ *       200:
+ *         description: Order cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Order can no longer be cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post(
+  '/:orderId/cancel',
+  authorize(Role.CUSTOMER, Role.OPS),
+  validate({ params: orderIdParamsSchema, body: cancelOrderSchema }),
+  requireOrderAccess,
+  orderController.cancelOrder
+);
+
+/**
+ * @swagger
+ * /api/orders/{orderId}/retry-assignment:
+ *   post:
+ *     summary: Restart the assignment of a timed-out order
+ *     description: |
+ *       Move a timed-out order back to pending and open a new assignment round with a fresh attempt budget.
+ *       Earlier rounds stay in driverAssignments (each offer records its round) and statusHistory.
+ *       The order is offered to the next-best driver and the auto-reassignment cycle starts again;
+ *       if no driver is available it times out again straight away.
+ *       The transition is recorded with the caller's role as actor and their token subject as actorId.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RetryAssignmentRequest'
+ *     responses:
+ *       200:
+ *         description: New assignment round started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrderResponse'
  *       400:
- *         description: Bad request - Missing required fields
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
  *       404:
- *         description: Order not found
+ *         $ref: '#/components/responses/NotFound'
+ *       409:
+ *         description: Order has not timed out
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiError'
  *       500:
- *         description: Server error
+ *         $ref: '#/components/responses/ServerError'
  */
-router.post('/:orderId/driver-response', orderController.handleDriverResponse);
+router.post(
+  '/:orderId/retry-assignment',
+  authorize(Role.CUSTOMER, Role.OPS),
+  validate({ params: orderIdParamsSchema, body: retryAssignmentSchema }),
+  requireOrderAccess,
+  orderController.retryAssignment
+);
 
 module.exports = router; 
\ No newline at end of file
@@ -0,0 +1,252 @@
+/**
+ * @fileoverview Webhook Routes
+ * @module routes/webhookRoutes
+ * @requires express
+ * @requires ../controllers/webhookController
+ * @requires ../middleware/validate
+ * @requires ../middleware/auth
+ * @requires ../utils/authToken
+ * @requires ../validation/webhookSchemas
+ */
+
+const express = require('express');
+const webhookController = require('../controllers/webhookController');
+const { validate } = require('../middleware/validate');
+const { authorize } = require('../middleware/auth');
+const { Role } = require('../utils/authToken');
+const {
+  webhookIdParamsSchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  listDeliveriesQuerySchema,
+} = require('../validation/webhookSchemas');
+const router = express.Router();
+
+// Webhooks are integration settings; only operations staff manage them
+router.use(authorize(Role.OPS));
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   post:
+ *     summary: Register a webhook
+ *     description: |
+ *       Subscribe a URL to the order events of one merchant. Each delivery is a POST signed with HMAC-SHA256
+ *       in the X-Webhook-Signature header (`sha256=<hex>` of `<X-Webhook-Timestamp>.<body>`).
+ *       The secret is only returned in this response.
+ *     tags: [Webhooks]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/CreateWebhookRequest'
+ *     responses:
+ *       201:
+ *         description: Webhook registered successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.post('/', validate({ body: createWebhookSchema }), webhookController.createWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks:
+ *   get:
+ *     summary: List webhooks
+ *     description: List registered webhook subscriptions (secrets are not included)
+ *     tags: [Webhooks]
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookListResponse'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/', webhookController.listWebhooks);
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   get:
+ *     summary: Get webhook by ID
+ *     description: Retrieve a webhook subscription (the secret is not included)
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get('/:webhookId', validate({ params: webhookIdParamsSchema }), webhookController.getWebhookById);
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   patch:
+ *     summary: Update webhook
+ *     description: Change the target URL, event filter, secret or active state of a webhook
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UpdateWebhookRequest'
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.patch(
+  '/:webhookId',
+  validate({ params: webhookIdParamsSchema, body: updateWebhookSchema }),
+  webhookController.updateWebhook
+);
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}:
+ *   delete:
+ *     summary: Remove webhook
+ *     description: Remove a webhook subscription; pending retries for it are dropped
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *     responses:
+ *       200:
+ *         description: Webhook removed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/MessageResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.delete('/:webhookId', validate({ params: webhookIdParamsSchema }), webhookController.deleteWebhook);
+
+/**
+ * @swagger
+ * /api/webhooks/{webhookId}/deliveries:
+ *   get:
+ *     summary: Get webhook delivery log
+ *     description: List deliveries of a webhook, newest first, with every attempt and its result
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Webhook ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, succeeded, failed]
+ *       - in: query
+ *         name: event
+ *         schema:
+ *           type: string
+ *           enum: [assigned, reassigned, timed_out, accepted, cancelled, delivered, human_agent_requested]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/WebhookDeliveryListResponse'
+ *       400:
+ *         $ref: '#/components/responses/BadRequest'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotFound'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+router.get(
+  '/:webhookId/deliveries',
+  validate({ params: webhookIdParamsSchema, query: listDeliveriesQuerySchema }),
+  webhookController.listWebhookDeliveries
+);
+
+module.exports = router;
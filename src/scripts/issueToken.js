@@ -0,0 +1,30 @@
+/**
+ * @fileoverview Command-line helper that issues signed access tokens
+ * @module scripts/issueToken
+ * @requires dotenv
+ * @requires ../utils/authToken
+ * @example
+ * npm run token -- ops ops-1
+ * npm run token -- driver <driverId> 3600
+ */
+
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+const { Role, signToken } = require('../utils/authToken');
+
+const [role, sub, expiresIn] = process.argv.slice(2);
+
+if (!role || !sub) {
+  console.error(`Usage: npm run token -- <${Object.values(Role).join('|')}> <subjectId> [expiresInSeconds]`);
+  process.exit(1);
+}
+
+try {
+  const options = expiresIn ? { expiresIn: parseInt(expiresIn, 10) } : {};
+  console.log(signToken({ role, sub }, options));
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Development channel that writes notifications to the log or a file
+ * @module services/channels/devChannel
+ * @requires fs
+ * @requires path
+ * @requires crypto
+ * @requires ../../utils/logger
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../../utils/logger');
+
+/**
+ * @class DevChannel
+ * @description Stands in for a real channel during local development.
+ * Nothing leaves the machine: messages go to the log (`console`) or to a JSON-lines file (`file`).
+ */
+class DevChannel {
+  /**
+   * Create the channel
+   * @param {string} name - Channel it stands in for (push, sms, email)
+   * @param {Object} [options={}] - Output settings
+   * @param {string} [options.output='console'] - console or file
+   * @param {string} [options.filePath] - JSON-lines file used by the file output
+   */
+  constructor(name, { output = 'console', filePath } = {}) {
+    this.name = name;
+    this.output = output;
+    this.filePath = filePath;
+  }
+
+  /**
+   * Address the real channel would use
+   * @method getRecipient
+   * @param {Object} customer - Customer
+   * @returns {string} Phone, email or push token, or the customer ID when missing
+   */
+  getRecipient(customer) {
+    const addresses = { sms: customer.phone, email: customer.email, push: customer.pushToken };
+    return addresses[this.name] || customer._id;
+  }
+
+  /**
+   * "Send" a message
+   * @async
+   * @param {Object} customer - Customer
+   * @param {ChannelMessage} notification - Message to send
+   * @returns {Promise<{providerMessageId: string}>} Generated message ID
+   */
+  async send(customer, notification) {
+    const providerMessageId = `dev_${crypto.randomBytes(8).toString('hex')}`;
+    const entry = {
+      id: providerMessageId,
+      channel: this.name,
+      to: this.getRecipient(customer),
+      orderId: notification.orderId,
+      title: notification.title,
+      message: notification.message,
+      sentAt: new Date().toISOString(),
+    };
+
+    if (this.output === 'file') {
+      await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+    } else {
+      logger.info(`[${this.name}] to ${entry.to}: ${entry.message}`, { orderId: entry.orderId });
+    }
+
+    return { providerMessageId };
+  }
+}
+
+module.exports = {
+  DevChannel,
+};
@@ -0,0 +1,61 @@
+/**
+ * @fileoverview Email channel backed by the SendGrid Mail Send API
+ * @module services/channels/emailChannel
+ * @requires axios
+ */
+
+const axios = require('axios');
+
+/**
+ * @class EmailChannel
+ * @description Sends notifications as plain-text email through SendGrid
+ */
+class EmailChannel {
+  /**
+   * Create the channel
+   * @param {Object} options - SendGrid settings
+   * @param {string} options.apiKey - SendGrid API key
+   * @param {string} options.from - Sender address
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   */
+  constructor({ apiKey, from, timeout = 10000 }) {
+    this.name = 'email';
+    this.apiKey = apiKey;
+    this.from = from;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Send a message to the customer's email address
+   * @async
+   * @param {Object} customer - Customer (needs email)
+   * @param {ChannelMessage} notification - Message to send
+   * @returns {Promise<{providerMessageId: string|null}>} SendGrid message ID
+   * @throws {Error} If the customer has no email or SendGrid rejects the message
+   */
+  async send(customer, notification) {
+    if (!customer.email) {
+      throw new Error('Customer has no email address');
+    }
+
+    const response = await axios.post(
+      'https://api.sendgrid.com/v3/mail/send',
+      {
+        personalizations: [{ to: [{ email: customer.email }] }],
+        from: { email: this.from },
+        subject: notification.title,
+        content: [{ type: 'text/plain', value: notification.message }],
+      },
+      {
+        headers: { Authorization: `Bearer ${this.apiKey}` },
+        timeout: this.timeout,
+      }
+    );
+
+    return { providerMessageId: response.headers['x-message-id'] || null };
+  }
+}
+
+module.exports = {
+  EmailChannel,
+};
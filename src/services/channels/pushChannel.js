@@ -0,0 +1,68 @@
+/**
+ * @fileoverview Push channel backed by the Expo push notification service
+ * @module services/channels/pushChannel
+ * @requires axios
+ */
+
+const axios = require('axios');
+
+/**
+ * @class PushChannel
+ * @description Sends notifications to the customer's app through Expo push
+ */
+class PushChannel {
+  /**
+   * Create the channel
+   * @param {Object} options - Expo settings
+   * @param {string} [options.url='https://exp.host/--/api/v2/push/send'] - Push API endpoint
+   * @param {string} [options.accessToken] - Expo access token, when push security is enabled
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   */
+  constructor({ url = 'https://exp.host/--/api/v2/push/send', accessToken, timeout = 10000 }) {
+    this.name = 'push';
+    this.url = url;
+    this.accessToken = accessToken;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Send a message to the customer's device
+   * @async
+   * @param {Object} customer - Customer (needs pushToken)
+   * @param {ChannelMessage} notification - Message to send
+   * @returns {Promise<{providerMessageId: string}>} Expo push ticket ID
+   * @throws {Error} If the customer has no push token or Expo rejects the message
+   */
+  async send(customer, notification) {
+    if (!customer.pushToken) {
+      throw new Error('Customer has no push token');
+    }
+
+    const response = await axios.post(
+      this.url,
+      {
+        to: customer.pushToken,
+        title: notification.title,
+        body: notification.message,
+        data: { orderId: notification.orderId, type: notification.queryType },
+      },
+      {
+        headers: this.accessToken ? { Authorization: `Bearer ${this.accessToken}` } : {},
+        timeout: this.timeout,
+      }
+    );
+
+    // Expo answers 200 with a ticket that may still carry an error
+    const ticket = response.data.data;
+
+    if (ticket.status !== 'ok') {
+      throw new Error(`Push rejected: ${ticket.message}`);
+    }
+
+    return { providerMessageId: ticket.id };
+  }
+}
+
+module.exports = {
+  PushChannel,
+};
@@ -0,0 +1,58 @@
+/**
+ * @fileoverview SMS channel backed by the Twilio Messages API
+ * @module services/channels/smsChannel
+ * @requires axios
+ */
+
+const axios = require('axios');
+
+/**
+ * @class SmsChannel
+ * @description Sends notifications as SMS through Twilio
+ */
+class SmsChannel {
+  /**
+   * Create the channel
+   * @param {Object} options - Twilio settings
+   * @param {string} options.accountSid - Twilio account SID
+   * @param {string} options.authToken - Twilio auth token
+   * @param {string} options.from - Sender phone number
+   * @param {number} [options.timeout=10000] - Request timeout in milliseconds
+   */
+  constructor({ accountSid, authToken, from, timeout = 10000 }) {
+    this.name = 'sms';
+    this.accountSid = accountSid;
+    this.authToken = authToken;
+    this.from = from;
+    this.timeout = timeout;
+  }
+
+  /**
+   * Send a message to the customer's phone
+   * @async
+   * @param {Object} customer - Customer (needs phone)
+   * @param {ChannelMessage} notification - Message to send
+   * @returns {Promise<{providerMessageId: string}>} Twilio message SID
+   * @throws {Error} If the customer has no phone or Twilio rejects the message
+   */
+  async send(customer, notification) {
+    if (!customer.phone) {
+      throw new Error('Customer has no phone number');
+    }
+
+    const response = await axios.post(
+      `https://api.twilio.com/2010-04-01/Accounts/${this.accountSid}/Messages.json`,
+      new URLSearchParams({ To: customer.phone, From: this.from, Body: notification.message }),
+      {
+        auth: { username: this.accountSid, password: this.authToken },
+        timeout: this.timeout,
+      }
+    );
+
+    return { providerMessageId: response.data.sid };
+  }
+}
+
+module.exports = {
+  SmsChannel,
+};
@@ -0,0 +1,288 @@
+/**
+ * @fileoverview Chat Action Service: order actions the chatbot may propose through tool calling
+ * @module services/chatActionService
+ * @requires ./orderAssignmentService
+ * @requires ../models/ChatAction
+ * @requires ../models/Order
+ * @requires ../utils/logger
+ */
+
+const orderAssignmentService = require('./orderAssignmentService');
+const { ChatAction, ChatActionName, ChatActionStatus } = require('../models/ChatAction');
+const { OrderStatus, OrderTransitions, TransitionActor } = require('../models/Order');
+const logger = require('../utils/logger');
+
+/**
+ * Whitelisted actions. Only these are offered to the model as tools, and only after the
+ * customer confirms them are they executed through OrderAssignmentService.
+ * @readonly
+ * @type {Object<string, Object>}
+ */
+const CHAT_ACTIONS = {
+  [ChatActionName.CANCEL_ORDER]: {
+    description: 'Cancela o pedido quando o cliente pede explicitamente para cancelar ou desistir.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Motivo do cancelamento nas palavras do cliente' },
+      },
+    },
+    isAvailable: status => (OrderTransitions[status] || []).includes(OrderStatus.CANCELLED),
+    confirmation: orderId => `Você confirma o cancelamento do pedido #${orderId}? Responda "sim" para cancelar ou "não" para manter o pedido.`,
+    execute: (orderId, customerId, args) => orderAssignmentService.cancelOrder(orderId, {
+      reason: args.reason || 'Cancelado pelo cliente via chat',
+      actor: TransitionActor.CUSTOMER,
+      actorId: customerId,
+    }),
+    success: (orderId) => `Pronto! O pedido #${orderId} foi cancelado.`,
+  },
+  [ChatActionName.RESTART_ASSIGNMENT]: {
+    description: 'Procura novamente um motorista para um pedido que expirou sem motorista, quando o cliente quer tentar de novo.',
+    parameters: { type: 'object', properties: {} },
+    isAvailable: status => status === OrderStatus.TIMEOUT,
+    confirmation: orderId => `Quer que procuremos um novo motorista para o pedido #${orderId}? Responda "sim" para confirmar ou "não" para desistir.`,
+    execute: (orderId, customerId) => orderAssignmentService.retryAssignment(orderId, {
+      reason: 'Reiniciado pelo cliente via chat',
+      actor: TransitionActor.CUSTOMER,
+      actorId: customerId,
+    }),
+    success: (orderId, order) => (order.status === OrderStatus.TIMEOUT
+      ? `Tentamos novamente, mas ainda não há motoristas disponíveis para o pedido #${orderId}. Você pode tentar mais tarde ou cancelar o pedido.`
+      : `Combinado! Estamos procurando um novo motorista para o pedido #${orderId}.`),
+  },
+  [ChatActionName.REQUEST_HUMAN_AGENT]: {
+    description: 'Transfere a conversa para um atendente humano quando o cliente pede ou o problema não pode ser resolvido pelo assistente.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: { type: 'string', description: 'Resumo do que o cliente precisa' },
+      },
+    },
+    isAvailable: () => true,
+    confirmation: orderId => `Deseja falar com um atendente humano sobre o pedido #${orderId}? Responda "sim" para confirmar ou "não" para continuar comigo.`,
+    execute: (orderId, customerId, args) => orderAssignmentService.requestHumanAgent(orderId, {
+      reason: args.reason || 'Solicitado pelo cliente via chat',
+      actor: TransitionActor.CUSTOMER,
+      actorId: customerId,
+    }),
+    success: (orderId) => `Um atendente humano vai assumir a conversa sobre o pedido #${orderId} em breve.`,
+  },
+};
+
+/**
+ * First words that confirm or decline a proposed action (accents removed)
+ * @readonly
+ * @type {Object<string, string[]>}
+ */
+const CONFIRMATION_WORDS = {
+  confirmed: ['sim', 'confirmo'],
+  declined: ['nao', 'negativo'],
+};
+
+/**
+ * @class ChatActionService
+ * @description Proposes, confirms and executes chat actions, keeping a ChatAction record of each
+ */
+class ChatActionService {
+  /**
+   * Constructor for ChatActionService
+   * @constructor
+   */
+  constructor() {
+    // How long a proposed action waits for the customer's confirmation
+    this.confirmationTtl = parseInt(process.env.CHAT_ACTION_CONFIRMATION_TTL_MS || '300000');
+  }
+
+  /**
+   * Tool definitions, in OpenAI format, for the actions available in an order status
+   * @function getAvailableTools
+   * @param {string} status - Order status
+   * @returns {Object[]} Tools
+   */
+  getAvailableTools(status) {
+    return Object.entries(CHAT_ACTIONS)
+      .filter(([, action]) => action.isAvailable(status))
+      .map(([name, action]) => ({
+        type: 'function',
+        function: { name, description: action.description, parameters: action.parameters },
+      }));
+  }
+
+  /**
+   * Latest action of the conversation still waiting for confirmation.
+   * Actions left unanswered past the confirmation window are expired.
+   * @async
+   * @function findPendingAction
+   * @param {string} orderId - Order ID
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<ChatAction|null>} Pending action
+   */
+  async findPendingAction(orderId, customerId) {
+    const actions = await ChatAction.find({
+      orderId,
+      customerId,
+      status: ChatActionStatus.AWAITING_CONFIRMATION,
+    });
+    const now = Date.now();
+    let pending = null;
+
+    for (const action of actions.sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))) {
+      if (now - new Date(action.createdAt).getTime() > this.confirmationTtl) {
+        await this.expire(action);
+      } else {
+        pending = action;
+      }
+    }
+
+    return pending;
+  }
+
+  /**
+   * Tell whether an action can still run for an order in the given status
+   * @function isAvailable
+   * @param {string} name - Action name (see ChatActionName)
+   * @param {string} status - Order status
+   * @returns {boolean} True when the action is whitelisted and allowed in that status
+   */
+  isAvailable(name, status) {
+    return Boolean(CHAT_ACTIONS[name]) && CHAT_ACTIONS[name].isAvailable(status);
+  }
+
+  /**
+   * Record an action the model asked for and build the confirmation question
+   * @async
+   * @function propose
+   * @param {string} orderId - Order ID
+   * @param {string} customerId - Customer ID
+   * @param {{name: string, arguments: Object}} toolCall - Tool call returned by the model
+   * @returns {Promise<{action: ChatAction, response: string}>} Action and confirmation question
+   */
+  async propose(orderId, customerId, toolCall) {
+    const action = await new ChatAction({
+      orderId,
+      customerId,
+      name: toolCall.name,
+      arguments: toolCall.arguments,
+    }).save();
+
+    logger.info(`Chat action ${action.name} proposed for order ${orderId}`, {
+      actionId: action._id,
+      customerId,
+      arguments: action.arguments,
+    });
+
+    return { action, response: CHAT_ACTIONS[action.name].confirmation(orderId) };
+  }
+
+  /**
+   * Tell whether a message answers a confirmation question
+   * @function interpretConfirmation
+   * @param {string} message - Customer message
+   * @returns {string|null} `confirmed`, `declined`, or null when the message is about something else
+   */
+  interpretConfirmation(message) {
+    const [firstWord = ''] = message
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toLowerCase()
+      .split(/[^a-z]+/)
+      .filter(Boolean);
+
+    return Object.keys(CONFIRMATION_WORDS).find(answer => CONFIRMATION_WORDS[answer].includes(firstWord)) || null;
+  }
+
+  /**
+   * Execute a confirmed action through OrderAssignmentService
+   * @async
+   * @function execute
+   * @param {ChatAction} action - Confirmed action
+   * @returns {Promise<{action: ChatAction, response: string}>} Updated action and the answer for the customer
+   */
+  async execute(action) {
+    const definition = CHAT_ACTIONS[action.name];
+
+    try {
+      const order = await definition.execute(action.orderId, action.customerId, action.arguments);
+      await action.resolve(ChatActionStatus.EXECUTED);
+
+      logger.info(`Chat action ${action.name} executed for order ${action.orderId}`, {
+        actionId: action._id,
+        customerId: action.customerId,
+      });
+
+      return { action, response: definition.success(action.orderId, order) };
+    } catch (error) {
+      await action.resolve(ChatActionStatus.FAILED, error.message);
+
+      logger.error(`Chat action ${action.name} failed for order ${action.orderId}: ${error.message}`, {
+        actionId: action._id,
+        customerId: action.customerId,
+      });
+
+      return {
+        action,
+        response: `Não conseguimos concluir essa solicitação para o pedido #${action.orderId}. Se precisar, peça para falar com um atendente.`,
+      };
+    }
+  }
+
+  /**
+   * Record a confirmed action that no longer applies because the order changed status
+   * @async
+   * @function withdraw
+   * @param {ChatAction} action - Confirmed action
+   * @param {string} status - Current order status
+   * @returns {Promise<{action: ChatAction, response: string}>} Updated action and the answer for the customer
+   */
+  async withdraw(action, status) {
+    await action.resolve(ChatActionStatus.FAILED, `Not available for order status ${status}`);
+
+    logger.warn(`Chat action ${action.name} withdrawn for order ${action.orderId} in status ${status}`, {
+      actionId: action._id,
+      customerId: action.customerId,
+    });
+
+    return {
+      action,
+      response: `Essa solicitação não pode mais ser feita: o pedido #${action.orderId} mudou de status. Nada foi alterado.`,
+    };
+  }
+
+  /**
+   * Record that the customer declined an action
+   * @async
+   * @function decline
+   * @param {ChatAction} action - Proposed action
+   * @returns {Promise<{action: ChatAction, response: string}>} Updated action and the answer for the customer
+   */
+  async decline(action) {
+    await action.resolve(ChatActionStatus.DECLINED);
+
+    logger.info(`Chat action ${action.name} declined for order ${action.orderId}`, {
+      actionId: action._id,
+      customerId: action.customerId,
+    });
+
+    return { action, response: `Tudo bem, nada foi alterado no pedido #${action.orderId}.` };
+  }
+
+  /**
+   * Drop an action the customer never confirmed
+   * @async
+   * @function expire
+   * @param {ChatAction} action - Proposed action
+   * @returns {Promise<ChatAction>} Updated action
+   */
+  async expire(action) {
+    await action.resolve(ChatActionStatus.EXPIRED);
+
+    logger.info(`Chat action ${action.name} expired for order ${action.orderId}`, {
+      actionId: action._id,
+      customerId: action.customerId,
+    });
+
+    return action;
+  }
+}
+
+module.exports = new ChatActionService();
@@ -3,13 +3,86 @@
  * @module services/customerNotificationService
  * @requires ./openaiService
  * @requires ./orderAssignmentService
+ * @requires ./notificationDeliveryService
+ * @requires ./chatActionService
+ * @requires ./metricsService
+ * @requires ../events/orderEvents
+ * @requires ../models/Notification
+ * @requires ../models/Order
+ * @requires ../models/ChatExchange
+ * @requires ../utils/slidingWindowLimiter
  * @requires ../utils/logger
  */
 
 const openaiService = require('./openaiService');
 const orderAssignmentService = require('./orderAssignmentService');
+const notificationDeliveryService = require('./notificationDeliveryService');
+const chatActionService = require('./chatActionService');
+const metricsService = require('./metricsService');
+const { OrderEvent, orderEvents } = require('../events/orderEvents');
+const { Notification, NotificationStatus } = require('../models/Notification');
+const { OrderStatus } = require('../models/Order');
+const { ChatExchange, ChatIntent } = require('../models/ChatExchange');
+const { SlidingWindowLimiter } = require('../utils/slidingWindowLimiter');
 const logger = require('../utils/logger');
 
+/**
+ * Title of each notification type, used as email subject and push title
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const NOTIFICATION_TITLES = {
+  general_status: 'Atualização do seu pedido',
+  reassignment_reason: 'Novo motorista para o seu pedido',
+  delay_explanation: 'Seu pedido está atrasado',
+  timeout_explanation: 'Não encontramos um motorista para o seu pedido',
+  cancellation_notice: 'Seu pedido foi cancelado',
+};
+
+/**
+ * Notification types that always reach the customer, whatever the rate limits say
+ * @constant {string[]}
+ */
+const CRITICAL_NOTIFICATION_TYPES = ['timeout_explanation', 'cancellation_notice'];
+
+/**
+ * Order statuses after which no further notifications are expected
+ * @constant {string[]}
+ */
+const FINISHED_ORDER_STATUSES = [
+  OrderStatus.DELIVERED,
+  OrderStatus.COMPLETED,
+  OrderStatus.CANCELLED,
+  OrderStatus.TIMEOUT,
+];
+
+/**
+ * Response template (query type) used to answer each chat intent
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const INTENT_QUERY_TYPES = {
+  [ChatIntent.STATUS]: 'general_status',
+  [ChatIntent.DELAY]: 'delay_explanation',
+  [ChatIntent.REASSIGNMENT]: 'reassignment_reason',
+  [ChatIntent.CANCEL_REQUEST]: 'timeout_explanation',
+  [ChatIntent.ADDRESS_CHANGE]: 'general_status',
+  [ChatIntent.COMPLAINT]: 'delay_explanation',
+  [ChatIntent.OTHER]: 'general_status',
+};
+
+/**
+ * Substrings that identify an intent when the classifier is unavailable, checked in order
+ * @constant {Array<{intent: string, keywords: string[]}>}
+ */
+const INTENT_KEYWORDS = [
+  { intent: ChatIntent.DELAY, keywords: ['atraso', 'demora'] },
+  { intent: ChatIntent.REASSIGNMENT, keywords: ['novo motorista', 'reatribuição'] },
+  { intent: ChatIntent.CANCEL_REQUEST, keywords: ['cancelar', 'cancelamento', 'desistir'] },
+  { intent: ChatIntent.ADDRESS_CHANGE, keywords: ['endereço'] },
+  { intent: ChatIntent.COMPLAINT, keywords: ['reclamação', 'reclamar'] },
+];
+
 /**
  * @class CustomerNotificationService
  * @description Service to handle customer notifications about order status
@@ -22,14 +95,44 @@ class CustomerNotificationService {
   constructor() {
     // Configure notification settings
     this.enableReassignmentNotifications = process.env.ENABLE_REASSIGNMENT_NOTIFICATIONS === 'true';
-    this.maxNotificationsPerOrder = parseInt(process.env.MAX_NOTIFICATIONS_PER_ORDER || '3');
     
-    // Track notifications sent per order to prevent spam
-    this.notificationCounters = new Map();
+    // 'openai' classifies chat messages with the model; 'keywords' stays offline
+    this.intentClassifier = process.env.CHAT_INTENT_CLASSIFIER || 'openai';
+    
+    // Sliding windows per order and per customer prevent spam without silencing long-running orders
+    this.orderLimiter = new SlidingWindowLimiter({
+      limit: parseInt(process.env.MAX_NOTIFICATIONS_PER_ORDER || '3'),
+      windowMs: parseInt(process.env.NOTIFICATION_ORDER_WINDOW_MS || '600000'),
+    });
+    this.customerLimiter = new SlidingWindowLimiter({
+      limit: parseInt(process.env.MAX_NOTIFICATIONS_PER_CUSTOMER || '10'),
+      windowMs: parseInt(process.env.NOTIFICATION_CUSTOMER_WINDOW_MS || '3600000'),
+    });
+    
+    this.subscribeToOrderEvents();
     
     logger.info(`CustomerNotificationService initialized. Reassignment notifications enabled: ${this.enableReassignmentNotifications}`);
   }
   
+  /**
+   * Notify customers whenever an order is reassigned, times out or is cancelled,
+   * whichever code path caused it
+   * @function subscribeToOrderEvents
+   */
+  subscribeToOrderEvents() {
+    orderEvents.subscribe(OrderEvent.REASSIGNED, ({ orderId, customerId, reassignmentCount }) =>
+      this.notifyCustomerAboutReassignment(orderId, customerId, reassignmentCount));
+    
+    orderEvents.subscribe(OrderEvent.TIMED_OUT, ({ orderId, customerId }) =>
+      this.notifyCustomerAboutTimeout(orderId, customerId));
+    
+    orderEvents.subscribe(OrderEvent.CANCELLED, ({ orderId, customerId }) =>
+      this.notifyCustomerAboutCancellation(orderId, customerId));
+    
+    // Delivered orders get no notification, so their counters are released here
+    orderEvents.subscribe(OrderEvent.DELIVERED, ({ orderId }) => this.releaseOrder(orderId));
+  }
+  
   /**
    * Generate and send order status notification to customer
    * @async
@@ -41,14 +144,22 @@ class CustomerNotificationService {
    */
   async notifyCustomerAboutOrderStatus(orderId, customerId, queryType = 'general_status') {
     try {
-      // Check notification limit for this order
-      if (this.shouldLimitNotifications(orderId)) {
-        logger.warn(`Notification limit reached for order ${orderId}`);
+      // Check notification limits for this order and customer
+      const limit = this.checkRateLimit(orderId, customerId, queryType);
+      
+      if (limit) {
+        logger.warn(`Notification limit reached for ${limit.limitedBy} of order ${orderId}`, {
+          customerId,
+          queryType,
+          retryAfterMs: limit.retryAfterMs,
+        });
+        metricsService.recordNotification(queryType, 'limited');
         return {
           success: false,
           orderId,
           customerId,
-          message: 'Notification limit reached for this order',
+          message: `Notification limit reached for this ${limit.limitedBy}`,
+          ...limit,
         };
       }
       
@@ -57,33 +168,73 @@ class CustomerNotificationService {
       
       // Generate message using OpenAI
       const startTime = Date.now();
-      const message = await openaiService.generateOrderStatusMessage(orderStatus, queryType);
+      const { message, source, model, tokenUsage } = await openaiService.composeOrderStatusMessage(orderStatus, queryType);
       const responseTime = Date.now() - startTime;
       
-      // Log notification
-      this.incrementNotificationCounter(orderId);
-      
-      logger.info(`Customer notification sent for order ${orderId}`, {
+      // Send it on the customer's preferred channels
+      const delivery = await notificationDeliveryService.deliver(customerId, {
+        orderId,
         customerId,
         queryType,
-        responseTime,
-        notificationCount: this.getNotificationCount(orderId),
+        title: NOTIFICATION_TITLES[queryType] || NOTIFICATION_TITLES.general_status,
+        message,
       });
+      const delivered = delivery.status === NotificationStatus.DELIVERED;
       
-      // In a real system, you would actually send this message to the customer
-      // through your notification channel (SMS, email, app notification, etc.)
+      // Keep what the customer was told for support agents
+      const notification = await new Notification({
+        orderId,
+        customerId,
+        queryType,
+        message,
+        source,
+        model,
+        tokenUsage,
+        channel: delivery.channel,
+        status: delivery.status,
+        deliveryAttempts: delivery.attempts,
+      }).save();
+      
+      // Only messages that reached the customer count towards the limit
+      if (delivered) {
+        this.recordSentNotification(orderId, customerId);
+        
+        logger.info(`Customer notification sent for order ${orderId}`, {
+          customerId,
+          queryType,
+          channel: delivery.channel,
+          responseTime,
+          notificationCount: this.getNotificationCount(orderId),
+        });
+        
+        if (FINISHED_ORDER_STATUSES.includes(orderStatus.status)) {
+          this.releaseOrder(orderId);
+        }
+      } else {
+        logger.warn(`Customer notification for order ${orderId} could not be delivered on any channel`, {
+          customerId,
+          queryType,
+          attempts: delivery.attempts.length,
+        });
+      }
+      
+      metricsService.recordNotification(queryType, delivered ? 'sent' : 'failed');
       
       return {
-        success: true,
+        success: delivered,
+        notificationId: notification._id,
         orderId,
         customerId,
         queryType,
         message,
-        sentAt: new Date().toISOString(),
+        channel: delivery.channel,
+        delivery,
+        sentAt: delivered ? new Date().toISOString() : null,
         responseTime,
       };
     } catch (error) {
       logger.error(`Error sending notification for order ${orderId}:`, error);
+      metricsService.recordNotification(queryType, 'failed');
       
       return {
         success: false,
@@ -133,33 +284,71 @@ class CustomerNotificationService {
   }
   
   /**
-   * Check if we should limit notifications for this order
-   * @function shouldLimitNotifications
+   * Notify customer that their order was cancelled
+   * @async
+   * @function notifyCustomerAboutCancellation
+   * @param {string} orderId - Order ID
+   * @param {string} customerId - Customer ID
+   * @returns {Promise<Object>} Notification details
+   */
+  async notifyCustomerAboutCancellation(orderId, customerId) {
+    return this.notifyCustomerAboutOrderStatus(orderId, customerId, 'cancellation_notice');
+  }
+  
+  /**
+   * Check the order and customer windows; critical notification types are never limited
+   * @function checkRateLimit
    * @param {string} orderId - Order ID
-   * @returns {boolean} Whether to limit notifications
+   * @param {string} customerId - Customer ID
+   * @param {string} queryType - Notification type
+   * @returns {Object|null} `{ limitedBy, retryAfterMs }` when limited, otherwise null
    */
-  shouldLimitNotifications(orderId) {
-    return this.getNotificationCount(orderId) >= this.maxNotificationsPerOrder;
+  checkRateLimit(orderId, customerId, queryType) {
+    if (CRITICAL_NOTIFICATION_TYPES.includes(queryType)) {
+      return null;
+    }
+    
+    if (this.orderLimiter.isLimited(orderId)) {
+      return { limitedBy: 'order', retryAfterMs: this.orderLimiter.getRetryAfter(orderId) };
+    }
+    
+    if (this.customerLimiter.isLimited(customerId)) {
+      return { limitedBy: 'customer', retryAfterMs: this.customerLimiter.getRetryAfter(customerId) };
+    }
+    
+    return null;
   }
   
   /**
-   * Get notification count for an order
+   * Get the number of notifications sent for an order within its window
    * @function getNotificationCount
    * @param {string} orderId - Order ID
    * @returns {number} Notification count
    */
   getNotificationCount(orderId) {
-    return this.notificationCounters.get(orderId) || 0;
+    return this.orderLimiter.getCount(orderId);
   }
   
   /**
-   * Increment notification counter for an order
-   * @function incrementNotificationCounter
+   * Count a delivered notification against the order and customer windows
+   * @function recordSentNotification
    * @param {string} orderId - Order ID
+   * @param {string} customerId - Customer ID
    */
-  incrementNotificationCounter(orderId) {
-    const currentCount = this.getNotificationCount(orderId);
-    this.notificationCounters.set(orderId, currentCount + 1);
+  recordSentNotification(orderId, customerId) {
+    this.orderLimiter.record(orderId);
+    this.customerLimiter.record(customerId);
+  }
+  
+  /**
+   * Forget the counters of a finished order; the customer window keeps counting
+   * @function releaseOrder
+   * @param {string} orderId - Order ID
+   */
+  releaseOrder(orderId) {
+    if (this.orderLimiter.evict(orderId)) {
+      logger.debug(`Released notification counters for finished order ${orderId}`);
+    }
   }
   
   /**
@@ -172,30 +361,51 @@ class CustomerNotificationService {
    * @returns {Promise<Object>} Chatbot response
    */
   async handleCustomerChatbotQuery(orderId, customerId, query) {
+    const receivedAt = new Date();
+    
     try {
-      // Determine query type from text
-      const queryType = this.determineQueryType(query);
-      
-      // Get response from OpenAI
-      const orderStatus = await orderAssignmentService.getOrderStatus(orderId);
-      
       const startTime = Date.now();
-      const response = await openaiService.generateOrderStatusMessage(orderStatus, queryType);
+      const answer = await this.answerChatQuery(orderId, customerId, query);
       const responseTime = Date.now() - startTime;
+      const { intent, confidence, scores, queryType, response, action } = answer;
+      
+      // Keep the exchange so the conversation can be reviewed later
+      const exchange = await new ChatExchange({
+        orderId,
+        customerId,
+        message: query,
+        intent,
+        intentConfidence: confidence,
+        intentScores: scores,
+        queryType,
+        response,
+        responseTime,
+        action: action && { actionId: action._id, name: action.name, status: action.status },
+        createdAt: receivedAt,
+      }).save();
       
       logger.info(`Chatbot response generated for order ${orderId}`, {
         customerId,
+        intent,
         queryType,
         responseTime,
+        source: answer.source,
+        contextTurns: answer.contextTurns,
+        exchangeId: exchange._id,
       });
       
       return {
         success: true,
+        exchangeId: exchange._id,
         orderId,
         customerId,
+        intent,
+        intentConfidence: confidence,
+        intentScores: scores,
         queryType,
         response,
-        timestamp: new Date().toISOString(),
+        action: exchange.action,
+        timestamp: exchange.respondedAt.toISOString(),
         responseTime,
       };
     } catch (error) {
@@ -211,28 +421,109 @@ class CustomerNotificationService {
   }
   
   /**
-   * Determine query type from customer message
-   * @function determineQueryType
+   * Work out the chatbot answer. A message that answers a pending confirmation question
+   * confirms or declines the proposed action; otherwise the model answers, and may propose
+   * one of the actions available for the order, which then waits for confirmation.
+   * @async
+   * @function answerChatQuery
+   * @param {string} orderId - Order ID
+   * @param {string} customerId - Customer ID
    * @param {string} query - Customer query text
-   * @returns {string} Query type
+   * @returns {Promise<Object>} `{ intent, confidence, scores, queryType, response, action, source, contextTurns }`
    */
-  determineQueryType(query) {
-    const queryLower = query.toLowerCase();
+  async answerChatQuery(orderId, customerId, query) {
+    const pendingAction = await chatActionService.findPendingAction(orderId, customerId);
     
-    if (queryLower.includes('atraso') || queryLower.includes('demora')) {
-      return 'delay_explanation';
+    if (pendingAction) {
+      const decision = chatActionService.interpretConfirmation(query);
+      
+      if (decision === 'confirmed') {
+        // The order may have moved on since the action was proposed
+        const { status } = await orderAssignmentService.getOrderStatus(orderId);
+        const { action, response } = chatActionService.isAvailable(pendingAction.name, status)
+          ? await chatActionService.execute(pendingAction)
+          : await chatActionService.withdraw(pendingAction, status);
+        
+        return { intent: null, confidence: null, scores: null, queryType: 'action_confirmation', response, action, source: 'action' };
+      }
+      
+      if (decision === 'declined') {
+        const { action, response } = await chatActionService.decline(pendingAction);
+        
+        return { intent: null, confidence: null, scores: null, queryType: 'action_confirmation', response, action, source: 'action' };
+      }
+      
+      // The customer moved on without answering; the proposal is dropped
+      await chatActionService.expire(pendingAction);
     }
     
-    if (queryLower.includes('novo motorista') || queryLower.includes('reatribuição')) {
-      return 'reassignment_reason';
-    }
+    // Determine intent, and the answer template it calls for, from text
+    const { intent, confidence, scores } = await this.classifyQuery(query);
+    const queryType = INTENT_QUERY_TYPES[intent];
     
-    if (queryLower.includes('cancelar') || queryLower.includes('cancelamento')) {
-      return 'timeout_explanation';
+    const orderStatus = await orderAssignmentService.getOrderStatus(orderId);
+    
+    // Earlier turns of this order's conversation, oldest first, give the model context
+    const history = (await ChatExchange.find({ orderId, customerId }))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+    
+    // Get response from OpenAI
+    const reply = await openaiService.generateChatReply(orderStatus, queryType, {
+      message: query,
+      history,
+      tools: chatActionService.getAvailableTools(orderStatus.status),
+    });
+    
+    const proposal = reply.toolCall
+      ? await chatActionService.propose(orderId, customerId, reply.toolCall)
+      : { action: null, response: reply.message };
+    
+    return {
+      intent,
+      confidence,
+      scores,
+      queryType,
+      response: proposal.response,
+      action: proposal.action,
+      source: reply.source,
+      contextTurns: reply.contextTurns,
+    };
+  }
+  
+  /**
+   * Classify the intent of a customer message, falling back to keyword matching
+   * when the classifier is disabled or fails
+   * @async
+   * @function classifyQuery
+   * @param {string} query - Customer query text
+   * @returns {Promise<{intent: string, confidence: (number|null), scores: (Object|null), source: string}>} Intent
+   */
+  async classifyQuery(query) {
+    if (this.intentClassifier === 'openai') {
+      try {
+        const { intent, confidence, scores, source } = await openaiService.classifyIntent(query);
+        return { intent, confidence, scores, source };
+      } catch (error) {
+        logger.warn(`Intent classification failed, using keyword matching: ${error.message}`);
+      }
     }
     
+    return { intent: this.matchIntentByKeywords(query), confidence: null, scores: null, source: 'keywords' };
+  }
+  
+  /**
+   * Determine intent from keywords in the customer message
+   * @function matchIntentByKeywords
+   * @param {string} query - Customer query text
+   * @returns {string} Intent (ChatIntent value)
+   */
+  matchIntentByKeywords(query) {
+    const queryLower = query.toLowerCase();
+    const match = INTENT_KEYWORDS.find(({ keywords }) =>
+      keywords.some(keyword => queryLower.includes(keyword)));
+    
     // Default to general status
-    return 'general_status';
+    return match ? match.intent : ChatIntent.STATUS;
   }
 }
 
@@ -0,0 +1,254 @@
+/**
+ * @fileoverview Driver ranking strategies used when picking the next driver
+ * @module services/driverRankingStrategies
+ * @requires ../models/Order
+ */
+
+const { OrderStatus, AssignmentStatus } = require('../models/Order');
+
+/**
+ * A ranking strategy orders candidate drivers from best to worst.
+ * @typedef {Object} RankingStrategy
+ * @property {string} name - Strategy name
+ * @property {string} description - What the strategy optimises for
+ * @property {function(Object[], RankingContext): Object[]} rank - Returns candidates sorted best first
+ */
+
+/**
+ * Data available to strategies when ranking
+ * @typedef {Object} RankingContext
+ * @property {Object} [order] - Order being assigned
+ * @property {Object[]} [orders] - All orders, used as the assignment history
+ */
+
+/**
+ * Order statuses in which the current driver is still busy with the order
+ * @constant {string[]}
+ */
+const ACTIVE_ORDER_STATUSES = [OrderStatus.ACCEPTED, OrderStatus.PICKED_UP, OrderStatus.IN_TRANSIT];
+
+/**
+ * Compare two candidates by distance, unknown distances last
+ * @function compareDistance
+ * @param {Object} a - Candidate
+ * @param {Object} b - Candidate
+ * @returns {number} Sort comparison result
+ */
+const compareDistance = (a, b) => {
+  const aDistance = a.distanceKm === null || a.distanceKm === undefined ? null : a.distanceKm;
+  const bDistance = b.distanceKm === null || b.distanceKm === undefined ? null : b.distanceKm;
+
+  if (aDistance === null && bDistance === null) return 0;
+  if (aDistance === null) return 1;
+  if (bDistance === null) return -1;
+  return aDistance - bDistance;
+};
+
+/**
+ * Sort candidates by a numeric score, using distance to break ties
+ * @function sortByScore
+ * @param {Object[]} candidates - Candidate drivers
+ * @param {function(Object): number} score - Score for a candidate
+ * @param {string} [direction='asc'] - 'asc' for lowest first, 'desc' for highest first
+ * @returns {Object[]} Sorted copy of the candidates
+ */
+const sortByScore = (candidates, score, direction = 'asc') => {
+  const sign = direction === 'desc' ? -1 : 1;
+
+  return [...candidates].sort((a, b) => {
+    const diff = (score(a) - score(b)) * sign;
+    return diff !== 0 ? diff : compareDistance(a, b);
+  });
+};
+
+/**
+ * Flatten every driver assignment recorded on the given orders
+ * @function getAssignmentHistory
+ * @param {Object[]} [orders=[]] - Orders
+ * @returns {Object[]} Driver assignments
+ */
+const getAssignmentHistory = (orders = []) => orders.flatMap(order => order.driverAssignments || []);
+
+/**
+ * Rank candidates by distance to the order, closest first.
+ * Candidates with an unknown distance keep their relative order after the known ones.
+ * @type {RankingStrategy}
+ */
+const proximity = {
+  name: 'proximity',
+  description: 'Closest driver to the pickup/delivery point first',
+  rank(candidates) {
+    return [...candidates].sort(compareDistance);
+  },
+};
+
+/**
+ * Rotate through drivers by ID, starting after the most recently assigned driver
+ * @type {RankingStrategy}
+ */
+const roundRobin = {
+  name: 'round_robin',
+  description: 'Drivers take turns in a fixed rotation',
+  rank(candidates, { orders } = {}) {
+    const sorted = [...candidates].sort((a, b) => a.driverId.toString().localeCompare(b.driverId.toString()));
+    const lastAssignment = getAssignmentHistory(orders)
+      .reduce((latest, a) => (!latest || new Date(a.assignedAt) > new Date(latest.assignedAt) ? a : latest), null);
+
+    if (!lastAssignment) {
+      return sorted;
+    }
+
+    const lastDriverId = lastAssignment.driverId.toString();
+    const start = sorted.findIndex(c => c.driverId.toString() > lastDriverId);
+
+    return start <= 0 ? sorted : [...sorted.slice(start), ...sorted.slice(0, start)];
+  },
+};
+
+/**
+ * Prefer drivers who have waited longest since their last offer; never-assigned drivers first
+ * @type {RankingStrategy}
+ */
+const leastRecentlyAssigned = {
+  name: 'least_recently_assigned',
+  description: 'Driver whose last assignment is oldest first',
+  rank(candidates, { orders } = {}) {
+    const lastAssignedAt = new Map();
+
+    getAssignmentHistory(orders).forEach(a => {
+      const driverId = a.driverId.toString();
+      const assignedAt = new Date(a.assignedAt).getTime();
+      if (!lastAssignedAt.has(driverId) || assignedAt > lastAssignedAt.get(driverId)) {
+        lastAssignedAt.set(driverId, assignedAt);
+      }
+    });
+
+    return sortByScore(candidates, c => lastAssignedAt.get(c.driverId.toString()) || 0);
+  },
+};
+
+/**
+ * Prefer drivers who accept the most offers.
+ * The rate is smoothed so drivers without history start at 50% instead of 0% or 100%.
+ * @type {RankingStrategy}
+ */
+const acceptanceRate = {
+  name: 'acceptance_rate',
+  description: 'Driver with the highest acceptance rate first',
+  rank(candidates, { orders } = {}) {
+    const stats = new Map();
+
+    getAssignmentHistory(orders)
+      .filter(a => a.status !== AssignmentStatus.PENDING)
+      .forEach(a => {
+        const driverId = a.driverId.toString();
+        const driverStats = stats.get(driverId) || { offers: 0, accepted: 0 };
+        driverStats.offers += 1;
+        if (a.status === AssignmentStatus.ACCEPTED) {
+          driverStats.accepted += 1;
+        }
+        stats.set(driverId, driverStats);
+      });
+
+    const rate = (c) => {
+      const { offers, accepted } = stats.get(c.driverId.toString()) || { offers: 0, accepted: 0 };
+      return (accepted + 1) / (offers + 2);
+    };
+
+    return sortByScore(candidates, rate, 'desc');
+  },
+};
+
+/**
+ * Prefer drivers currently carrying the fewest orders
+ * @type {RankingStrategy}
+ */
+const fewestActiveOrders = {
+  name: 'fewest_active_orders',
+  description: 'Driver with the fewest orders in progress first',
+  rank(candidates, { orders = [] } = {}) {
+    const activeCounts = new Map();
+
+    orders
+      .filter(order => order.currentDriverId && ACTIVE_ORDER_STATUSES.includes(order.status))
+      .forEach(order => {
+        const driverId = order.currentDriverId.toString();
+        activeCounts.set(driverId, (activeCounts.get(driverId) || 0) + 1);
+      });
+
+    return sortByScore(candidates, c => activeCounts.get(c.driverId.toString()) || 0);
+  },
+};
+
+const strategies = new Map(
+  [proximity, roundRobin, leastRecentlyAssigned, acceptanceRate, fewestActiveOrders]
+    .map(strategy => [strategy.name, strategy])
+);
+
+/**
+ * Register a ranking strategy
+ * @function registerStrategy
+ * @param {RankingStrategy} strategy - Strategy to register
+ */
+const registerStrategy = (strategy) => {
+  strategies.set(strategy.name, strategy);
+};
+
+/**
+ * Remove a registered ranking strategy
+ * @function unregisterStrategy
+ * @param {string} name - Strategy name
+ * @returns {boolean} Whether a strategy was removed
+ */
+const unregisterStrategy = (name) => strategies.delete(name);
+
+/**
+ * Check whether a strategy is registered
+ * @function hasStrategy
+ * @param {string} name - Strategy name
+ * @returns {boolean} Whether the strategy exists
+ */
+const hasStrategy = (name) => strategies.has(name);
+
+/**
+ * List the registered strategy names
+ * @function listStrategies
+ * @returns {string[]} Strategy names
+ */
+const listStrategies = () => [...strategies.keys()];
+
+/**
+ * Get a ranking strategy by name
+ * @function getStrategy
+ * @param {string} name - Strategy name
+ * @returns {RankingStrategy} The strategy
+ * @throws {Error} If no strategy is registered under that name
+ */
+const getStrategy = (name) => {
+  const strategy = strategies.get(name);
+
+  if (!strategy) {
+    throw new Error(`Unknown driver ranking strategy: ${name}`);
+  }
+
+  return strategy;
+};
+
+/**
+ * Rank candidate drivers with the named strategy
+ * @function rankDrivers
+ * @param {string} name - Strategy name
+ * @param {Object[]} candidates - Candidate drivers
+ * @param {RankingContext} [context={}] - Ranking context
+ * @returns {Object[]} Candidates sorted best first
+ */
+const rankDrivers = (name, candidates, context = {}) => getStrategy(name).rank(candidates, context);
+
+module.exports = {
+  registerStrategy,
+  unregisterStrategy,
+  hasStrategy,
+  listStrategies,
+  getStrategy,
+  rankDrivers,
+};
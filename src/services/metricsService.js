@@ -0,0 +1,185 @@
+/**
+ * @fileoverview Application metrics exposed at GET /metrics
+ * @module services/metricsService
+ * @requires ../utils/metrics
+ */
+
+const { MetricsRegistry } = require('../utils/metrics');
+
+/**
+ * Content type of the Prometheus text exposition format
+ * @constant {string}
+ */
+const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * @class MetricsService
+ * @description Owns the metrics registry and the domain-level recording helpers
+ */
+class MetricsService {
+  /**
+   * Constructor for MetricsService
+   * @constructor
+   */
+  constructor() {
+    this.registry = new MetricsRegistry();
+    this.contentType = PROMETHEUS_CONTENT_TYPE;
+
+    // OpenAI integration SLA: response_time, success_rate/error_rate (by outcome) and token_usage
+    this.openaiRequestDuration = this.registry.histogram({
+      name: 'openai_request_duration_seconds',
+      help: 'OpenAI API call latency in seconds',
+      labelNames: ['endpoint', 'model', 'outcome'],
+      buckets: [0.25, 0.5, 1, 2, 3, 5, 10, 30],
+    });
+    this.openaiTokens = this.registry.counter({
+      name: 'openai_tokens_total',
+      help: 'Tokens consumed by OpenAI API calls',
+      labelNames: ['model', 'type'],
+    });
+
+    this.assignmentTimeouts = this.registry.counter({
+      name: 'driver_assignment_timeouts_total',
+      help: 'Driver assignments that expired without a response',
+    });
+    this.ordersTimedOut = this.registry.counter({
+      name: 'orders_timed_out_total',
+      help: 'Orders that ran out of drivers and moved to timeout',
+    });
+    this.assignmentRetries = this.registry.counter({
+      name: 'order_assignment_retries_total',
+      help: 'Timed-out orders sent back to pending for a new assignment round',
+    });
+    this.reassignments = this.registry.counter({
+      name: 'order_reassignments_total',
+      help: 'Orders moved from one driver to another',
+      labelNames: ['reason'],
+    });
+
+    this.notifications = this.registry.counter({
+      name: 'customer_notifications_total',
+      help: 'Customer notifications by type and outcome (sent, limited, failed)',
+      labelNames: ['type', 'outcome'],
+    });
+    this.channelDeliveries = this.registry.counter({
+      name: 'notification_channel_deliveries_total',
+      help: 'Notification delivery attempts by channel and outcome (delivered, failed)',
+      labelNames: ['channel', 'outcome'],
+    });
+
+    this.httpRequests = this.registry.counter({
+      name: 'http_requests_total',
+      help: 'HTTP requests by method, route and status code',
+      labelNames: ['method', 'route', 'status'],
+    });
+    this.httpRequestDuration = this.registry.histogram({
+      name: 'http_request_duration_seconds',
+      help: 'HTTP request latency in seconds',
+      labelNames: ['method', 'route'],
+    });
+  }
+
+  /**
+   * Record an OpenAI API call
+   * @function recordOpenAIRequest
+   * @param {Object} call - Call details
+   * @param {string} call.endpoint - API endpoint (e.g. chat.completions)
+   * @param {string} call.model - Model name
+   * @param {boolean} call.success - Whether the call succeeded
+   * @param {number} call.responseTime - Latency in milliseconds
+   * @param {Object} [call.tokenUsage] - `usage` block returned by the API
+   */
+  recordOpenAIRequest({ endpoint, model, success, responseTime, tokenUsage }) {
+    this.openaiRequestDuration.observe(
+      { endpoint, model, outcome: success ? 'success' : 'error' },
+      responseTime / 1000
+    );
+
+    if (tokenUsage) {
+      if (Number.isFinite(tokenUsage.prompt_tokens)) {
+        this.openaiTokens.inc({ model, type: 'prompt' }, tokenUsage.prompt_tokens);
+      }
+      if (Number.isFinite(tokenUsage.completion_tokens)) {
+        this.openaiTokens.inc({ model, type: 'completion' }, tokenUsage.completion_tokens);
+      }
+    }
+  }
+
+  /**
+   * Record a driver assignment that expired without a response
+   * @function recordAssignmentTimeout
+   */
+  recordAssignmentTimeout() {
+    this.assignmentTimeouts.inc();
+  }
+
+  /**
+   * Record an order moving to timeout
+   * @function recordOrderTimedOut
+   */
+  recordOrderTimedOut() {
+    this.ordersTimedOut.inc();
+  }
+
+  /**
+   * Record a timed-out order restarting its assignment
+   * @function recordAssignmentRetry
+   */
+  recordAssignmentRetry() {
+    this.assignmentRetries.inc();
+  }
+
+  /**
+   * Record a reassignment
+   * @function recordReassignment
+   * @param {string} reason - TIMEOUT or REJECTION
+   */
+  recordReassignment(reason) {
+    this.reassignments.inc({ reason });
+  }
+
+  /**
+   * Record a customer notification attempt
+   * @function recordNotification
+   * @param {string} type - Notification query type
+   * @param {string} outcome - sent, limited or failed
+   */
+  recordNotification(type, outcome) {
+    this.notifications.inc({ type, outcome });
+  }
+
+  /**
+   * Record a delivery attempt on a notification channel
+   * @function recordChannelDelivery
+   * @param {string} channel - Channel name (push, sms, email)
+   * @param {string} outcome - delivered or failed
+   */
+  recordChannelDelivery(channel, outcome) {
+    this.channelDeliveries.inc({ channel, outcome });
+  }
+
+  /**
+   * Record a completed HTTP request
+   * @function recordHttpRequest
+   * @param {Object} request - Request details
+   * @param {string} request.method - HTTP method
+   * @param {string} request.route - Route pattern (e.g. /api/orders/:orderId)
+   * @param {number} request.status - Response status code
+   * @param {number} request.durationMs - Latency in milliseconds
+   */
+  recordHttpRequest({ method, route, status, durationMs }) {
+    this.httpRequests.inc({ method, route, status });
+    this.httpRequestDuration.observe({ method, route }, durationMs / 1000);
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @function render
+   * @returns {string} Exposition text
+   */
+  render() {
+    return this.registry.render();
+  }
+}
+
+module.exports = new MetricsService();
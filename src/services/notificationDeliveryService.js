@@ -0,0 +1,173 @@
+/**
+ * @fileoverview Delivery of customer notifications over SMS, email and push
+ * @module services/notificationDeliveryService
+ * @requires path
+ * @requires ./channels/smsChannel
+ * @requires ./channels/emailChannel
+ * @requires ./channels/pushChannel
+ * @requires ./channels/devChannel
+ * @requires ./metricsService
+ * @requires ../models/Customer
+ * @requires ../models/Notification
+ * @requires ../utils/logger
+ */
+
+const path = require('path');
+const { SmsChannel } = require('./channels/smsChannel');
+const { EmailChannel } = require('./channels/emailChannel');
+const { PushChannel } = require('./channels/pushChannel');
+const { DevChannel } = require('./channels/devChannel');
+const metricsService = require('./metricsService');
+const { Customer, NotificationChannel } = require('../models/Customer');
+const { NotificationStatus } = require('../models/Notification');
+const logger = require('../utils/logger');
+
+/**
+ * Message handed to a channel adapter
+ * @typedef {Object} ChannelMessage
+ * @property {string} orderId - Order ID
+ * @property {string} customerId - Customer ID
+ * @property {string} queryType - Notification type
+ * @property {string} title - Short title (email subject, push title)
+ * @property {string} message - Message text
+ */
+
+/**
+ * Result of delivering a notification
+ * @typedef {Object} DeliveryResult
+ * @property {string} status - NotificationStatus (delivered or failed)
+ * @property {string|null} channel - Channel that delivered the message
+ * @property {Object[]} attempts - One entry per channel tried ({channel, status, providerMessageId, error, attemptedAt})
+ */
+
+/**
+ * Build the provider-backed adapters for which credentials are configured
+ * @function buildProviderChannels
+ * @param {number} timeout - Provider request timeout in milliseconds
+ * @returns {Object[]} Channel adapters
+ */
+const buildProviderChannels = (timeout) => {
+  const channels = [];
+
+  if (process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN) {
+    channels.push(new SmsChannel({
+      accountSid: process.env.TWILIO_ACCOUNT_SID,
+      authToken: process.env.TWILIO_AUTH_TOKEN,
+      from: process.env.TWILIO_FROM_NUMBER,
+      timeout,
+    }));
+  }
+
+  if (process.env.SENDGRID_API_KEY) {
+    channels.push(new EmailChannel({
+      apiKey: process.env.SENDGRID_API_KEY,
+      from: process.env.NOTIFICATION_EMAIL_FROM,
+      timeout,
+    }));
+  }
+
+  channels.push(new PushChannel({
+    url: process.env.EXPO_PUSH_URL,
+    accessToken: process.env.EXPO_ACCESS_TOKEN,
+    timeout,
+  }));
+
+  return channels;
+};
+
+/**
+ * Channel adapter factories by transport name
+ * @readonly
+ * @enum {Function}
+ */
+const transports = {
+  console: () => Object.values(NotificationChannel).map(name => new DevChannel(name)),
+  file: () => Object.values(NotificationChannel).map(name => new DevChannel(name, {
+    output: 'file',
+    filePath: process.env.NOTIFICATION_OUTBOX_FILE
+      || path.join(process.env.STORAGE_DIR || './data', 'notifications-outbox.jsonl'),
+  })),
+  provider: () => buildProviderChannels(parseInt(process.env.NOTIFICATION_PROVIDER_TIMEOUT_MS || '10000')),
+};
+
+/**
+ * @class NotificationDeliveryService
+ * @description Sends notifications on the customer's preferred channels, falling back
+ * to the next channel when one fails
+ */
+class NotificationDeliveryService {
+  /**
+   * Constructor for NotificationDeliveryService
+   * @constructor
+   * @throws {Error} If NOTIFICATION_TRANSPORT is unknown
+   */
+  constructor() {
+    this.transport = process.env.NOTIFICATION_TRANSPORT || 'console';
+    this.defaultChannels = (process.env.NOTIFICATION_DEFAULT_CHANNELS || 'push,sms,email')
+      .split(',')
+      .map(channel => channel.trim())
+      .filter(Boolean);
+
+    if (!transports[this.transport]) {
+      throw new Error(`Unknown notification transport: ${this.transport}`);
+    }
+
+    this.channels = new Map();
+    transports[this.transport]().forEach(channel => this.registerChannel(channel));
+
+    logger.info(`NotificationDeliveryService initialized with ${this.transport} transport`, {
+      channels: [...this.channels.keys()],
+    });
+  }
+
+  /**
+   * Register (or replace) the adapter for a channel
+   * @function registerChannel
+   * @param {Object} channel - Adapter with a `name` and an async `send(customer, notification)`
+   */
+  registerChannel(channel) {
+    this.channels.set(channel.name, channel);
+  }
+
+  /**
+   * Deliver a notification on the customer's channels in order of preference,
+   * stopping at the first one that succeeds
+   * @async
+   * @function deliver
+   * @param {string} customerId - Customer ID
+   * @param {ChannelMessage} notification - Message to send
+   * @returns {Promise<DeliveryResult>} Delivery result with every channel attempt
+   */
+  async deliver(customerId, notification) {
+    // Customers without a profile are reached on the default channels
+    const customer = await Customer.findById(customerId) || new Customer({ _id: customerId });
+    const attempts = [];
+
+    for (const channelName of customer.getNotificationChannels(this.defaultChannels)) {
+      const channel = this.channels.get(channelName);
+      const attemptedAt = new Date();
+
+      try {
+        if (!channel) {
+          throw new Error(`No adapter configured for channel ${channelName}`);
+        }
+
+        const { providerMessageId } = await channel.send(customer, notification);
+
+        attempts.push({ channel: channelName, status: NotificationStatus.DELIVERED, providerMessageId, error: null, attemptedAt });
+        metricsService.recordChannelDelivery(channelName, NotificationStatus.DELIVERED);
+
+        return { status: NotificationStatus.DELIVERED, channel: channelName, attempts };
+      } catch (error) {
+        attempts.push({ channel: channelName, status: NotificationStatus.FAILED, providerMessageId: null, error: error.message, attemptedAt });
+        metricsService.recordChannelDelivery(channelName, NotificationStatus.FAILED);
+
+        logger.warn(`Notification for order ${notification.orderId} not delivered by ${channelName}: ${error.message}`);
+      }
+    }
+
+    return { status: NotificationStatus.FAILED, channel: null, attempts };
+  }
+}
+
+module.exports = new NotificationDeliveryService();
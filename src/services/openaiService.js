@@ -2,15 +2,125 @@
  * @fileoverview OpenAI API Integration Service
  * @module services/openaiService
  * @requires openai
+ * @requires ./metricsService
+ * @requires ../models/ChatExchange
+ * @requires ../models/Notification
+ * @requires ../utils/chatContext
  * @requires ../utils/logger
  */
 
 const dotenv = require('dotenv');
 const { OpenAI } = require('openai');
+const metricsService = require('./metricsService');
+const { ChatIntent } = require('../models/ChatExchange');
+const { MessageSource } = require('../models/Notification');
+const { buildChatMessages } = require('../utils/chatContext');
 const logger = require('../utils/logger');
 
 dotenv.config();
 
+/**
+ * Customer-facing description of each order status, used in prompts and fallbacks
+ * @readonly
+ * @type {Object<string, string>}
+ */
+const STATUS_DESCRIPTIONS = {
+  pending: 'aguardando um motorista aceitar o pedido',
+  accepted: 'motorista confirmado, a caminho do local de retirada',
+  picked_up: 'pedido retirado pelo motorista',
+  in_transit: 'pedido a caminho do endereço de entrega',
+  delivered: 'pedido entregue',
+  completed: 'pedido concluído',
+  timeout: 'nenhum motorista disponível aceitou o pedido',
+  cancelled: 'pedido cancelado',
+};
+
+/**
+ * Statuses reached after a driver accepted the order
+ * @constant {string[]}
+ */
+const DELIVERY_STAGES = ['accepted', 'picked_up', 'in_transit', 'delivered', 'completed'];
+
+/**
+ * Describe an order status for the customer
+ * @function describeStatus
+ * @param {string} status - Order status
+ * @returns {string} Description, or the raw status if unknown
+ */
+const describeStatus = (status) => STATUS_DESCRIPTIONS[status] || status;
+
+/**
+ * Instructions for the intent classifier; the answer must be a JSON object
+ * @constant {string}
+ */
+const INTENT_CLASSIFIER_PROMPT = `Classifique a intenção da mensagem de um cliente de delivery.
+Use exatamente um destes rótulos: ${Object.values(ChatIntent).join(', ')}.
+- status: quer saber onde está ou como está o pedido
+- delay: reclama ou pergunta sobre demora/atraso
+- reassignment: pergunta sobre troca de motorista
+- cancel_request: quer cancelar ou desistir do pedido
+- address_change: quer alterar o endereço de entrega
+- complaint: reclamação sobre o serviço, o motorista ou o pedido
+- other: qualquer outra coisa
+A mensagem pode estar em qualquer idioma.
+Responda apenas com JSON no formato {"intent": "<rótulo>", "confidence": <0 a 1>, "scores": {"<rótulo>": <0 a 1>}}.`;
+
+/**
+ * Keep a probability within 0-1
+ * @function clampScore
+ * @param {*} value - Value returned by the model
+ * @returns {number|null} Score, or null when not a number
+ */
+const clampScore = (value) => (typeof value === 'number' && !Number.isNaN(value) ? Math.min(Math.max(value, 0), 1) : null);
+
+/**
+ * Read the first tool call of a completion, ignoring tools that were not offered
+ * @function parseToolCall
+ * @param {Object} reply - Assistant message of the completion
+ * @param {Object[]} tools - Tools offered to the model
+ * @returns {{name: string, arguments: Object}|null} Tool call
+ */
+const parseToolCall = (reply, tools) => {
+  const [call] = reply.tool_calls || [];
+  
+  if (!call || !tools.some(tool => tool.function.name === call.function.name)) {
+    return null;
+  }
+  
+  try {
+    return { name: call.function.name, arguments: JSON.parse(call.function.arguments || '{}') };
+  } catch (error) {
+    logger.warn(`Ignoring malformed arguments of tool call ${call.function.name}: ${error.message}`);
+    return { name: call.function.name, arguments: {} };
+  }
+};
+
+/**
+ * System message describing the assistant and the order it is talking about
+ * @function buildSystemMessage
+ * @param {Object} orderData - Order data (see composeOrderStatusMessage)
+ * @returns {string} System message
+ */
+const buildSystemMessage = (orderData) => {
+  // Context about the order
+  const context = JSON.stringify({
+    orderId: orderData.orderId,
+    status: orderData.status,
+    statusDescription: describeStatus(orderData.status),
+    pickedUpAt: orderData.pickedUpAt,
+    inTransitAt: orderData.inTransitAt,
+    deliveredAt: orderData.deliveredAt,
+    reassignmentCount: orderData.reassignmentCount,
+    orderDetails: orderData.orderDetails,
+  });
+  
+  return `Você é um assistente virtual para uma empresa de delivery. 
+      Sua função é explicar aos clientes o status de seus pedidos de forma clara e empática.
+      Seja educado e profissional, mas também amigável. 
+      Não entre em detalhes técnicos complexos, mas explique de forma simplificada os tempos de espera por resposta dos motoristas (15 segundos) e o processo de reatribuição.
+      Contexto do pedido: ${context}`;
+};
+
 /**
  * @class OpenAIService
  * @description Service for integrating with OpenAI API
@@ -29,6 +139,10 @@ class OpenAIService {
     
     this.model = process.env.OPENAI_MODEL || 'gpt-4o-mini';
     
+    // Prompt budget for chat conversations; older turns are dropped to stay within it
+    this.chatContextTokenBudget = parseInt(process.env.CHAT_CONTEXT_TOKEN_BUDGET || '3000');
+    this.chatHistoryMaxTurns = parseInt(process.env.CHAT_HISTORY_MAX_TURNS || '10');
+    
     // Record API version and client config for monitoring
     this.apiVersion = this.client.apiVersion || 'unknown';
     this.clientConfig = {
@@ -44,6 +158,19 @@ class OpenAIService {
    * Generate customer notification for order reassignment
    * @async
    * @function generateOrderStatusMessage
+   * @param {Object} orderData - Order data (see composeOrderStatusMessage)
+   * @param {string} queryType - Type of customer query (delay, reassignment, etc.)
+   * @returns {Promise<string>} Generated response message
+   */
+  async generateOrderStatusMessage(orderData, queryType) {
+    const { message } = await this.composeOrderStatusMessage(orderData, queryType);
+    return message;
+  }
+  
+  /**
+   * Generate an order status message and report how it was produced
+   * @async
+   * @function composeOrderStatusMessage
    * @param {Object} orderData - Order data
    * @param {string} orderData.orderId - Order ID
    * @param {string} orderData.status - Current order status
@@ -51,114 +178,268 @@ class OpenAIService {
    * @param {Array} [orderData.reassignmentLogs] - Logs of reassignments
    * @param {Object} orderData.orderDetails - Order details
    * @param {string} queryType - Type of customer query (delay, reassignment, etc.)
-   * @returns {Promise<string>} Generated response message
-   * @throws {Error} If API call fails
+   * @returns {Promise<Object>} `{ message, source, model, tokenUsage }`; source is `openai`,
+   * or `fallback` when the API call failed and a canned message was used
    */
-  async generateOrderStatusMessage(orderData, queryType) {
-    const requestId = `req_${Date.now()}_${Math.random().toString(36).substring(2, 7)}`;
-    const startTime = Date.now();
+  async composeOrderStatusMessage(orderData, queryType) {
+    // Prepare customer message based on query type
+    let prompt;
     
-    try {
-      // Prepare customer message based on query type
-      let prompt;
-      
-      switch (queryType) {
-        case 'general_status':
-          prompt = `Por favor, informe o cliente sobre o status do pedido #${orderData.orderId}. Status atual: ${orderData.status}.`;
-          break;
-        case 'reassignment_reason':
-          prompt = `Explique educadamente por que o pedido #${orderData.orderId} está sendo reatribuído para outro motorista. Número de reatribuições: ${orderData.reassignmentCount}.`;
-          break;
-        case 'delay_explanation':
-          prompt = `Explique o atraso para o pedido #${orderData.orderId} que foi reatribuído ${orderData.reassignmentCount} vezes. Seja empático e assegure que estamos trabalhando para entregar o pedido o mais rápido possível.`;
-          break;
-        case 'timeout_explanation':
-          prompt = `Explique gentilmente ao cliente que seu pedido #${orderData.orderId} não pôde ser atribuído após múltiplas tentativas. Status: ${orderData.status}. Ofereça cancelar o pedido ou tentar novamente.`;
-          break;
-        default:
-          prompt = `Forneça informações sobre o pedido #${orderData.orderId}. Status atual: ${orderData.status}.`;
-      }
-      
-      // Add technical requirements to the prompt
+    switch (queryType) {
+      case 'general_status':
+        prompt = `Por favor, informe o cliente sobre o status do pedido #${orderData.orderId}. Status atual: ${orderData.status} (${describeStatus(orderData.status)}).`;
+        if (orderData.pickedUpAt) {
+          prompt += ` Retirado às ${new Date(orderData.pickedUpAt).toISOString()}.`;
+        }
+        if (orderData.inTransitAt) {
+          prompt += ` Saiu para entrega às ${new Date(orderData.inTransitAt).toISOString()}.`;
+        }
+        if (orderData.deliveredAt) {
+          prompt += ` Entregue às ${new Date(orderData.deliveredAt).toISOString()}.`;
+        }
+        break;
+      case 'reassignment_reason':
+        prompt = `Explique educadamente por que o pedido #${orderData.orderId} está sendo reatribuído para outro motorista. Número de reatribuições: ${orderData.reassignmentCount}.`;
+        break;
+      case 'delay_explanation':
+        prompt = `Explique o atraso para o pedido #${orderData.orderId} que foi reatribuído ${orderData.reassignmentCount} vezes. Seja empático e assegure que estamos trabalhando para entregar o pedido o mais rápido possível.`;
+        break;
+      case 'timeout_explanation':
+        prompt = `Explique gentilmente ao cliente que seu pedido #${orderData.orderId} não pôde ser atribuído após múltiplas tentativas. Status: ${orderData.status}. Ofereça cancelar o pedido ou tentar novamente.`;
+        break;
+      case 'cancellation_notice':
+        prompt = `Informe ao cliente que o pedido #${orderData.orderId} foi cancelado. Motivo: ${orderData.cancellation ? orderData.cancellation.reason : 'não informado'}. Peça desculpas pelo transtorno se o cancelamento não partiu do cliente.`;
+        break;
+      default:
+        prompt = `Forneça informações sobre o pedido #${orderData.orderId}. Status atual: ${orderData.status}.`;
+    }
+    
+    // Add technical requirements to the prompt
+    if (queryType === 'general_status' && DELIVERY_STAGES.includes(orderData.status)) {
+      // Once a driver is confirmed the assignment process no longer matters to the customer
+      prompt += `\n\nRequisitos na resposta:
+      - Foque na etapa atual da entrega: ${describeStatus(orderData.status)}
+      - Não descreva o processo de atribuição ou reatribuição de motoristas`;
+    } else {
       prompt += `\n\nRequisitos técnicos na resposta:
       - Mencione que tentamos atribuir motoristas por até 15 segundos cada
       - Explique nosso processo de reatribuição automática quando não há resposta
       - Seja preciso sobre o número de reatribuições: ${orderData.reassignmentCount}
       - Se status for "timeout", explique que esgotamos todas as tentativas`;
+    }
+    
+    // Make API call with retry logic
+    logger.debug(`Making OpenAI API call for order ${orderData.orderId}, query type: ${queryType}`);
+    
+    const { message, source, model, tokenUsage } = await this.completeOrderMessage(orderData, queryType, {
+      messages: [
+        { role: 'system', content: buildSystemMessage(orderData) },
+        { role: 'user', content: prompt }
+      ],
+      temperature: 0.7,
+      max_tokens: 300,
+    });
+    
+    return { message, source, model, tokenUsage };
+  }
+  
+  /**
+   * Answer a customer's chat message, using the earlier turns of the order's conversation as context
+   * @async
+   * @function generateChatReply
+   * @param {Object} orderData - Order data (see composeOrderStatusMessage)
+   * @param {string} queryType - Query type detected from the message
+   * @param {Object} conversation - Conversation
+   * @param {string} conversation.message - The customer's new message
+   * @param {Array<{message: string, response: string}>} [conversation.history=[]] - Prior turns, oldest first
+   * @param {Object[]} [conversation.tools=[]] - Tools (OpenAI format) the model may call
+   * @returns {Promise<Object>} `{ message, toolCall, source, model, tokenUsage, contextTurns }`; source is `openai`,
+   * or `fallback` when the API call failed and a canned message was used. toolCall is `{ name, arguments }`
+   * when the model asked for one of the given tools, otherwise null.
+   */
+  async generateChatReply(orderData, queryType, { message, history = [], tools = [] }) {
+    let systemMessage = `${buildSystemMessage(orderData)}
+      Responda exatamente ao que o cliente perguntou, considerando as mensagens anteriores da conversa.
+      Tipo de consulta identificado na última mensagem: ${queryType}.`;
+    
+    if (tools.length > 0) {
+      systemMessage += `
+      Se o cliente pedir uma das ações disponíveis nas ferramentas, chame a ferramenta; o cliente confirmará antes de ela ser executada.`;
+    }
+    
+    const { messages, includedTurns, droppedTurns } = buildChatMessages({
+      systemMessage,
+      history,
+      userMessage: message,
+      tokenBudget: this.chatContextTokenBudget,
+      maxTurns: this.chatHistoryMaxTurns,
+    });
+    
+    if (droppedTurns > 0) {
+      logger.debug(`Dropped ${droppedTurns} oldest chat turns for order ${orderData.orderId} to fit the token budget`);
+    }
+    
+    const reply = await this.completeOrderMessage(orderData, queryType, {
+      messages,
+      ...(tools.length > 0 && { tools, tool_choice: 'auto' }),
+      temperature: 0.7,
+      max_tokens: 300,
+    }, { contextTurns: includedTurns });
+    
+    return { ...reply, contextTurns: reply.source === MessageSource.OPENAI ? includedTurns : 0 };
+  }
+  
+  /**
+   * Run a chat completion for an order message and record its integration metrics.
+   * A failed call is logged and answered with the canned fallback message instead.
+   * @async
+   * @function completeOrderMessage
+   * @private
+   * @param {Object} orderData - Order data (see composeOrderStatusMessage)
+   * @param {string} queryType - Query type the message answers
+   * @param {Object} params - Completion parameters other than the model
+   * @param {Object} [metricsDetails={}] - Extra fields for the success metrics record
+   * @returns {Promise<Object>} `{ message, toolCall, source, model, tokenUsage }`
+   */
+  async completeOrderMessage(orderData, queryType, params, metricsDetails = {}) {
+    const startTime = Date.now();
+    const tools = params.tools || [];
+    
+    try {
+      const response = await this.client.chat.completions.create({ model: this.model, ...params });
+      
+      const reply = response.choices[0].message;
+      const toolCall = parseToolCall(reply, tools);
       
-      // Context about the order
-      const context = JSON.stringify({
+      this.recordIntegrationMetrics({
+        endpoint: 'chat.completions',
+        model: this.model,
+        responseTime: Date.now() - startTime,
+        success: true,
         orderId: orderData.orderId,
-        status: orderData.status,
-        reassignmentCount: orderData.reassignmentCount,
-        orderDetails: orderData.orderDetails,
+        queryType,
+        ...metricsDetails,
+        ...(tools.length > 0 && { toolCall: toolCall ? toolCall.name : null }),
+        tokenUsage: response.usage || { total_tokens: 'unknown' },
       });
       
-      // Make API call with retry logic
-      logger.debug(`Making OpenAI API call for order ${orderData.orderId}, query type: ${queryType}`);
+      return {
+        // A reply with only a tool call, or a call to a tool that was not offered, has no text
+        message: (reply.content || '').trim() || this.getFallbackMessage(orderData, queryType),
+        toolCall,
+        source: MessageSource.OPENAI,
+        model: this.model,
+        tokenUsage: response.usage ? {
+          promptTokens: response.usage.prompt_tokens,
+          completionTokens: response.usage.completion_tokens,
+          totalTokens: response.usage.total_tokens,
+        } : null,
+      };
+    } catch (error) {
+      this.recordIntegrationMetrics({
+        endpoint: 'chat.completions',
+        model: this.model,
+        responseTime: Date.now() - startTime,
+        success: false,
+        orderId: orderData.orderId,
+        queryType,
+        errorType: error.name,
+        errorMessage: error.message,
+      });
       
-      // Define system message
-      const systemMessage = `Você é um assistente virtual para uma empresa de delivery. 
-      Sua função é explicar aos clientes o status de seus pedidos de forma clara e empática.
-      Seja educado e profissional, mas também amigável. 
-      Não entre em detalhes técnicos complexos, mas explique de forma simplificada os tempos de espera por resposta dos motoristas (15 segundos) e o processo de reatribuição.
-      Contexto do pedido: ${context}`;
+      logger.error(`OpenAI API Error: ${error.message}`, {
+        orderId: orderData.orderId,
+        stack: error.stack,
+      });
       
+      return {
+        message: this.getFallbackMessage(orderData, queryType),
+        toolCall: null,
+        source: MessageSource.FALLBACK,
+        model: null,
+        tokenUsage: null,
+      };
+    }
+  }
+  
+  /**
+   * Classify the intent of a customer message with a JSON-mode completion
+   * @async
+   * @function classifyIntent
+   * @param {string} text - Customer message
+   * @returns {Promise<Object>} `{ intent, confidence, scores, source: 'openai' }`
+   * @throws {Error} When the API call fails or the answer is not a known label
+   */
+  async classifyIntent(text) {
+    const startTime = Date.now();
+    const labels = Object.values(ChatIntent);
+    
+    try {
       const response = await this.client.chat.completions.create({
         model: this.model,
         messages: [
-          { role: 'system', content: systemMessage },
-          { role: 'user', content: prompt }
+          { role: 'system', content: INTENT_CLASSIFIER_PROMPT },
+          { role: 'user', content: text },
         ],
-        temperature: 0.7,
-        max_tokens: 300,
+        response_format: { type: 'json_object' },
+        temperature: 0,
+        max_tokens: 150,
       });
       
-      const endTime = Date.now();
-      const responseTime = endTime - startTime;
+      const result = JSON.parse(response.choices[0].message.content);
+      
+      if (!labels.includes(result.intent)) {
+        throw new Error(`Unknown intent label "${result.intent}"`);
+      }
+      
+      // Only known labels are kept from the per-label scores
+      const scores = {};
+      Object.entries(result.scores || {}).forEach(([label, score]) => {
+        if (labels.includes(label) && clampScore(score) !== null) {
+          scores[label] = clampScore(score);
+        }
+      });
       
-      // Log success metrics
-      logger.logIntegrationMetrics({
-        requestId,
+      this.recordIntegrationMetrics({
         endpoint: 'chat.completions',
         model: this.model,
-        responseTime,
+        responseTime: Date.now() - startTime,
         success: true,
-        orderId: orderData.orderId,
-        queryType,
+        queryType: 'intent_classification',
         tokenUsage: response.usage || { total_tokens: 'unknown' },
       });
       
-      return response.choices[0].message.content.trim();
-      
+      return {
+        intent: result.intent,
+        confidence: clampScore(result.confidence) ?? scores[result.intent] ?? null,
+        scores,
+        source: MessageSource.OPENAI,
+      };
     } catch (error) {
-      const endTime = Date.now();
-      const responseTime = endTime - startTime;
-      
-      // Log error metrics
-      logger.logIntegrationMetrics({
-        requestId,
+      this.recordIntegrationMetrics({
         endpoint: 'chat.completions',
         model: this.model,
-        responseTime,
+        responseTime: Date.now() - startTime,
         success: false,
-        orderId: orderData.orderId,
-        queryType,
+        queryType: 'intent_classification',
         errorType: error.name,
         errorMessage: error.message,
       });
       
-      logger.error(`OpenAI API Error: ${error.message}`, {
-        requestId,
-        orderId: orderData.orderId,
-        stack: error.stack,
-      });
-      
-      // Return fallback message
-      return this.getFallbackMessage(orderData, queryType);
+      throw error;
     }
   }
   
+  /**
+   * Log integration metrics and feed them to the metrics registry
+   * @function recordIntegrationMetrics
+   * @param {Object} metrics - Call metrics (endpoint, model, responseTime, success, tokenUsage, ...)
+   */
+  recordIntegrationMetrics(metrics) {
+    logger.logIntegrationMetrics(metrics);
+    metricsService.recordOpenAIRequest(metrics);
+  }
+  
   /**
    * Get fallback message when API call fails
    * @function getFallbackMessage
@@ -174,8 +455,10 @@ class OpenAIService {
         return `Pedimos desculpas pelo atraso no seu pedido #${orderData.orderId}. Estamos trabalhando para entregá-lo o mais rápido possível.`;
       case 'timeout_explanation':
         return `Infelizmente, não conseguimos encontrar um motorista disponível para seu pedido #${orderData.orderId} após várias tentativas. Por favor, entre em contato com nosso suporte para assistência.`;
+      case 'cancellation_notice':
+        return `Seu pedido #${orderData.orderId} foi cancelado. Se tiver qualquer dúvida, entre em contato com nosso suporte.`;
       default:
-        return `O status atual do seu pedido #${orderData.orderId} é: ${orderData.status}. Obrigado pela paciência.`;
+        return `O status atual do seu pedido #${orderData.orderId} é: ${describeStatus(orderData.status)}. Obrigado pela paciência.`;
     }
   }
   
@@ -2,10 +2,22 @@
  * @fileoverview Order Assignment Service
  * @module services/orderAssignmentService
  * @requires ../models/Order
+ * @requires ../models/Driver
+ * @requires ../models/Merchant
+ * @requires ./driverRankingStrategies
+ * @requires ../utils/geo
+ * @requires ./metricsService
+ * @requires ../middleware/errorHandler
  * @requires ../utils/logger
  */
 
 const { Order, OrderStatus, AssignmentStatus } = require('../models/Order');
+const { Driver, DriverAvailability } = require('../models/Driver');
+const { Merchant } = require('../models/Merchant');
+const { rankDrivers, hasStrategy } = require('./driverRankingStrategies');
+const { hasCoordinates, haversineDistanceKm } = require('../utils/geo');
+const metricsService = require('./metricsService');
+const { conflict, notFound } = require('../middleware/errorHandler');
 const logger = require('../utils/logger');
 
 /**
@@ -20,9 +32,20 @@ class OrderAssignmentService {
   constructor() {
     this.assignmentTimeout = parseInt(process.env.DRIVER_ASSIGNMENT_TIMEOUT || '15000');
     this.maxAssignmentAttempts = parseInt(process.env.MAX_ASSIGNMENT_ATTEMPTS || '5');
+    this.maxDriverRadiusKm = parseFloat(process.env.DRIVER_MAX_RADIUS_KM || '10');
+    this.rankingStrategy = process.env.DRIVER_RANKING_STRATEGY || 'proximity';
     this.assignmentTimers = new Map(); // Track timers for each order
     
-    logger.info(`OrderAssignmentService initialized with timeout: ${this.assignmentTimeout}ms, max attempts: ${this.maxAssignmentAttempts}`);
+    // Auto-dispatch offers new orders to the best driver without a manual /assign call
+    this.autoDispatchEnabled = process.env.AUTO_DISPATCH_ENABLED === 'true';
+    this.autoDispatchDelay = parseInt(process.env.AUTO_DISPATCH_DELAY_MS || '0');
+    
+    if (!hasStrategy(this.rankingStrategy)) {
+      logger.warn(`Unknown DRIVER_RANKING_STRATEGY "${this.rankingStrategy}", falling back to proximity`);
+      this.rankingStrategy = 'proximity';
+    }
+    
+    logger.info(`OrderAssignmentService initialized with timeout: ${this.assignmentTimeout}ms, max attempts: ${this.maxAssignmentAttempts}, max radius: ${this.maxDriverRadiusKm}km, ranking: ${this.rankingStrategy}, auto-dispatch: ${this.autoDispatchEnabled}`);
   }
   
   /**
@@ -43,7 +66,10 @@ class OrderAssignmentService {
       }
       
       if (order.status !== OrderStatus.PENDING) {
-        throw new Error(`Cannot assign: Order ${orderId} has status ${order.status}`);
+        throw conflict(`Cannot assign: Order ${orderId} has status ${order.status}`, {
+          orderId,
+          currentStatus: order.status,
+        });
       }
       
       // Assign the driver
@@ -66,8 +92,9 @@ class OrderAssignmentService {
    * @function setupAutoReassignment
    * @param {string} orderId - Order ID
    * @param {string} driverId - Driver ID
+   * @param {number} [delay] - Milliseconds until reassignment, defaults to the assignment timeout
    */
-  setupAutoReassignment(orderId, driverId) {
+  setupAutoReassignment(orderId, driverId, delay = this.assignmentTimeout) {
     // Clear any existing timer for this order
     if (this.assignmentTimers.has(orderId)) {
       clearTimeout(this.assignmentTimers.get(orderId));
@@ -80,12 +107,166 @@ class OrderAssignmentService {
       } catch (error) {
         logger.error(`Auto-reassignment error for order ${orderId}:`, error);
       }
-    }, this.assignmentTimeout);
+    }, delay);
     
     // Store timer reference
     this.assignmentTimers.set(orderId, timer);
     
-    logger.debug(`Auto-reassignment timer set for order ${orderId}, driver ${driverId}: ${this.assignmentTimeout}ms`);
+    logger.debug(`Auto-reassignment timer set for order ${orderId}, driver ${driverId}: ${delay}ms`);
+  }
+  
+  /**
+   * Check whether an order should be dispatched automatically. The merchant record is read
+   * on every call, so turning a merchant's auto-dispatch off takes effect without a restart.
+   * @async
+   * @function isAutoDispatchEnabled
+   * @param {Object} order - Order
+   * @returns {Promise<boolean>} Whether auto-dispatch applies to the order's merchant
+   */
+  async isAutoDispatchEnabled(order) {
+    if (!this.autoDispatchEnabled) {
+      return false;
+    }
+    
+    const merchant = order.merchantId ? await Merchant.findById(order.merchantId) : null;
+    return !merchant || merchant.autoDispatch;
+  }
+  
+  /**
+   * Schedule the first offer of a new order, after AUTO_DISPATCH_DELAY_MS.
+   * The timer shares assignmentTimers, so cancelling the order also stops it.
+   * @async
+   * @function scheduleAutoDispatch
+   * @param {Object} order - Newly created order
+   * @param {number} [delay] - Milliseconds until dispatch, defaults to the configured delay
+   * @returns {Promise<boolean>} Whether a dispatch was scheduled
+   */
+  async scheduleAutoDispatch(order, delay = this.autoDispatchDelay) {
+    if (!(await this.isAutoDispatchEnabled(order))) {
+      return false;
+    }
+    
+    const timer = setTimeout(async () => {
+      try {
+        await this.dispatchOrder(order._id);
+      } catch (error) {
+        logger.error(`Auto-dispatch error for order ${order._id}:`, error);
+      }
+    }, delay);
+    
+    this.assignmentTimers.set(order._id, timer);
+    
+    logger.debug(`Auto-dispatch scheduled for order ${order._id}: ${delay}ms`);
+    
+    return true;
+  }
+  
+  /**
+   * Offer a pending order that has no driver yet to the best available driver.
+   * Orders assigned or cancelled in the meantime are left alone; with no driver available the order times out.
+   * @async
+   * @function dispatchOrder
+   * @param {string} orderId - Order ID
+   * @returns {Promise<Object|null>} Updated order, or null when there was nothing to dispatch
+   */
+  async dispatchOrder(orderId) {
+    try {
+      this.assignmentTimers.delete(orderId);
+      
+      const order = await Order.findById(orderId);
+      
+      if (!order || order.status !== OrderStatus.PENDING || order.currentDriverId) {
+        logger.debug(`Auto-dispatch skipped for order ${orderId}: no longer waiting for a first driver`);
+        return null;
+      }
+      
+      const nextDriver = await this.getNextAvailableDriver(orderId);
+      
+      if (!nextDriver) {
+        logger.warn(`No drivers available to dispatch order ${orderId}`);
+        await order.markAsTimedOut();
+        metricsService.recordOrderTimedOut();
+        return order;
+      }
+      
+      logger.info(`Auto-dispatching order ${orderId} to driver ${nextDriver.driverId}`);
+      
+      return this.assignOrderToDriver(orderId, nextDriver.driverId);
+    } catch (error) {
+      logger.error(`Error dispatching order ${orderId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Schedule auto-dispatch for pending orders that never got a driver, e.g. because the
+   * process stopped before their dispatch timer fired
+   * @async
+   * @function recoverAutoDispatch
+   * @returns {Promise<number>} Number of orders scheduled
+   */
+  async recoverAutoDispatch() {
+    const pendingOrders = await Order.find({ status: OrderStatus.PENDING, currentDriverId: null });
+    let scheduled = 0;
+    
+    for (const order of pendingOrders) {
+      if (!this.assignmentTimers.has(order._id) && await this.scheduleAutoDispatch(order, 0)) {
+        scheduled += 1;
+      }
+    }
+    
+    if (scheduled > 0) {
+      logger.info(`Recovered auto-dispatch for ${scheduled} undispatched orders`);
+    }
+    
+    return scheduled;
+  }
+  
+  /**
+   * Re-arm auto-reassignment timers lost in a restart.
+   * Orders whose assignment window already elapsed are reassigned immediately.
+   * @async
+   * @function recoverAssignmentTimers
+   * @returns {Promise<Object>} Counts of re-armed and overdue assignments
+   */
+  async recoverAssignmentTimers() {
+    const pendingOrders = await Order.find({ status: OrderStatus.PENDING });
+    const summary = { rearmed: 0, overdue: 0, failed: 0 };
+    
+    for (const order of pendingOrders) {
+      // Only the current offer has a timer; pending entries from earlier rounds are not live offers
+      const round = order.assignmentRound || 1;
+      const assignment = order.driverAssignments.find(
+        a => a.status === AssignmentStatus.PENDING &&
+            (a.round || 1) === round &&
+            order.currentDriverId && a.driverId.toString() === order.currentDriverId.toString()
+      );
+      
+      if (!assignment || this.assignmentTimers.has(order._id)) {
+        continue;
+      }
+      
+      // Same window setupAutoReassignment gave the offer when it was made
+      const remaining = new Date(assignment.assignedAt).getTime() + this.assignmentTimeout - Date.now();
+      
+      if (remaining > 0) {
+        this.setupAutoReassignment(order._id, assignment.driverId, remaining);
+        summary.rearmed += 1;
+        continue;
+      }
+      
+      try {
+        await this.handleDriverTimeoutReassignment(order._id, assignment.driverId);
+        summary.overdue += 1;
+      } catch (error) {
+        summary.failed += 1;
+        logger.error(`Failed to recover overdue assignment for order ${order._id}:`, error);
+      }
+    }
+    
+    logger.info(`Recovered assignment timers: ${summary.rearmed} re-armed, ${summary.overdue} overdue reassigned, ${summary.failed} failed`);
+    
+    return summary;
   }
   
   /**
@@ -115,6 +296,8 @@ class OrderAssignmentService {
         return order;
       }
       
+      metricsService.recordAssignmentTimeout();
+      
       // Get next available driver
       const nextDriver = await this.getNextAvailableDriver(orderId);
       
@@ -123,6 +306,7 @@ class OrderAssignmentService {
         
         // Mark order as timed out
         await order.markAsTimedOut();
+        metricsService.recordOrderTimedOut();
         
         // Clean up timer
         if (this.assignmentTimers.has(orderId)) {
@@ -135,6 +319,7 @@ class OrderAssignmentService {
       
       // Reassign order to new driver
       await order.recordReassignment(driverId, nextDriver.driverId, 'TIMEOUT');
+      metricsService.recordReassignment('TIMEOUT');
       
       // Set up new auto-reassignment timer
       this.setupAutoReassignment(orderId, nextDriver.driverId);
@@ -187,11 +372,13 @@ class OrderAssignmentService {
         if (!nextDriver) {
           logger.warn(`No more drivers available for order ${orderId} after ${order.reassignmentCount} attempts`);
           await order.markAsTimedOut();
+          metricsService.recordOrderTimedOut();
           return order;
         }
         
         // Reassign order to new driver
         await order.recordReassignment(driverId, nextDriver.driverId, 'REJECTION');
+        metricsService.recordReassignment('REJECTION');
         
         // Set up new auto-reassignment timer
         this.setupAutoReassignment(orderId, nextDriver.driverId);
@@ -206,6 +393,142 @@ class OrderAssignmentService {
     }
   }
   
+  /**
+   * Record a delivery progress update from the assigned driver
+   * @async
+   * @function updateDeliveryProgress
+   * @param {string} orderId - Order ID
+   * @param {string} driverId - Driver ID
+   * @param {string} status - New status (picked_up, in_transit, delivered)
+   * @returns {Promise<Object>} Updated order
+   * @throws {ApiError} 404 if the order does not exist, 409 if the update is not allowed
+   */
+  async updateDeliveryProgress(orderId, driverId, status) {
+    try {
+      const order = await Order.findById(orderId);
+      
+      if (!order) {
+        throw notFound(`Order not found: ${orderId}`);
+      }
+      
+      await order.recordDeliveryProgress(driverId, status);
+      
+      logger.info(`Order ${orderId} marked ${status} by driver ${driverId}`);
+      
+      return order;
+    } catch (error) {
+      logger.error(`Error updating delivery progress for order ${orderId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Cancel an order, stopping its assignment cycle
+   * @async
+   * @function cancelOrder
+   * @param {string} orderId - Order ID
+   * @param {Object} options - Cancellation details
+   * @param {string} options.reason - Why the order was cancelled
+   * @param {string} options.actor - Who cancelled (customer, ops, system)
+   * @param {string} [options.actorId] - ID of the customer or operator
+   * @returns {Promise<Object>} Updated order
+   * @throws {ApiError} 404 if the order does not exist, 409 if it can no longer be cancelled
+   */
+  async cancelOrder(orderId, { reason, actor, actorId }) {
+    try {
+      const order = await Order.findById(orderId);
+      
+      if (!order) {
+        throw notFound(`Order not found: ${orderId}`);
+      }
+      
+      await order.cancel({ reason, actor, actorId });
+      
+      // Stop the pending driver's timer so it cannot reassign a cancelled order
+      this.cleanupOrderTimers(orderId);
+      
+      logger.info(`Order ${orderId} cancelled by ${actor}`, { reason });
+      
+      return order;
+    } catch (error) {
+      logger.error(`Error cancelling order ${orderId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Start a new assignment round for a timed-out order and offer it to the next driver.
+   * The order times out again straight away when no driver is available.
+   * @async
+   * @function retryAssignment
+   * @param {string} orderId - Order ID
+   * @param {Object} options - Restart details
+   * @param {string} options.actor - Who restarted (customer, ops, system)
+   * @param {string} [options.actorId] - ID of the customer or operator
+   * @param {string} [options.reason] - Why the assignment was restarted
+   * @returns {Promise<Object>} Updated order
+   * @throws {ApiError} 404 if the order does not exist, 409 if it has not timed out
+   */
+  async retryAssignment(orderId, { actor, actorId, reason }) {
+    try {
+      const order = await Order.findById(orderId);
+      
+      if (!order) {
+        throw notFound(`Order not found: ${orderId}`);
+      }
+      
+      await order.restartAssignment({ actor, actorId, reason });
+      metricsService.recordAssignmentRetry();
+      
+      logger.info(`Order ${orderId} assignment restarted by ${actor}, round ${order.assignmentRound}`);
+      
+      const nextDriver = await this.getNextAvailableDriver(orderId);
+      
+      if (!nextDriver) {
+        logger.warn(`No drivers available for order ${orderId} in assignment round ${order.assignmentRound}`);
+        await order.markAsTimedOut();
+        metricsService.recordOrderTimedOut();
+        return order;
+      }
+      
+      return this.assignOrderToDriver(orderId, nextDriver.driverId);
+    } catch (error) {
+      logger.error(`Error restarting assignment for order ${orderId}:`, error);
+      throw error;
+    }
+  }
+  
+  /**
+   * Hand an order over to a human support agent
+   * @async
+   * @function requestHumanAgent
+   * @param {string} orderId - Order ID
+   * @param {Object} options - Request details
+   * @param {string} options.reason - What the customer needs help with
+   * @param {string} options.actor - Who asked (customer, ops, system)
+   * @param {string} [options.actorId] - ID of the customer or operator
+   * @returns {Promise<Object>} Updated order
+   * @throws {ApiError} 404 if the order does not exist
+   */
+  async requestHumanAgent(orderId, { reason, actor, actorId }) {
+    try {
+      const order = await Order.findById(orderId);
+      
+      if (!order) {
+        throw notFound(`Order not found: ${orderId}`);
+      }
+      
+      await order.requestHumanAgent({ reason, actor, actorId });
+      
+      logger.info(`Human agent requested for order ${orderId} by ${actor}`, { reason });
+      
+      return order;
+    } catch (error) {
+      logger.error(`Error requesting human agent for order ${orderId}:`, error);
+      throw error;
+    }
+  }
+  
   /**
    * Get next available driver for assignment
    * @async
@@ -214,30 +537,107 @@ class OrderAssignmentService {
    * @returns {Promise<Object|null>} Next available driver or null if none found
    */
   async getNextAvailableDriver(orderId) {
-    // This would normally call your driver service to find available drivers
-    // For this example, we'll simulate it with fake drivers
-    
     const order = await Order.findById(orderId);
-    const previousDriverIds = order.driverAssignments.map(a => a.driverId.toString());
+    // Attempts are budgeted per round; drivers tried in earlier rounds may be offered the order again
+    const previousDriverIds = order.driverAssignments
+      .filter(a => (a.round || 1) === order.assignmentRound)
+      .map(a => a.driverId.toString());
     
     // Check if we've reached max attempts
     if (previousDriverIds.length >= this.maxAssignmentAttempts) {
       return null;
     }
     
-    // Mock available drivers (In a real system, you'd query your driver database)
-    const availableDrivers = [
-      { driverId: '6123456789abcdef01234567', name: 'Driver 1' },
-      { driverId: '6123456789abcdef01234568', name: 'Driver 2' },
-      { driverId: '6123456789abcdef01234569', name: 'Driver 3' },
-      { driverId: '6123456789abcdef01234570', name: 'Driver 4' },
-      { driverId: '6123456789abcdef01234571', name: 'Driver 5' },
-    ];
+    const onlineDrivers = await Driver.find({ availability: DriverAvailability.ONLINE });
+    const engagedDriverIds = await this.getDriversWithPendingAssignments();
+    const origin = this.getOrderOrigin(order);
+    
+    // Online drivers we haven't tried yet who aren't holding another offer
+    const candidates = onlineDrivers
+      .filter(driver => 
+        !previousDriverIds.includes(driver._id.toString()) &&
+        !engagedDriverIds.has(driver._id.toString())
+      )
+      .map(driver => ({
+        driverId: driver._id,
+        name: driver.name,
+        driver,
+        distanceKm: origin && hasCoordinates(driver.lastKnownLocation)
+          ? haversineDistanceKm(origin, driver.lastKnownLocation)
+          : null,
+      }));
+    
+    // Without a known position we can't tell whether a driver is within range,
+    // so the radius only applies (and excludes unlocated drivers) when the order has coordinates
+    const inRange = origin
+      ? candidates.filter(c => c.distanceKm !== null && c.distanceKm <= this.maxDriverRadiusKm)
+      : candidates;
+    
+    const orders = await Order.find();
+    const [nextDriver] = rankDrivers(this.resolveRankingStrategy(order), inRange, { order, orders });
+    
+    if (!nextDriver) {
+      return null;
+    }
+    
+    return {
+      driverId: nextDriver.driverId,
+      name: nextDriver.name,
+      distanceKm: nextDriver.distanceKm,
+    };
+  }
+  
+  /**
+   * Get the ranking strategy for an order: its own override, otherwise the deployment default
+   * @function resolveRankingStrategy
+   * @param {Object} order - Order
+   * @returns {string} Strategy name
+   */
+  resolveRankingStrategy(order) {
+    if (order.rankingStrategy && hasStrategy(order.rankingStrategy)) {
+      return order.rankingStrategy;
+    }
+    
+    if (order.rankingStrategy) {
+      logger.warn(`Order ${order._id} requests unknown ranking strategy "${order.rankingStrategy}", using ${this.rankingStrategy}`);
+    }
+    
+    return this.rankingStrategy;
+  }
+  
+  /**
+   * Get the point drivers are ranked against: pickup if known, otherwise delivery
+   * @function getOrderOrigin
+   * @param {Object} order - Order
+   * @returns {Object|null} Coordinates or null when the order has none
+   */
+  getOrderOrigin(order) {
+    const { pickupCoordinates, deliveryCoordinates } = order.orderDetails || {};
+    
+    if (hasCoordinates(pickupCoordinates)) {
+      return pickupCoordinates;
+    }
+    
+    return hasCoordinates(deliveryCoordinates) ? deliveryCoordinates : null;
+  }
+  
+  /**
+   * Collect the IDs of drivers currently holding a pending assignment
+   * @async
+   * @function getDriversWithPendingAssignments
+   * @returns {Promise<Set<string>>} Driver IDs with a pending assignment
+   */
+  async getDriversWithPendingAssignments() {
+    const pendingOrders = await Order.find({ status: OrderStatus.PENDING });
+    const driverIds = new Set();
     
-    // Find a driver we haven't tried yet
-    const nextDriver = availableDrivers.find(driver => !previousDriverIds.includes(driver.driverId));
+    pendingOrders.forEach(order => {
+      order.driverAssignments
+        .filter(a => a.status === AssignmentStatus.PENDING)
+        .forEach(a => driverIds.add(a.driverId.toString()));
+    });
     
-    return nextDriver || null;
+    return driverIds;
   }
   
   /**
@@ -262,9 +662,17 @@ class OrderAssignmentService {
         reassignmentCount: order.reassignmentCount,
         reassignmentLogs: order.reassignmentLogs,
         createdAt: order.createdAt,
+        pickedUpAt: order.pickedUpAt,
+        inTransitAt: order.inTransitAt,
+        deliveredAt: order.deliveredAt,
+        completedAt: order.completedAt,
         timeoutAt: order.timeoutAt,
+        cancelledAt: order.cancelledAt,
+        cancellation: order.cancellation,
         assignmentTimeout: order.assignmentTimeout,
+        assignmentRound: order.assignmentRound,
         orderDetails: order.orderDetails,
+        statusHistory: order.statusHistory,
       };
     } catch (error) {
       logger.error(`Error getting status for order ${orderId}:`, error);
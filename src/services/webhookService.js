@@ -0,0 +1,260 @@
+/**
+ * @fileoverview Outbound webhook delivery for order lifecycle events
+ * @module services/webhookService
+ * @requires axios
+ * @requires ../models/Order
+ * @requires ../models/WebhookSubscription
+ * @requires ../models/WebhookDelivery
+ * @requires ../events/orderEvents
+ * @requires ../utils/logger
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { Order } = require('../models/Order');
+const { WebhookSubscription } = require('../models/WebhookSubscription');
+const { WebhookDelivery, DeliveryStatus } = require('../models/WebhookDelivery');
+const { OrderEvent, orderEvents } = require('../events/orderEvents');
+const logger = require('../utils/logger');
+
+/**
+ * Receiver status codes worth retrying besides 5xx
+ * @constant {number[]}
+ */
+const RETRYABLE_STATUS_CODES = [408, 429];
+
+/**
+ * Compute the signature sent in the X-Webhook-Signature header.
+ * Receivers recompute it over `${timestamp}.${rawBody}` with their secret.
+ * @function signPayload
+ * @param {string} secret - Subscription secret
+ * @param {string} timestamp - Value of the X-Webhook-Timestamp header
+ * @param {string} body - Raw JSON body
+ * @returns {string} Signature in the form `sha256=<hex>`
+ */
+const signPayload = (secret, timestamp, body) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+/**
+ * @class WebhookService
+ * @description Delivers order events to subscribed HTTP endpoints with signing and retries
+ */
+class WebhookService {
+  /**
+   * Constructor for WebhookService
+   * @constructor
+   */
+  constructor() {
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '5');
+    this.retryBaseDelay = parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS || '1000');
+    this.requestTimeout = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000');
+
+    // Track scheduled retries so they can be cancelled on shutdown
+    this.retryTimers = new Map();
+
+    Object.values(OrderEvent).forEach(event => {
+      orderEvents.subscribe(event, payload => this.dispatchEvent(payload));
+    });
+
+    logger.info(`WebhookService initialized with up to ${this.maxAttempts} delivery attempts`);
+  }
+
+  /**
+   * Create a delivery for every active subscription of the order's merchant interested in the event.
+   * Payloads carry customer data, so orders without a merchant are not delivered to anyone.
+   * @async
+   * @function dispatchEvent
+   * @param {Object} payload - Order event payload
+   * @returns {Promise<WebhookDelivery[]>} Created deliveries
+   */
+  async dispatchEvent(payload) {
+    const order = await Order.findById(payload.orderId);
+
+    if (!order || !order.merchantId) {
+      return [];
+    }
+
+    const subscriptions = await WebhookSubscription.find({ active: true, merchantId: order.merchantId });
+    const interested = subscriptions.filter(subscription => subscription.isSubscribedTo(payload.event));
+
+    return Promise.all(interested.map(async (subscription) => {
+      const delivery = new WebhookDelivery({
+        subscriptionId: subscription._id,
+        event: payload.event,
+        orderId: payload.orderId,
+        payload,
+      });
+      await delivery.save();
+
+      await this.attemptDelivery(delivery, subscription);
+      return delivery;
+    }));
+  }
+
+  /**
+   * Delay before the given retry, doubling each time
+   * @function getRetryDelay
+   * @param {number} attemptNumber - Number of attempts already made (1 for the first retry)
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attemptNumber) {
+    return this.retryBaseDelay * (2 ** (attemptNumber - 1));
+  }
+
+  /**
+   * POST a delivery to its subscription and schedule a retry if it fails
+   * @async
+   * @function attemptDelivery
+   * @param {WebhookDelivery} delivery - Delivery to send
+   * @param {WebhookSubscription} subscription - Target subscription
+   * @returns {Promise<WebhookDelivery>} Updated delivery
+   */
+  async attemptDelivery(delivery, subscription) {
+    const body = JSON.stringify({
+      id: delivery._id,
+      event: delivery.event,
+      occurredAt: delivery.payload.occurredAt,
+      data: delivery.payload,
+    });
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startTime = Date.now();
+
+    let statusCode = null;
+    let error = null;
+    let retryable = true;
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'order-reassignment-webhooks/1.0',
+          'X-Webhook-Id': delivery._id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Timestamp': timestamp,
+          'X-Webhook-Signature': this.signPayload(subscription.secret, timestamp, body),
+        },
+        timeout: this.requestTimeout,
+        maxRedirects: 0,
+        validateStatus: () => true,
+      });
+
+      statusCode = response.status;
+
+      if (statusCode >= 200 && statusCode < 300) {
+        await delivery.recordAttempt({ statusCode, error, durationMs: Date.now() - startTime, success: true });
+        logger.info(`Webhook ${delivery.event} for order ${delivery.orderId} delivered to ${subscription._id}`);
+        return delivery;
+      }
+
+      error = `Receiver responded with HTTP ${statusCode}`;
+      retryable = statusCode >= 500 || RETRYABLE_STATUS_CODES.includes(statusCode);
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const attemptNumber = delivery.attempts.length + 1;
+    const shouldRetry = retryable && attemptNumber < this.maxAttempts;
+    const retryDelay = shouldRetry ? this.getRetryDelay(attemptNumber) : null;
+
+    await delivery.recordAttempt({
+      statusCode,
+      error,
+      durationMs: Date.now() - startTime,
+      success: false,
+      nextAttemptAt: shouldRetry ? new Date(Date.now() + retryDelay) : null,
+    });
+
+    if (shouldRetry) {
+      logger.warn(`Webhook delivery ${delivery._id} failed (${error}), retrying in ${retryDelay}ms`);
+      this.scheduleRetry(delivery, retryDelay);
+    } else {
+      logger.error(`Webhook delivery ${delivery._id} to ${subscription._id} failed after ${attemptNumber} attempts: ${error}`);
+    }
+
+    return delivery;
+  }
+
+  /**
+   * Retry a delivery after a delay, re-reading the subscription so edits and deletions apply
+   * @function scheduleRetry
+   * @param {WebhookDelivery} delivery - Delivery to retry
+   * @param {number} delay - Delay in milliseconds
+   */
+  scheduleRetry(delivery, delay) {
+    const timer = setTimeout(async () => {
+      this.retryTimers.delete(delivery._id);
+
+      try {
+        const subscription = await WebhookSubscription.findById(delivery.subscriptionId);
+
+        if (!subscription || !subscription.active) {
+          delivery.status = DeliveryStatus.FAILED;
+          delivery.nextAttemptAt = null;
+          delivery.completedAt = new Date();
+          await delivery.save();
+          logger.info(`Webhook delivery ${delivery._id} dropped: subscription removed or disabled`);
+          return;
+        }
+
+        await this.attemptDelivery(delivery, subscription);
+      } catch (error) {
+        logger.error(`Error retrying webhook delivery ${delivery._id}:`, error);
+      }
+    }, delay);
+
+    this.retryTimers.set(delivery._id, timer);
+  }
+
+  /**
+   * Re-schedule retries lost in a restart.
+   * Deliveries whose next attempt is already due are retried immediately.
+   * @async
+   * @function recoverPendingDeliveries
+   * @returns {Promise<number>} Number of retries scheduled
+   */
+  async recoverPendingDeliveries() {
+    const pendingDeliveries = await WebhookDelivery.find({ status: DeliveryStatus.PENDING });
+    let scheduled = 0;
+
+    for (const delivery of pendingDeliveries) {
+      if (this.retryTimers.has(delivery._id)) {
+        continue;
+      }
+
+      // Without nextAttemptAt the process stopped before the first attempt was recorded
+      const delay = delivery.nextAttemptAt
+        ? Math.max(0, new Date(delivery.nextAttemptAt).getTime() - Date.now())
+        : 0;
+
+      this.scheduleRetry(delivery, delay);
+      scheduled += 1;
+    }
+
+    logger.info(`Recovered ${scheduled} pending webhook deliveries`);
+
+    return scheduled;
+  }
+
+  /**
+   * Sign a payload the way deliveries are signed, for receivers and tests
+   * @function signPayload
+   * @param {string} secret - Subscription secret
+   * @param {string} timestamp - Value of the X-Webhook-Timestamp header
+   * @param {string} body - Raw JSON body
+   * @returns {string} Signature in the form `sha256=<hex>`
+   */
+  signPayload(secret, timestamp, body) {
+    return signPayload(secret, timestamp, body);
+  }
+  
+  /**
+   * Cancel every scheduled retry
+   * @function cancelRetries
+   */
+  cancelRetries() {
+    this.retryTimers.forEach(timer => clearTimeout(timer));
+    this.retryTimers.clear();
+  }
+}
+
+module.exports = new WebhookService();
@@ -0,0 +1,144 @@
+/**
+ * @fileoverview Tests for token authentication and role-based authorization
+ * @module tests/auth
+ * @requires supertest
+ * @requires ../utils/authToken
+ * @requires ./helpers/testApp
+ * @requires ../routes/orderRoutes
+ * @requires ../routes/chatRoutes
+ */
+
+// The OpenAI client refuses to start without a key; no request in this suite reaches it
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const { Role, TokenError, signToken, verifyToken } = require('../utils/authToken');
+const orderAssignmentService = require('../services/orderAssignmentService');
+const customerNotificationService = require('../services/customerNotificationService');
+const orderRoutes = require('../routes/orderRoutes');
+const chatRoutes = require('../routes/chatRoutes');
+const { buildApp, as, createOrder } = require('./helpers/testApp');
+
+/**
+ * Helper to create a saved order offered to a driver
+ * @param {string} customerId - Customer who placed the order
+ * @param {string} driverId - Driver the order is offered to
+ * @returns {Promise<Order>} The order
+ */
+const createOfferedOrder = async (customerId, driverId) => {
+  const order = await createOrder(customerId);
+  return order.addDriverAssignment({ driverId });
+};
+
+describe('Access tokens', () => {
+  test('Signed tokens carry their role and subject', () => {
+    const claims = verifyToken(signToken({ role: Role.DRIVER, sub: 'driver-1' }));
+
+    expect(claims).toEqual(expect.objectContaining({ role: Role.DRIVER, sub: 'driver-1' }));
+  });
+
+  test('Tampered and expired tokens are rejected', () => {
+    const [header, , signature] = signToken({ role: Role.CUSTOMER, sub: 'customer-1' }).split('.');
+    const forgedPayload = Buffer.from(JSON.stringify({
+      role: Role.OPS,
+      sub: 'customer-1',
+      exp: Math.floor(Date.now() / 1000) + 60,
+    })).toString('base64url');
+
+    expect(() => verifyToken(`${header}.${forgedPayload}.${signature}`)).toThrow(TokenError);
+    expect(() => verifyToken(signToken({ role: Role.OPS, sub: 'ops-1' }, { expiresIn: -1 }))).toThrow('Token has expired');
+    expect(() => verifyToken(signToken({ role: Role.OPS, sub: 'ops-1' }, { secret: 'other' }))).toThrow(TokenError);
+  });
+});
+
+describe('Route authorization', () => {
+  const app = buildApp({ '/api/orders': orderRoutes, '/api/chat': chatRoutes });
+
+  test('Requests without a token are rejected', async () => {
+    const response = await request(app).get('/api/orders');
+
+    expect(response.status).toBe(401);
+    expect(response.body.message).toBe('Authentication required');
+  });
+
+  test('Tokens are also accepted through the X-API-Key header', async () => {
+    const response = await request(app)
+      .get('/api/orders')
+      .set('X-API-Key', signToken({ role: Role.OPS, sub: 'ops-1' }));
+
+    expect(response.status).toBe(200);
+  });
+
+  test('Drivers can only respond to their own assignments', async () => {
+    const order = await createOfferedOrder('customer-1', 'driver-1');
+    const spy = jest.spyOn(orderAssignmentService, 'handleDriverResponse');
+
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/driver-response`)
+      .set(as(Role.DRIVER, 'driver-2'))
+      .send({ driverId: 'driver-1', accepted: true });
+
+    expect(response.status).toBe(403);
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  test('Only ops can assign orders', async () => {
+    const order = await createOfferedOrder('customer-1', 'driver-1');
+
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/assign`)
+      .set(as(Role.DRIVER, 'driver-1'))
+      .send({ driverId: 'driver-1' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('Customers only see their own orders', async () => {
+    const own = await createOfferedOrder('customer-a', 'driver-1');
+    const other = await createOfferedOrder('customer-b', 'driver-1');
+
+    const ownResponse = await request(app).get(`/api/orders/${own._id}`).set(as(Role.CUSTOMER, 'customer-a'));
+    const otherResponse = await request(app).get(`/api/orders/${other._id}`).set(as(Role.CUSTOMER, 'customer-a'));
+    const listResponse = await request(app).get('/api/orders').set(as(Role.CUSTOMER, 'customer-a'));
+    const foreignListResponse = await request(app)
+      .get('/api/orders?customerId=customer-b')
+      .set(as(Role.CUSTOMER, 'customer-a'));
+
+    expect(ownResponse.status).toBe(200);
+    expect(otherResponse.status).toBe(403);
+    expect(listResponse.body.orders.map(o => o.customerId)).toEqual(['customer-a']);
+    expect(foreignListResponse.status).toBe(403);
+  });
+
+  test('Cancellations are recorded against the caller, not an actor from the body', async () => {
+    const order = await createOfferedOrder('customer-a', 'driver-1');
+
+    const forged = await request(app)
+      .post(`/api/orders/${order._id}/cancel`)
+      .set(as(Role.CUSTOMER, 'customer-a'))
+      .send({ reason: 'Changed my mind', actor: 'ops', actorId: 'ops-1' });
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/cancel`)
+      .set(as(Role.CUSTOMER, 'customer-a'))
+      .send({ reason: 'Changed my mind' });
+
+    expect(forged.status).toBe(400);
+    expect(response.status).toBe(200);
+    expect(response.body.order.cancellation).toEqual({ reason: 'Changed my mind', actor: 'customer', actorId: 'customer-a' });
+  });
+
+  test('Customers can only chat about their own orders', async () => {
+    const order = await createOfferedOrder('customer-b', 'driver-1');
+    const spy = jest.spyOn(customerNotificationService, 'handleCustomerChatbotQuery');
+
+    const response = await request(app)
+      .post('/api/chat')
+      .set(as(Role.CUSTOMER, 'customer-a'))
+      .send({ orderId: order._id, customerId: 'customer-a', message: 'Where is my order?' });
+
+    expect(response.status).toBe(403);
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,172 @@
+/**
+ * @fileoverview Tests for automatic dispatch of new orders
+ * @module tests/autoDispatch
+ * @requires supertest
+ * @requires ../routes/orderRoutes
+ * @requires ../routes/merchantRoutes
+ * @requires ../services/orderAssignmentService
+ * @requires ./helpers/testApp
+ */
+
+const request = require('supertest');
+const { Role } = require('../utils/authToken');
+const { Order, OrderStatus } = require('../models/Order');
+const { Merchant } = require('../models/Merchant');
+const orderAssignmentService = require('../services/orderAssignmentService');
+const orderRoutes = require('../routes/orderRoutes');
+const merchantRoutes = require('../routes/merchantRoutes');
+const { buildApp, as, createOnlineDriver } = require('./helpers/testApp');
+
+/**
+ * Wait for timers scheduled with a shorter delay to fire
+ * @param {number} ms - Milliseconds to wait
+ * @returns {Promise<void>}
+ */
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('Auto-dispatch', () => {
+  const app = buildApp({ '/api/orders': orderRoutes, '/api/merchants': merchantRoutes });
+
+  /**
+   * Create an order through the API as ops
+   * @param {string} [merchantId] - Merchant of the order
+   * @returns {Promise<Object>} Created order
+   */
+  const postOrder = async (merchantId) => {
+    const response = await request(app)
+      .post('/api/orders')
+      .set(as(Role.OPS, 'ops-1'))
+      .send({
+        customerId: 'c-dispatch',
+        merchantId,
+        orderDetails: {
+          items: [{ name: 'Pizza', quantity: 1, price: 30 }],
+          totalAmount: 30,
+          deliveryAddress: 'Rua Exemplo, 123',
+        },
+      })
+      .expect(201);
+
+    return response.body.order;
+  };
+
+  /**
+   * Turn auto-dispatch on or off for a merchant through the API
+   * @param {string} merchantId - Merchant ID
+   * @param {boolean} autoDispatch - New setting
+   * @returns {Promise<Object>} Updated merchant
+   */
+  const setAutoDispatch = async (merchantId, autoDispatch) => {
+    const response = await request(app)
+      .put(`/api/merchants/${merchantId}/dispatch-settings`)
+      .set(as(Role.OPS, 'ops-1'))
+      .send({ autoDispatch })
+      .expect(200);
+
+    return response.body.merchant;
+  };
+
+  let driver;
+
+  beforeAll(async () => {
+    driver = await createOnlineDriver('Duda');
+    await new Merchant({ _id: 'm-manual', autoDispatch: false }).save();
+  });
+
+  beforeEach(() => {
+    orderAssignmentService.autoDispatchEnabled = true;
+    orderAssignmentService.autoDispatchDelay = 0;
+  });
+
+  afterEach(async () => {
+    orderAssignmentService.autoDispatchEnabled = false;
+    // Free the driver for the next test
+    for (const order of await Order.find({ status: OrderStatus.PENDING })) {
+      orderAssignmentService.cleanupOrderTimers(order._id);
+      await orderAssignmentService.cancelOrder(order._id, { reason: 'test cleanup', actor: 'system' });
+    }
+  });
+
+  test('A new order is offered to the best available driver', async () => {
+    // Act
+    const created = await postOrder('m-auto');
+    await wait(20);
+
+    // Assert
+    const order = await Order.findById(created._id);
+    expect(order).toMatchObject({ merchantId: 'm-auto', currentDriverId: driver._id });
+    expect(order.driverAssignments).toHaveLength(1);
+    // The auto-reassignment cycle takes over from here
+    expect(orderAssignmentService.assignmentTimers.has(order._id)).toBe(true);
+  });
+
+  test('Merchants excluded from auto-dispatch keep manual assignment', async () => {
+    const created = await postOrder('m-manual');
+    await wait(20);
+
+    const order = await Order.findById(created._id);
+    expect(order.currentDriverId).toBeNull();
+    expect(orderAssignmentService.assignmentTimers.has(order._id)).toBe(false);
+  });
+
+  test('Turning a merchant\'s auto-dispatch off and on applies to its next orders', async () => {
+    // Act: off
+    expect(await setAutoDispatch('m-toggle', false)).toMatchObject({ _id: 'm-toggle', autoDispatch: false });
+    const manual = await postOrder('m-toggle');
+    await wait(20);
+
+    // Assert
+    expect((await Order.findById(manual._id)).currentDriverId).toBeNull();
+
+    // Act: back on
+    await orderAssignmentService.cancelOrder(manual._id, { reason: 'test cleanup', actor: 'system' });
+    expect(await setAutoDispatch('m-toggle', true)).toMatchObject({ autoDispatch: true });
+    const dispatched = await postOrder('m-toggle');
+    await wait(20);
+
+    // Assert
+    expect((await Order.findById(dispatched._id)).currentDriverId).toBe(driver._id);
+    expect(await Merchant.findById('m-toggle')).toMatchObject({ autoDispatch: true });
+  });
+
+  test('Merchants without a record use auto-dispatch and the setting must be a boolean', async () => {
+    const response = await request(app).get('/api/merchants/m-new').set(as(Role.OPS, 'ops-1')).expect(200);
+    expect(response.body.merchant).toMatchObject({ _id: 'm-new', autoDispatch: true });
+
+    await request(app)
+      .put('/api/merchants/m-new/dispatch-settings')
+      .set(as(Role.OPS, 'ops-1'))
+      .send({ autoDispatch: 'no' })
+      .expect(400);
+    await request(app)
+      .put('/api/merchants/m-new/dispatch-settings')
+      .set(as(Role.CUSTOMER, 'c-1'))
+      .send({ autoDispatch: false })
+      .expect(403);
+    expect(await Merchant.findById('m-new')).toBeNull();
+  });
+
+  test('Dispatch waits for the configured delay and skips orders cancelled meanwhile', async () => {
+    orderAssignmentService.autoDispatchDelay = 60;
+
+    const created = await postOrder('m-auto');
+    await wait(20);
+    expect((await Order.findById(created._id)).currentDriverId).toBeNull();
+
+    await orderAssignmentService.cancelOrder(created._id, { reason: 'Desistiu', actor: 'customer' });
+    await wait(60);
+
+    const order = await Order.findById(created._id);
+    expect(order.status).toBe(OrderStatus.CANCELLED);
+    expect(order.driverAssignments).toHaveLength(0);
+  });
+
+  test('Nothing is dispatched when auto-dispatch is off', async () => {
+    orderAssignmentService.autoDispatchEnabled = false;
+
+    const created = await postOrder('m-auto');
+    await wait(20);
+
+    expect((await Order.findById(created._id)).currentDriverId).toBeNull();
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * @fileoverview Tests for chat-driven order actions (tool calling with a confirmation turn)
+ * @module tests/chatActions
+ * @requires ../services/customerNotificationService
+ * @requires ../services/chatActionService
+ * @requires ../models/ChatAction
+ */
+
+// The OpenAI client refuses to start without a key; API calls are stubbed in this suite
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const { Order, OrderStatus } = require('../models/Order');
+const { Driver, DriverAvailability } = require('../models/Driver');
+const { ChatAction, ChatActionStatus } = require('../models/ChatAction');
+const openaiService = require('../services/openaiService');
+const orderAssignmentService = require('../services/orderAssignmentService');
+const customerNotificationService = require('../services/customerNotificationService');
+const chatActionService = require('../services/chatActionService');
+
+/**
+ * Stub the completion API with a tool call
+ * @param {string} name - Tool name
+ * @param {Object} [args={}] - Tool arguments
+ * @returns {jest.SpyInstance} The spy
+ */
+const modelCalls = (name, args = {}) => jest.spyOn(openaiService.client.chat.completions, 'create').mockResolvedValue({
+  choices: [{
+    message: {
+      content: null,
+      tool_calls: [{ id: 'call-1', type: 'function', function: { name, arguments: JSON.stringify(args) } }],
+    },
+  }],
+});
+
+/**
+ * Send a chat message as the order's customer
+ * @param {Order} order - Order
+ * @param {string} message - Customer message
+ * @returns {Promise<Object>} Chatbot response
+ */
+const chat = (order, message) =>
+  customerNotificationService.handleCustomerChatbotQuery(order._id, order.customerId, message);
+
+describe('Chat actions', () => {
+  beforeEach(() => {
+    jest.spyOn(openaiService, 'classifyIntent')
+      .mockResolvedValue({ intent: 'cancel_request', confidence: 0.95, scores: {}, source: 'openai' });
+    // Cancelling notifies the customer; that message is not under test here
+    jest.spyOn(openaiService, 'composeOrderStatusMessage')
+      .mockResolvedValue({ message: 'Pedido cancelado', source: 'fallback', model: null, tokenUsage: null });
+  });
+
+  afterEach(async () => {
+    jest.restoreAllMocks();
+    (await Order.find()).forEach(order => orderAssignmentService.cleanupOrderTimers(order._id));
+  });
+
+  test('A requested cancellation runs only after the customer confirms it', async () => {
+    // Arrange
+    const order = await new Order({ customerId: 'c-cancel' }).save();
+    const createSpy = modelCalls('cancel_order', { reason: 'Demorou demais' });
+
+    // Act
+    const proposal = await chat(order, 'Quero cancelar, está demorando demais');
+
+    // Assert
+    expect(proposal.action).toMatchObject({ name: 'cancel_order', status: ChatActionStatus.AWAITING_CONFIRMATION });
+    expect(proposal.response).toContain('confirma o cancelamento');
+    expect((await Order.findById(order._id)).status).toBe(OrderStatus.PENDING);
+    expect(createSpy.mock.calls[0][0].tools.map(tool => tool.function.name))
+      .toEqual(['cancel_order', 'request_human_agent']);
+
+    const confirmation = await chat(order, 'Sim, pode cancelar');
+
+    const cancelled = await Order.findById(order._id);
+    expect(confirmation.action).toMatchObject({ actionId: proposal.action.actionId, status: ChatActionStatus.EXECUTED });
+    expect(cancelled.status).toBe(OrderStatus.CANCELLED);
+    expect(cancelled.cancellation).toEqual({ reason: 'Demorou demais', actor: 'customer', actorId: 'c-cancel' });
+    // The confirmation turn never reaches the model
+    expect(createSpy).toHaveBeenCalledTimes(1);
+  });
+
+  test('Declined or ignored proposals change nothing', async () => {
+    const order = await new Order({ customerId: 'c-decline' }).save();
+    modelCalls('cancel_order');
+
+    await chat(order, 'Quero cancelar');
+    const declined = await chat(order, 'Não, deixa assim');
+
+    expect(declined.action.status).toBe(ChatActionStatus.DECLINED);
+
+    await chat(order, 'Quero cancelar');
+    await chat(order, 'Onde está o motorista?');
+
+    const actions = await ChatAction.find({ orderId: order._id });
+    expect(actions.map(action => action.status).sort()).toEqual([
+      ChatActionStatus.AWAITING_CONFIRMATION,
+      ChatActionStatus.DECLINED,
+      ChatActionStatus.EXPIRED,
+    ]);
+    expect((await Order.findById(order._id)).status).toBe(OrderStatus.PENDING);
+  });
+
+  test('A timed-out order can be restarted from the chat', async () => {
+    const order = await new Order({ customerId: 'c-retry' }).save();
+    await order.markAsTimedOut();
+    const driver = await new Driver({ name: 'Bia', availability: DriverAvailability.ONLINE }).save();
+    modelCalls('restart_assignment');
+
+    await chat(order, 'Tenta de novo, por favor');
+    const result = await chat(order, 'sim');
+
+    const restarted = await Order.findById(order._id);
+    expect(result.action.status).toBe(ChatActionStatus.EXECUTED);
+    expect(restarted).toMatchObject({ status: OrderStatus.PENDING, assignmentRound: 2, currentDriverId: driver._id });
+    expect(restarted.driverAssignments[0]).toMatchObject({ driverId: driver._id, round: 2 });
+  });
+
+  test('A confirmed action is not run once the order no longer allows it', async () => {
+    const order = await new Order({ customerId: 'c-late' }).save();
+    modelCalls('cancel_order');
+
+    await chat(order, 'Quero cancelar');
+    // Ops cancel the order before the customer answers
+    await orderAssignmentService.cancelOrder(order._id, { reason: 'Loja fechada', actor: 'ops', actorId: 'ops-1' });
+    const result = await chat(order, 'sim');
+
+    expect(result.action.status).toBe(ChatActionStatus.FAILED);
+    expect(result.response).toContain('não pode mais ser feita');
+    expect((await Order.findById(order._id)).cancellation).toMatchObject({ actor: 'ops', reason: 'Loja fechada' });
+  });
+
+  test('Tools that were not offered for the order status are ignored', async () => {
+    const order = await new Order({ customerId: 'c-ignored' }).save();
+    modelCalls('restart_assignment');
+
+    const result = await chat(order, 'Tenta de novo');
+
+    expect(result.action).toBeNull();
+    expect(await ChatAction.find({ orderId: order._id })).toHaveLength(0);
+  });
+
+  test('Confirmation answers are recognised by their first word', () => {
+    expect(chatActionService.interpretConfirmation('Sim!')).toBe('confirmed');
+    expect(chatActionService.interpretConfirmation('não quero')).toBe('declined');
+    expect(chatActionService.interpretConfirmation('confirmo')).toBe('confirmed');
+    expect(chatActionService.interpretConfirmation('Negativo.')).toBe('declined');
+    // Only Portuguese answers count, so "no" in "no endereço" is not read as a refusal
+    expect(chatActionService.interpretConfirmation('yes')).toBeNull();
+    expect(chatActionService.interpretConfirmation('no endereço errado')).toBeNull();
+    expect(chatActionService.interpretConfirmation('Simples assim?')).toBeNull();
+    expect(chatActionService.interpretConfirmation('Onde está?')).toBeNull();
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Tests for multi-turn chat context and its token budget
+ * @module tests/chatContext
+ * @requires ../utils/chatContext
+ * @requires ../services/openaiService
+ * @requires ../services/customerNotificationService
+ */
+
+// The OpenAI client refuses to start without a key; API calls are stubbed in this suite
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const { buildChatMessages, estimateTokens } = require('../utils/chatContext');
+const { Order } = require('../models/Order');
+const { ChatExchange } = require('../models/ChatExchange');
+const openaiService = require('../services/openaiService');
+const customerNotificationService = require('../services/customerNotificationService');
+
+/**
+ * Build a prior turn
+ * @param {number} index - Turn number
+ * @returns {{message: string, response: string}} Turn
+ */
+const turn = index => ({ message: `Pergunta ${index}`, response: `Resposta ${index}` });
+
+describe('buildChatMessages', () => {
+  test('Keeps every turn when the budget allows', () => {
+    const result = buildChatMessages({
+      systemMessage: 'Sistema',
+      history: [turn(1), turn(2)],
+      userMessage: 'Nova pergunta',
+      tokenBudget: 1000,
+    });
+
+    expect(result.messages).toEqual([
+      { role: 'system', content: 'Sistema' },
+      { role: 'user', content: 'Pergunta 1' },
+      { role: 'assistant', content: 'Resposta 1' },
+      { role: 'user', content: 'Pergunta 2' },
+      { role: 'assistant', content: 'Resposta 2' },
+      { role: 'user', content: 'Nova pergunta' },
+    ]);
+    expect(result).toMatchObject({ includedTurns: 2, droppedTurns: 0 });
+  });
+
+  test('Drops the oldest whole turns to stay within the budget', () => {
+    const history = [turn(1), turn(2), turn(3)];
+    const turnTokens = estimateTokens('Pergunta 1') + estimateTokens('Resposta 1');
+    const fixedTokens = estimateTokens('Sistema') + estimateTokens('Nova pergunta');
+
+    const result = buildChatMessages({
+      systemMessage: 'Sistema',
+      history,
+      userMessage: 'Nova pergunta',
+      tokenBudget: fixedTokens + turnTokens * 2,
+    });
+
+    expect(result.messages.map(message => message.content)).toEqual([
+      'Sistema', 'Pergunta 2', 'Resposta 2', 'Pergunta 3', 'Resposta 3', 'Nova pergunta',
+    ]);
+    expect(result).toMatchObject({ includedTurns: 2, droppedTurns: 1 });
+    expect(result.estimatedTokens).toBeLessThanOrEqual(fixedTokens + turnTokens * 2);
+  });
+
+  test('Always keeps the system and new user messages, and honours maxTurns', () => {
+    const tiny = buildChatMessages({
+      systemMessage: 'Sistema',
+      history: [turn(1)],
+      userMessage: 'Nova pergunta',
+      tokenBudget: 1,
+    });
+    const capped = buildChatMessages({
+      systemMessage: 'Sistema',
+      history: [turn(1), turn(2), turn(3)],
+      userMessage: 'Nova pergunta',
+      tokenBudget: 1000,
+      maxTurns: 1,
+    });
+
+    expect(tiny.messages.map(message => message.role)).toEqual(['system', 'user']);
+    expect(capped.messages.map(message => message.content)).toEqual([
+      'Sistema', 'Pergunta 3', 'Resposta 3', 'Nova pergunta',
+    ]);
+  });
+});
+
+describe('Multi-turn chat', () => {
+  let createSpy;
+
+  beforeEach(() => {
+    jest.spyOn(openaiService, 'classifyIntent')
+      .mockResolvedValue({ intent: 'status', confidence: 0.8, scores: {}, source: 'openai' });
+    createSpy = jest.spyOn(openaiService.client.chat.completions, 'create').mockResolvedValue({
+      choices: [{ message: { content: 'Ele chega em 10 minutos.' } }],
+      usage: { prompt_tokens: 120, completion_tokens: 8, total_tokens: 128 },
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('The customer text and earlier turns of the order are sent to the model', async () => {
+    // Arrange
+    const order = await new Order({ customerId: 'c-context' }).save();
+    await new ChatExchange({
+      orderId: order._id,
+      customerId: 'c-context',
+      message: 'Onde está meu pedido?',
+      queryType: 'general_status',
+      response: 'Seu pedido está sendo preparado.',
+      responseTime: 10,
+      createdAt: new Date('2024-01-01T10:00:00Z'),
+    }).save();
+
+    // Act
+    const result = await customerNotificationService.handleCustomerChatbotQuery(
+      order._id,
+      'c-context',
+      'E quanto tempo falta?'
+    );
+
+    // Assert
+    expect(result).toMatchObject({ success: true, response: 'Ele chega em 10 minutos.' });
+
+    const { messages } = createSpy.mock.calls[0][0];
+    expect(messages[0].role).toBe('system');
+    expect(messages.slice(1)).toEqual([
+      { role: 'user', content: 'Onde está meu pedido?' },
+      { role: 'assistant', content: 'Seu pedido está sendo preparado.' },
+      { role: 'user', content: 'E quanto tempo falta?' },
+    ]);
+  });
+
+  test('Falls back to a canned answer when the API fails', async () => {
+    createSpy.mockRejectedValue(new Error('boom'));
+    jest.spyOn(openaiService, 'getFallbackMessage').mockReturnValue('Mensagem padrão');
+
+    const reply = await openaiService.generateChatReply(
+      { orderId: 'order-fallback', status: 'pending' },
+      'general_status',
+      { message: 'Oi?' }
+    );
+
+    expect(reply).toMatchObject({ message: 'Mensagem padrão', source: 'fallback', contextTurns: 0 });
+  });
+});
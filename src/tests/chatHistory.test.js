@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Tests for stored chat exchanges and the chat history endpoint
+ * @module tests/chatHistory
+ * @requires supertest
+ * @requires ../routes/chatRoutes
+ * @requires ../models/ChatExchange
+ * @requires ../utils/pagination
+ * @requires ./helpers/testApp
+ */
+
+// The OpenAI client refuses to start without a key; answers are stubbed in this suite
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const { Role } = require('../utils/authToken');
+const { ChatExchange } = require('../models/ChatExchange');
+const openaiService = require('../services/openaiService');
+const chatRoutes = require('../routes/chatRoutes');
+const { encodeCursor } = require('../utils/pagination');
+const { buildApp, as, createOrder } = require('./helpers/testApp');
+
+describe('Chat history', () => {
+  const app = buildApp({ '/api/chat': chatRoutes });
+
+  beforeEach(() => {
+    jest.spyOn(openaiService, 'classifyIntent')
+      .mockResolvedValue({ intent: 'delay', confidence: 0.9, scores: { delay: 0.9 }, source: 'openai' });
+    jest.spyOn(openaiService, 'generateChatReply').mockResolvedValue({
+      message: 'Seu pedido está a caminho.',
+      source: 'openai',
+      model: 'gpt-4o-mini',
+      tokenUsage: null,
+      contextTurns: 0,
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Every chat exchange is stored and returned in the history', async () => {
+    // Arrange
+    const order = await createOrder('c-chat');
+
+    // Act
+    const chat = await request(app)
+      .post('/api/chat')
+      .set(as(Role.CUSTOMER, 'c-chat'))
+      .send({ orderId: order._id, customerId: 'c-chat', message: 'Por que a demora?' })
+      .expect(200);
+
+    const history = await request(app)
+      .get(`/api/chat/history/${order._id}`)
+      .set(as(Role.CUSTOMER, 'c-chat'))
+      .expect(200);
+
+    // Assert
+    expect(history.body).toMatchObject({ orderId: order._id, customerId: 'c-chat', count: 1 });
+    expect(history.body.history[0]).toMatchObject({
+      _id: chat.body.exchangeId,
+      message: 'Por que a demora?',
+      intent: 'delay',
+      intentConfidence: 0.9,
+      intentScores: { delay: 0.9 },
+      queryType: 'delay_explanation',
+      response: 'Seu pedido está a caminho.',
+    });
+    expect(typeof history.body.history[0].responseTime).toBe('number');
+    expect(new Date(history.body.history[0].respondedAt) >= new Date(history.body.history[0].createdAt)).toBe(true);
+  });
+
+  test('History is paginated oldest first', async () => {
+    const order = await createOrder('c-pages');
+    for (const [index, minute] of ['00', '01', '02'].entries()) {
+      await new ChatExchange({
+        orderId: order._id,
+        customerId: 'c-pages',
+        message: `Pergunta ${index + 1}`,
+        queryType: 'general_status',
+        response: 'Resposta',
+        responseTime: 10,
+        createdAt: new Date(`2024-01-01T10:${minute}:00Z`),
+      }).save();
+    }
+
+    const first = await request(app)
+      .get(`/api/chat/history/${order._id}`)
+      .query({ limit: 2 })
+      .set(as(Role.OPS, 'agent-1'))
+      .expect(200);
+
+    expect(first.body.history.map(exchange => exchange.message)).toEqual(['Pergunta 1', 'Pergunta 2']);
+    expect(first.body.pagination.hasMore).toBe(true);
+
+    const second = await request(app)
+      .get(`/api/chat/history/${order._id}`)
+      .query({ limit: 2, cursor: first.body.pagination.nextCursor })
+      .set(as(Role.OPS, 'agent-1'))
+      .expect(200);
+
+    expect(second.body.history.map(exchange => exchange.message)).toEqual(['Pergunta 3']);
+    expect(second.body.pagination).toMatchObject({ hasMore: false, nextCursor: null });
+  });
+
+  test('Cursors issued for another sort field are rejected', async () => {
+    const order = await createOrder('c-cursor');
+    const orderCursor = encodeCursor('reassignmentCount', 2, order._id);
+
+    const response = await request(app)
+      .get(`/api/chat/history/${order._id}`)
+      .query({ cursor: orderCursor })
+      .set(as(Role.OPS, 'agent-1'))
+      .expect(400);
+
+    expect(response.body.data.errors).toEqual([expect.objectContaining({
+      location: 'query',
+      field: 'cursor',
+      type: 'cursor.sortBy',
+    })]);
+  });
+
+  test('A customerId that did not place the order is rejected', async () => {
+    const order = await createOrder('c-owner');
+
+    await request(app)
+      .get(`/api/chat/history/${order._id}`)
+      .query({ customerId: 'c-someone-else' })
+      .set(as(Role.OPS, 'agent-1'))
+      .expect(403);
+
+    await request(app)
+      .post('/api/chat')
+      .set(as(Role.OPS, 'agent-1'))
+      .send({ orderId: order._id, customerId: 'c-someone-else', message: 'Onde está?' })
+      .expect(403);
+
+    expect(await ChatExchange.find({ orderId: order._id })).toHaveLength(0);
+  });
+
+  test('History of an unknown order is not found', async () => {
+    await request(app)
+      .get('/api/chat/history/missing-order')
+      .set(as(Role.OPS, 'agent-1'))
+      .expect(404);
+  });
+});
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Tests for driver ranking strategies
+ * @module tests/driverRankingStrategies
+ * @requires ../services/driverRankingStrategies
+ * @requires ../models/Order
+ * @requires ../utils/geo
+ * @requires ../services/orderAssignmentService
+ * @requires ./helpers/testApp
+ */
+
+const { rankDrivers, getStrategy, listStrategies } = require('../services/driverRankingStrategies');
+const { Order, OrderStatus, AssignmentStatus } = require('../models/Order');
+const { hasCoordinates, haversineDistanceKm } = require('../utils/geo');
+const orderAssignmentService = require('../services/orderAssignmentService');
+const { createOrder, createOnlineDriver } = require('./helpers/testApp');
+
+/**
+ * Helper to build a candidate as produced by getNextAvailableDriver
+ * @param {string} driverId - Driver ID
+ * @param {number|null} [distanceKm=null] - Distance to the order
+ * @returns {Object} Candidate
+ */
+const candidate = (driverId, distanceKm = null) => ({ driverId, name: driverId, distanceKm });
+
+/**
+ * Helper to build an order whose driverAssignments hold the given history
+ * @param {Array<[string, string, number]>} assignments - [driverId, status, minutesAgo] tuples
+ * @param {Object} [overrides={}] - Extra order fields
+ * @returns {Order} Order with assignment history
+ */
+const orderWithHistory = (assignments, overrides = {}) => new Order({
+  customerId: 'customer-1',
+  driverAssignments: assignments.map(([driverId, status, minutesAgo]) => ({
+    driverId,
+    status,
+    assignedAt: new Date(Date.now() - minutesAgo * 60000),
+  })),
+  ...overrides,
+});
+
+/**
+ * Helper to list ranked driver IDs
+ * @param {Object[]} ranked - Ranked candidates
+ * @returns {string[]} Driver IDs in ranked order
+ */
+const ids = (ranked) => ranked.map(c => c.driverId);
+
+describe('Driver ranking strategies', () => {
+  test('All strategies expose the RankingStrategy interface', () => {
+    expect(listStrategies()).toEqual(expect.arrayContaining([
+      'proximity',
+      'round_robin',
+      'least_recently_assigned',
+      'acceptance_rate',
+      'fewest_active_orders',
+    ]));
+
+    listStrategies().forEach(name => {
+      const strategy = getStrategy(name);
+      expect(strategy.name).toBe(name);
+      expect(typeof strategy.description).toBe('string');
+      expect(typeof strategy.rank).toBe('function');
+    });
+  });
+
+  test('Unknown strategy names are rejected', () => {
+    expect(() => getStrategy('random')).toThrow('Unknown driver ranking strategy: random');
+  });
+
+  test('proximity ranks closest drivers first and unlocated drivers last', () => {
+    const ranked = rankDrivers('proximity', [
+      candidate('d1', 4.2),
+      candidate('d2', null),
+      candidate('d3', 0.8),
+    ]);
+
+    expect(ids(ranked)).toEqual(['d3', 'd1', 'd2']);
+  });
+
+  test('round_robin continues after the most recently assigned driver', () => {
+    const orders = [
+      orderWithHistory([['d1', AssignmentStatus.TIMED_OUT, 30]]),
+      orderWithHistory([['d2', AssignmentStatus.ACCEPTED, 5]]),
+    ];
+
+    const ranked = rankDrivers('round_robin', [candidate('d3'), candidate('d1'), candidate('d2')], { orders });
+
+    expect(ids(ranked)).toEqual(['d3', 'd1', 'd2']);
+  });
+
+  test('round_robin wraps around when the last driver is the highest ID', () => {
+    const orders = [orderWithHistory([['d3', AssignmentStatus.ACCEPTED, 1]])];
+
+    const ranked = rankDrivers('round_robin', [candidate('d2'), candidate('d1')], { orders });
+
+    expect(ids(ranked)).toEqual(['d1', 'd2']);
+  });
+
+  test('least_recently_assigned prefers never-assigned, then oldest assignment', () => {
+    const orders = [
+      orderWithHistory([
+        ['d1', AssignmentStatus.TIMED_OUT, 60],
+        ['d2', AssignmentStatus.ACCEPTED, 10],
+      ]),
+      orderWithHistory([['d1', AssignmentStatus.REJECTED, 5]]),
+      orderWithHistory([['d3', AssignmentStatus.ACCEPTED, 20]]),
+    ];
+
+    const ranked = rankDrivers('least_recently_assigned', [
+      candidate('d1'),
+      candidate('d2'),
+      candidate('d3'),
+      candidate('d4'),
+    ], { orders });
+
+    expect(ids(ranked)).toEqual(['d4', 'd3', 'd2', 'd1']);
+  });
+
+  test('acceptance_rate ranks by accepted share of answered offers', () => {
+    const orders = [
+      orderWithHistory([
+        ['d1', AssignmentStatus.REJECTED, 50],
+        ['d2', AssignmentStatus.ACCEPTED, 40],
+      ]),
+      orderWithHistory([
+        ['d1', AssignmentStatus.TIMED_OUT, 30],
+        ['d2', AssignmentStatus.ACCEPTED, 20],
+      ]),
+      // Pending offers are not counted against the driver
+      orderWithHistory([['d3', AssignmentStatus.PENDING, 1]]),
+    ];
+
+    const ranked = rankDrivers('acceptance_rate', [candidate('d1'), candidate('d3'), candidate('d2')], { orders });
+
+    expect(ids(ranked)).toEqual(['d2', 'd3', 'd1']);
+  });
+
+  test('fewest_active_orders prefers drivers carrying fewer accepted orders', () => {
+    const orders = [
+      orderWithHistory([['d1', AssignmentStatus.ACCEPTED, 10]], { status: OrderStatus.ACCEPTED, currentDriverId: 'd1' }),
+      orderWithHistory([['d1', AssignmentStatus.ACCEPTED, 5]], { status: OrderStatus.ACCEPTED, currentDriverId: 'd1' }),
+      orderWithHistory([['d2', AssignmentStatus.ACCEPTED, 5]], { status: OrderStatus.ACCEPTED, currentDriverId: 'd2' }),
+      // Finished orders no longer occupy the driver
+      orderWithHistory([['d3', AssignmentStatus.ACCEPTED, 90]], { status: OrderStatus.COMPLETED, currentDriverId: 'd3' }),
+    ];
+
+    const ranked = rankDrivers('fewest_active_orders', [candidate('d1'), candidate('d2'), candidate('d3')], { orders });
+
+    expect(ids(ranked)).toEqual(['d3', 'd2', 'd1']);
+  });
+
+  test('Ties are broken by distance', () => {
+    const ranked = rankDrivers('fewest_active_orders', [
+      candidate('d1', 3),
+      candidate('d2', 1),
+      candidate('d3', null),
+    ], { orders: [] });
+
+    expect(ids(ranked)).toEqual(['d2', 'd1', 'd3']);
+  });
+});
+
+describe('Driver distance', () => {
+  const saoPaulo = { latitude: -23.5505, longitude: -46.6333 };
+  const rio = { latitude: -22.9068, longitude: -43.1729 };
+
+  /**
+   * Helper to build a point a given distance north of São Paulo
+   * @param {number} km - Distance in kilometres
+   * @returns {Object} Coordinates
+   */
+  const northOfSaoPaulo = km => ({ latitude: saoPaulo.latitude + km / 111.195, longitude: saoPaulo.longitude });
+
+  let originalRadius;
+
+  beforeEach(() => {
+    originalRadius = orderAssignmentService.maxDriverRadiusKm;
+    orderAssignmentService.maxDriverRadiusKm = 5;
+  });
+
+  afterEach(() => {
+    orderAssignmentService.maxDriverRadiusKm = originalRadius;
+  });
+
+  test('haversineDistanceKm measures great-circle distance', () => {
+    expect(haversineDistanceKm(saoPaulo, saoPaulo)).toBe(0);
+    expect(haversineDistanceKm(saoPaulo, rio)).toBeCloseTo(361, 0);
+    expect(haversineDistanceKm(rio, saoPaulo)).toBeCloseTo(haversineDistanceKm(saoPaulo, rio), 9);
+    expect(haversineDistanceKm({ latitude: 0, longitude: 0 }, { latitude: 0, longitude: 1 })).toBeCloseTo(111.195, 2);
+  });
+
+  test('The 0,0 default and missing values are not coordinates', () => {
+    expect(hasCoordinates(saoPaulo)).toBe(true);
+    expect(hasCoordinates({ latitude: 0, longitude: 0 })).toBe(false);
+    expect(hasCoordinates({ latitude: -23.5 })).toBe(false);
+    expect(hasCoordinates(null)).toBe(false);
+  });
+
+  test('The pickup point is the origin, falling back to the delivery point', () => {
+    const origin = orderDetails => orderAssignmentService.getOrderOrigin({ orderDetails });
+
+    expect(origin({ pickupCoordinates: saoPaulo, deliveryCoordinates: rio })).toBe(saoPaulo);
+    expect(origin({ pickupCoordinates: { latitude: 0, longitude: 0 }, deliveryCoordinates: rio })).toBe(rio);
+    expect(origin({ deliveryCoordinates: rio })).toBe(rio);
+    expect(origin({ deliveryCoordinates: { latitude: 0, longitude: 0 } })).toBeNull();
+    expect(orderAssignmentService.getOrderOrigin({})).toBeNull();
+  });
+
+  test('Drivers beyond DRIVER_MAX_RADIUS_KM from the pickup, or without a location, are excluded', async () => {
+    // Arrange: the only located driver is 20 km from the pickup, right at the delivery point
+    await createOnlineDriver('Longe', { lastKnownLocation: northOfSaoPaulo(20) });
+    await createOnlineDriver('Sem GPS');
+    const order = await createOrder('c-radius', {
+      orderDetails: { pickupCoordinates: saoPaulo, deliveryCoordinates: northOfSaoPaulo(20) },
+    });
+
+    // Act & Assert
+    expect(await orderAssignmentService.getNextAvailableDriver(order._id)).toBeNull();
+
+    const near = await createOnlineDriver('Perto', { lastKnownLocation: northOfSaoPaulo(3) });
+    const next = await orderAssignmentService.getNextAvailableDriver(order._id);
+
+    expect(next.driverId).toBe(near._id);
+    expect(next.distanceKm).toBeCloseTo(3, 1);
+  });
+});
@@ -0,0 +1,186 @@
+/**
+ * @fileoverview Tests for the driver registry and driver selection for assignment
+ * @module tests/drivers
+ * @requires supertest
+ * @requires ../config/database
+ * @requires ../models/Driver
+ * @requires ../routes/driverRoutes
+ * @requires ../services/orderAssignmentService
+ * @requires ./helpers/testApp
+ */
+
+// The OpenAI client refuses to start without a key; no request in this suite reaches it
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const { Role } = require('../utils/authToken');
+const { getCollection } = require('../config/database');
+const { Driver, DriverAvailability, VehicleType } = require('../models/Driver');
+const orderAssignmentService = require('../services/orderAssignmentService');
+const driverRoutes = require('../routes/driverRoutes');
+const { buildApp, as, createOrder, createOnlineDriver } = require('./helpers/testApp');
+
+// Every test starts from an empty registry so drivers from other tests are never candidates
+beforeEach(async () => {
+  await getCollection('drivers').clear();
+  await getCollection('orders').clear();
+});
+
+describe('Driver model', () => {
+  test('New drivers default to an offline motorcycle without a location', async () => {
+    // Act
+    const driver = await new Driver({ name: 'Ana' }).save();
+
+    // Assert
+    const stored = await Driver.findById(driver._id);
+    expect(stored).toBeInstanceOf(Driver);
+    expect(stored).toMatchObject({
+      name: 'Ana',
+      phone: null,
+      vehicleType: VehicleType.MOTORCYCLE,
+      availability: DriverAvailability.OFFLINE,
+      lastKnownLocation: null,
+    });
+    expect(await Driver.findById('missing')).toBeNull();
+  });
+
+  test('Availability and location changes are saved', async () => {
+    const driver = await new Driver({ name: 'Bruno' }).save();
+
+    await driver.setAvailability(DriverAvailability.ONLINE);
+    await driver.updateLocation({ latitude: -23.55, longitude: -46.63 });
+
+    const stored = await Driver.findById(driver._id);
+    expect(stored.availability).toBe(DriverAvailability.ONLINE);
+    expect(stored.lastKnownLocation).toEqual({ latitude: -23.55, longitude: -46.63, updatedAt: expect.any(Date) });
+  });
+
+  test('Drivers are found by query and deleted by ID', async () => {
+    const online = await createOnlineDriver('Carla', { vehicleType: VehicleType.CAR });
+    const offline = await new Driver({ name: 'Davi', vehicleType: VehicleType.CAR }).save();
+
+    expect((await Driver.find({ availability: DriverAvailability.ONLINE })).map(d => d._id)).toEqual([online._id]);
+    expect(await Driver.find({ vehicleType: VehicleType.CAR })).toHaveLength(2);
+
+    expect(await Driver.deleteById(offline._id)).toBe(true);
+    expect(await Driver.deleteById(offline._id)).toBe(false);
+    expect(await Driver.find()).toHaveLength(1);
+  });
+});
+
+describe('Driver routes', () => {
+  const app = buildApp({ '/api/drivers': driverRoutes });
+  const asOps = as(Role.OPS, 'ops-1');
+
+  test('Ops register, list, update and remove drivers', async () => {
+    // Act: register
+    const created = await request(app)
+      .post('/api/drivers')
+      .set(asOps)
+      .send({ name: 'Eva', vehicleType: VehicleType.BICYCLE, lastKnownLocation: { latitude: -23.5, longitude: -46.6 } })
+      .expect(201);
+    const { driver } = created.body;
+
+    // Assert
+    expect(driver).toMatchObject({
+      name: 'Eva',
+      vehicleType: VehicleType.BICYCLE,
+      availability: DriverAvailability.OFFLINE,
+      lastKnownLocation: { latitude: -23.5, longitude: -46.6 },
+    });
+
+    const updated = await request(app)
+      .patch(`/api/drivers/${driver._id}`)
+      .set(asOps)
+      .send({ availability: DriverAvailability.ONLINE, lastKnownLocation: { latitude: -23.6, longitude: -46.7 } })
+      .expect(200);
+    expect(updated.body.driver).toMatchObject({
+      availability: DriverAvailability.ONLINE,
+      lastKnownLocation: { latitude: -23.6, longitude: -46.7 },
+    });
+
+    const listed = await request(app).get('/api/drivers').query({ availability: 'online' }).set(asOps).expect(200);
+    expect(listed.body).toMatchObject({ count: 1, drivers: [{ _id: driver._id }] });
+
+    await request(app).delete(`/api/drivers/${driver._id}`).set(asOps).expect(200);
+    await request(app).get(`/api/drivers/${driver._id}`).set(asOps).expect(404);
+    await request(app).delete(`/api/drivers/${driver._id}`).set(asOps).expect(404);
+  });
+
+  test('Drivers read and update only their own profile', async () => {
+    const driver = await new Driver({ name: 'Fábio' }).save();
+    const other = await new Driver({ name: 'Gabi' }).save();
+    const asDriver = as(Role.DRIVER, driver._id);
+
+    await request(app).get(`/api/drivers/${driver._id}`).set(asDriver).expect(200);
+    await request(app)
+      .patch(`/api/drivers/${driver._id}`)
+      .set(asDriver)
+      .send({ availability: DriverAvailability.BUSY })
+      .expect(200);
+
+    await request(app).get(`/api/drivers/${other._id}`).set(asDriver).expect(403);
+    await request(app).patch(`/api/drivers/${other._id}`).set(asDriver).send({ name: 'X' }).expect(403);
+    await request(app).get('/api/drivers').set(asDriver).expect(403);
+    await request(app).delete(`/api/drivers/${driver._id}`).set(asDriver).expect(403);
+    await request(app).post('/api/drivers').set(as(Role.CUSTOMER, 'c-1')).send({ name: 'Hugo' }).expect(403);
+  });
+
+  test('Invalid driver data is rejected', async () => {
+    const driver = await new Driver({ name: 'Iara' }).save();
+
+    await request(app).post('/api/drivers').set(asOps).send({ vehicleType: VehicleType.CAR }).expect(400);
+    await request(app).post('/api/drivers').set(asOps).send({ name: 'Joana', vehicleType: 'rocket' }).expect(400);
+    await request(app).patch(`/api/drivers/${driver._id}`).set(asOps).send({}).expect(400);
+    await request(app).get('/api/drivers').query({ availability: 'asleep' }).set(asOps).expect(400);
+  });
+});
+
+describe('Next available driver', () => {
+  let originalMaxAttempts;
+
+  beforeEach(() => {
+    originalMaxAttempts = orderAssignmentService.maxAssignmentAttempts;
+  });
+
+  afterEach(() => {
+    orderAssignmentService.maxAssignmentAttempts = originalMaxAttempts;
+  });
+
+  test('Drivers holding a pending offer for another order are skipped', async () => {
+    // Arrange
+    const engaged = await createOnlineDriver('Kleber');
+    const free = await createOnlineDriver('Lia');
+    const otherOrder = await createOrder('c-other');
+    await otherOrder.addDriverAssignment({ driverId: engaged._id });
+    const order = await createOrder('c-next');
+
+    // Act
+    const next = await orderAssignmentService.getNextAvailableDriver(order._id);
+
+    // Assert
+    expect(next).toMatchObject({ driverId: free._id, name: 'Lia' });
+  });
+
+  test('Offline drivers and drivers already tried for the order are skipped', async () => {
+    const tried = await createOnlineDriver('Mara');
+    await new Driver({ name: 'Nina' }).save();
+    const order = await createOrder('c-tried');
+    await order.addDriverAssignment({ driverId: tried._id });
+    await order.recordReassignment(tried._id, tried._id, 'TIMEOUT');
+
+    expect(await orderAssignmentService.getNextAvailableDriver(order._id)).toBeNull();
+
+    const fresh = await createOnlineDriver('Otto');
+    expect(await orderAssignmentService.getNextAvailableDriver(order._id)).toMatchObject({ driverId: fresh._id });
+  });
+
+  test('No driver is offered once the attempt budget is spent', async () => {
+    orderAssignmentService.maxAssignmentAttempts = 1;
+    await createOnlineDriver('Paulo');
+    const order = await createOrder('c-budget');
+    await order.addDriverAssignment({ driverId: 'driver-gone' });
+
+    expect(await orderAssignmentService.getNextAvailableDriver(order._id)).toBeNull();
+  });
+});
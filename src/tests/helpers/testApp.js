@@ -0,0 +1,71 @@
+/**
+ * @fileoverview Shared harness for route tests: an app behind token authentication,
+ * request headers per caller and factories for saved orders and drivers
+ * @module tests/helpers/testApp
+ * @requires express
+ * @requires ../../middleware/auth
+ * @requires ../../middleware/errorHandler
+ * @requires ../../utils/authToken
+ * @requires ../../models/Order
+ * @requires ../../models/Driver
+ */
+
+process.env.AUTH_SECRET = process.env.AUTH_SECRET || 'test-secret';
+
+const express = require('express');
+const { authenticate } = require('../../middleware/auth');
+const { errorHandler } = require('../../middleware/errorHandler');
+const { signToken } = require('../../utils/authToken');
+const { Order } = require('../../models/Order');
+const { Driver, DriverAvailability } = require('../../models/Driver');
+
+/**
+ * Build a minimal app that mounts routers behind authentication
+ * @function buildApp
+ * @param {Object<string, Object>} routes - Routers by mount path, e.g. `{ '/api/orders': orderRoutes }`
+ * @returns {Object} Express application
+ */
+const buildApp = (routes) => {
+  const app = express();
+  app.use(express.json());
+  Object.entries(routes).forEach(([mountPath, router]) => app.use(mountPath, authenticate, router));
+  app.use(errorHandler);
+  return app;
+};
+
+/**
+ * Authorization header for a caller
+ * @function as
+ * @param {string} role - Caller role
+ * @param {string} sub - Caller ID
+ * @returns {Object} Request headers
+ */
+const as = (role, sub) => ({ Authorization: `Bearer ${signToken({ role, sub })}` });
+
+/**
+ * Create a saved order
+ * @async
+ * @function createOrder
+ * @param {string} customerId - Customer who placed the order
+ * @param {Object} [overrides={}] - Other order fields
+ * @returns {Promise<Order>} The order
+ */
+const createOrder = (customerId, overrides = {}) => new Order({ customerId, ...overrides }).save();
+
+/**
+ * Create a saved driver who is online
+ * @async
+ * @function createOnlineDriver
+ * @param {string} name - Driver name
+ * @param {Object} [overrides={}] - Other driver fields
+ * @returns {Promise<Driver>} The driver
+ */
+const createOnlineDriver = (name, overrides = {}) =>
+  new Driver({ name, availability: DriverAvailability.ONLINE, ...overrides }).save();
+
+module.exports = {
+  buildApp,
+  as,
+  createOrder,
+  createOnlineDriver,
+};
@@ -0,0 +1,89 @@
+/**
+ * @fileoverview Tests for chat intent classification and its keyword fallback
+ * @module tests/intentClassification
+ * @requires ../services/openaiService
+ * @requires ../services/customerNotificationService
+ */
+
+// The OpenAI client refuses to start without a key; API calls are stubbed in this suite
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const { ChatIntent } = require('../models/ChatExchange');
+const openaiService = require('../services/openaiService');
+const customerNotificationService = require('../services/customerNotificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Stub the completion API with a JSON answer
+ * @param {Object} answer - Object the model returns
+ * @returns {jest.SpyInstance} The spy
+ */
+const answerWith = answer => jest.spyOn(openaiService.client.chat.completions, 'create').mockResolvedValue({
+  choices: [{ message: { content: JSON.stringify(answer) } }],
+  usage: { prompt_tokens: 90, completion_tokens: 20, total_tokens: 110 },
+});
+
+describe('Intent classification', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Messages in any wording are classified by the model in JSON mode', async () => {
+    // Arrange
+    const createSpy = answerWith({ intent: 'status', confidence: 0.92, scores: { status: 0.92, delay: 0.05, bogus: 1 } });
+
+    // Act
+    const result = await customerNotificationService.classifyQuery('where is my food?');
+
+    // Assert
+    expect(result).toEqual({
+      intent: ChatIntent.STATUS,
+      confidence: 0.92,
+      scores: { status: 0.92, delay: 0.05 },
+      source: 'openai',
+    });
+    expect(createSpy.mock.calls[0][0]).toMatchObject({ response_format: { type: 'json_object' }, temperature: 0 });
+    expect(createSpy.mock.calls[0][0].messages[1]).toEqual({ role: 'user', content: 'where is my food?' });
+  });
+
+  test('Only known labels and scores are accepted from the model', async () => {
+    answerWith({ intent: 'cancel_request', confidence: 1.4, scores: { cancel_request: 0.8, bogus: 0.5 } });
+    const result = await openaiService.classifyIntent('quero desistir');
+
+    expect(result).toEqual({
+      intent: ChatIntent.CANCEL_REQUEST,
+      confidence: 1,
+      scores: { cancel_request: 0.8 },
+      source: 'openai',
+    });
+
+    answerWith({ intent: 'refund', confidence: 0.9 });
+    await expect(openaiService.classifyIntent('quero meu dinheiro')).rejects.toThrow('Unknown intent label');
+  });
+
+  test('Keyword matching is used when the model is unavailable', async () => {
+    jest.spyOn(openaiService.client.chat.completions, 'create').mockRejectedValue(new Error('offline'));
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+
+    await expect(customerNotificationService.classifyQuery('quero desistir do pedido'))
+      .resolves.toEqual({ intent: ChatIntent.CANCEL_REQUEST, confidence: null, scores: null, source: 'keywords' });
+    await expect(customerNotificationService.classifyQuery('Por que tanta demora?'))
+      .resolves.toMatchObject({ intent: ChatIntent.DELAY });
+    await expect(customerNotificationService.classifyQuery('Olá'))
+      .resolves.toMatchObject({ intent: ChatIntent.STATUS });
+  });
+
+  test('The model is not called when keyword classification is configured', async () => {
+    const createSpy = answerWith({ intent: 'status', confidence: 0.9 });
+    customerNotificationService.intentClassifier = 'keywords';
+
+    try {
+      const result = await customerNotificationService.classifyQuery('Quero mudar o endereço');
+
+      expect(result).toMatchObject({ intent: ChatIntent.ADDRESS_CHANGE, source: 'keywords' });
+      expect(createSpy).not.toHaveBeenCalled();
+    } finally {
+      customerNotificationService.intentClassifier = 'openai';
+    }
+  });
+});
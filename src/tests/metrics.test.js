@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Tests for the metrics registry and the HTTP metrics middleware
+ * @module tests/metrics
+ * @requires supertest
+ * @requires express
+ * @requires ../utils/metrics
+ * @requires ../middleware/httpMetrics
+ * @requires ../services/metricsService
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { MetricsRegistry } = require('../utils/metrics');
+const { httpMetrics } = require('../middleware/httpMetrics');
+const metricsService = require('../services/metricsService');
+const { errorHandler, badRequest, unauthorized, notFound } = require('../middleware/errorHandler');
+
+describe('Metrics registry', () => {
+  test('Counters render one line per label set in Prometheus format', () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter({ name: 'jobs_total', help: 'Jobs', labelNames: ['reason'] });
+
+    counter.inc({ reason: 'TIMEOUT' });
+    counter.inc({ reason: 'TIMEOUT' });
+    counter.inc({ reason: 'say "hi"' }, 3);
+
+    expect(registry.render()).toBe([
+      '# HELP jobs_total Jobs',
+      '# TYPE jobs_total counter',
+      'jobs_total{reason="TIMEOUT"} 2',
+      'jobs_total{reason="say \\"hi\\""} 3',
+      '',
+    ].join('\n'));
+    expect(() => counter.inc({ unknown: 'x' })).toThrow('Unknown label');
+  });
+
+  test('Histograms render cumulative buckets, sum and count', () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram({ name: 'latency_seconds', help: 'Latency', buckets: [1, 5] });
+
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+    histogram.observe({}, 10);
+
+    const output = registry.render();
+    expect(output).toContain('latency_seconds_bucket{le="1"} 1');
+    expect(output).toContain('latency_seconds_bucket{le="5"} 2');
+    expect(output).toContain('latency_seconds_bucket{le="+Inf"} 3');
+    expect(output).toContain('latency_seconds_sum 13.5');
+    expect(output).toContain('latency_seconds_count 3');
+  });
+});
+
+describe('Application metrics', () => {
+  beforeEach(() => {
+    metricsService.registry.reset();
+  });
+
+  test('HTTP requests are counted by route pattern, including failed ones', async () => {
+    const app = express();
+    const router = express.Router();
+    router.get('/:orderId', (req, res) => res.json({ ok: true }));
+    router.post('/:orderId/cancel', (req, res, next) => next(badRequest('Request validation failed')));
+    app.use(httpMetrics);
+    app.use('/api/orders', router);
+    app.use('/api/drivers', (req, res, next) => next(unauthorized('Authentication required')), router);
+    app.use(errorHandler);
+
+    await request(app).get('/api/orders/a1');
+    await request(app).get('/api/orders/b2');
+    await request(app).post('/api/orders/a1/cancel');
+    await request(app).get('/api/drivers/d1');
+    await request(app).get('/nowhere');
+
+    const { httpRequests } = metricsService;
+    expect(httpRequests.get({ method: 'GET', route: '/api/orders/:orderId', status: 200 })).toBe(2);
+    expect(httpRequests.get({ method: 'POST', route: '/api/orders/:orderId/cancel', status: 400 })).toBe(1);
+    expect(httpRequests.get({ method: 'GET', route: '/api/drivers/*', status: 401 })).toBe(1);
+    expect(httpRequests.get({ method: 'GET', route: 'unmatched', status: 404 })).toBe(1);
+  });
+
+  test('Errors from nested routers keep the full route pattern', async () => {
+    const app = express();
+    const api = express.Router();
+    const orders = express.Router();
+    orders.get('/:orderId', (req, res, next) => next(notFound('Order not found')));
+    orders.get('/', (req, res) => res.json({ ok: true }));
+    api.use('/orders', orders);
+    app.use(httpMetrics);
+    app.use('/api', api);
+    app.use(errorHandler);
+
+    await request(app).get('/api/orders/missing');
+    await request(app).get('/api/orders');
+
+    const { httpRequests } = metricsService;
+    expect(httpRequests.get({ method: 'GET', route: '/api/orders/:orderId', status: 404 })).toBe(1);
+    expect(httpRequests.get({ method: 'GET', route: '/api/orders/', status: 200 })).toBe(1);
+  });
+
+  test('OpenAI calls feed the latency histogram and token counters', () => {
+    metricsService.recordOpenAIRequest({
+      endpoint: 'chat.completions',
+      model: 'gpt-4o-mini',
+      success: true,
+      responseTime: 1200,
+      tokenUsage: { prompt_tokens: 120, completion_tokens: 80, total_tokens: 200 },
+    });
+
+    const output = metricsService.render();
+    expect(output).toContain(
+      'openai_request_duration_seconds_count{endpoint="chat.completions",model="gpt-4o-mini",outcome="success"} 1'
+    );
+    expect(output).toContain('openai_tokens_total{model="gpt-4o-mini",type="prompt"} 120');
+    expect(output).toContain('openai_tokens_total{model="gpt-4o-mini",type="completion"} 80');
+  });
+});
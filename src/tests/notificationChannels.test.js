@@ -0,0 +1,208 @@
+/**
+ * @fileoverview Tests for notification channels, customer preferences and delivery results
+ * @module tests/notificationChannels
+ * @requires supertest
+ * @requires axios
+ * @requires ../services/notificationDeliveryService
+ * @requires ../services/customerNotificationService
+ * @requires ./helpers/testApp
+ */
+
+// The OpenAI client refuses to start without a key; message generation is stubbed in this suite
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const request = require('supertest');
+const { Role } = require('../utils/authToken');
+const { Customer, NotificationChannel } = require('../models/Customer');
+const { SmsChannel } = require('../services/channels/smsChannel');
+const { PushChannel } = require('../services/channels/pushChannel');
+const { DevChannel } = require('../services/channels/devChannel');
+const notificationDeliveryService = require('../services/notificationDeliveryService');
+const customerNotificationService = require('../services/customerNotificationService');
+const orderAssignmentService = require('../services/orderAssignmentService');
+const openaiService = require('../services/openaiService');
+const customerRoutes = require('../routes/customerRoutes');
+const logger = require('../utils/logger');
+const { buildApp, as } = require('./helpers/testApp');
+
+/**
+ * Channel adapter stub that records what it was asked to send
+ * @param {string} name - Channel name
+ * @param {Error} [failure] - Error to throw instead of sending
+ * @returns {Object} Adapter with a `sent` array
+ */
+const stubChannel = (name, failure) => ({
+  name,
+  sent: [],
+  async send(customer, notification) {
+    if (failure) throw failure;
+    this.sent.push({ customer, notification });
+    return { providerMessageId: `${name}-1` };
+  },
+});
+
+const notification = {
+  orderId: 'order-1',
+  customerId: 'c1',
+  queryType: 'timeout_explanation',
+  title: 'Não encontramos um motorista para o seu pedido',
+  message: 'Nenhum motorista aceitou o seu pedido.',
+};
+
+describe('Notification delivery', () => {
+  const originalChannels = new Map(notificationDeliveryService.channels);
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    notificationDeliveryService.channels = new Map(originalChannels);
+  });
+
+  test('Preferred channels are tried in order until one delivers', async () => {
+    // Arrange
+    await new Customer({
+      _id: 'c-fallback',
+      phone: '+5511999999999',
+      email: 'cliente@example.com',
+      notificationPreferences: { channels: [NotificationChannel.SMS, NotificationChannel.EMAIL] },
+    }).save();
+    const sms = stubChannel(NotificationChannel.SMS, new Error('Twilio unavailable'));
+    const email = stubChannel(NotificationChannel.EMAIL);
+    const push = stubChannel(NotificationChannel.PUSH);
+    [sms, email, push].forEach(channel => notificationDeliveryService.registerChannel(channel));
+
+    // Act
+    const result = await notificationDeliveryService.deliver('c-fallback', notification);
+
+    // Assert
+    expect(result.status).toBe('delivered');
+    expect(result.channel).toBe(NotificationChannel.EMAIL);
+    expect(result.attempts).toEqual([
+      expect.objectContaining({ channel: 'sms', status: 'failed', error: 'Twilio unavailable' }),
+      expect.objectContaining({ channel: 'email', status: 'delivered', providerMessageId: 'email-1' }),
+    ]);
+    expect(email.sent[0].customer.email).toBe('cliente@example.com');
+    expect(push.sent).toHaveLength(0);
+  });
+
+  test('Customers without a profile are reached on the default channels', async () => {
+    const push = stubChannel(NotificationChannel.PUSH);
+    notificationDeliveryService.registerChannel(push);
+
+    const result = await notificationDeliveryService.deliver('c-unknown', notification);
+
+    expect(notificationDeliveryService.defaultChannels[0]).toBe(NotificationChannel.PUSH);
+    expect(result).toMatchObject({ status: 'delivered', channel: NotificationChannel.PUSH });
+    expect(push.sent[0].customer._id).toBe('c-unknown');
+  });
+
+  test('Delivery fails when every channel fails', async () => {
+    await new Customer({ _id: 'c-unreachable', notificationPreferences: { channels: ['sms'] } }).save();
+    notificationDeliveryService.registerChannel(new SmsChannel({ accountSid: 'AC1', authToken: 't', from: '+15550000000' }));
+
+    const result = await notificationDeliveryService.deliver('c-unreachable', notification);
+
+    expect(result).toMatchObject({ status: 'failed', channel: null });
+    expect(result.attempts[0].error).toBe('Customer has no phone number');
+  });
+
+  test('The notification record carries the delivery result', async () => {
+    jest.spyOn(orderAssignmentService, 'getOrderStatus').mockResolvedValue({ orderId: 'order-rec', status: 'timeout' });
+    jest.spyOn(openaiService, 'composeOrderStatusMessage')
+      .mockResolvedValue({ message: notification.message, source: 'fallback', model: null, tokenUsage: null });
+    notificationDeliveryService.registerChannel(stubChannel(NotificationChannel.PUSH));
+
+    const result = await customerNotificationService.notifyCustomerAboutTimeout('order-rec', 'c-record');
+
+    expect(result).toMatchObject({
+      success: true,
+      channel: NotificationChannel.PUSH,
+      delivery: { status: 'delivered' },
+    });
+  });
+});
+
+describe('Channel adapters', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('SMS is sent through the Twilio Messages API', async () => {
+    const post = jest.spyOn(axios, 'post').mockResolvedValue({ data: { sid: 'SM123' } });
+    const channel = new SmsChannel({ accountSid: 'AC1', authToken: 'secret', from: '+15550000000' });
+
+    const result = await channel.send({ phone: '+5511999999999' }, notification);
+
+    const [url, body, options] = post.mock.calls[0];
+    expect(url).toBe('https://api.twilio.com/2010-04-01/Accounts/AC1/Messages.json');
+    expect(body.get('To')).toBe('+5511999999999');
+    expect(body.get('Body')).toBe(notification.message);
+    expect(options.auth).toEqual({ username: 'AC1', password: 'secret' });
+    expect(result.providerMessageId).toBe('SM123');
+  });
+
+  test('Push tickets with an error are reported as failures', async () => {
+    jest.spyOn(axios, 'post').mockResolvedValue({
+      data: { data: { status: 'error', message: 'DeviceNotRegistered' } },
+    });
+    const channel = new PushChannel({});
+
+    await expect(channel.send({ pushToken: 'ExponentPushToken[abc]' }, notification))
+      .rejects.toThrow('DeviceNotRegistered');
+  });
+
+  test('The file transport writes messages to the outbox instead of sending them', async () => {
+    const directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+    const filePath = path.join(directory, 'outbox.jsonl');
+    const channel = new DevChannel(NotificationChannel.SMS, { output: 'file', filePath });
+
+    await channel.send({ _id: 'c1', phone: '+5511999999999' }, notification);
+
+    const [entry] = (await fs.promises.readFile(filePath, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+    expect(entry).toMatchObject({ channel: 'sms', to: '+5511999999999', message: notification.message });
+
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+});
+
+describe('Notification preferences API', () => {
+  const app = buildApp({ '/api/customers': customerRoutes });
+
+  test('Customers set their own channels and contact details', async () => {
+    const response = await request(app)
+      .put('/api/customers/c-prefs/notification-preferences')
+      .set(as(Role.CUSTOMER, 'c-prefs'))
+      .send({ channels: ['sms', 'push'], phone: '+5511999999999' })
+      .expect(200);
+
+    expect(response.body.customer).toMatchObject({
+      _id: 'c-prefs',
+      phone: '+5511999999999',
+      notificationPreferences: { channels: ['sms', 'push'] },
+    });
+
+    const fetched = await request(app).get('/api/customers/c-prefs').set(as(Role.OPS, 'ops-1')).expect(200);
+    expect(fetched.body.customer.notificationPreferences.channels).toEqual(['sms', 'push']);
+  });
+
+  test('Invalid preferences and other customers are rejected', async () => {
+    await request(app)
+      .put('/api/customers/c-prefs/notification-preferences')
+      .set(as(Role.CUSTOMER, 'c-prefs'))
+      .send({ channels: ['fax'], phone: '11999999999' })
+      .expect(400);
+
+    await request(app)
+      .put('/api/customers/c-prefs/notification-preferences')
+      .set(as(Role.CUSTOMER, 'c-other'))
+      .send({ channels: ['email'] })
+      .expect(403);
+  });
+});
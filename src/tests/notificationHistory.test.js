@@ -0,0 +1,119 @@
+/**
+ * @fileoverview Tests for the persisted notification history of an order
+ * @module tests/notificationHistory
+ * @requires supertest
+ * @requires ../services/customerNotificationService
+ * @requires ../models/Notification
+ * @requires ./helpers/testApp
+ */
+
+// The OpenAI client refuses to start without a key; its requests are stubbed in this suite
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const { Role } = require('../utils/authToken');
+const { Notification, NotificationStatus, MessageSource } = require('../models/Notification');
+const customerNotificationService = require('../services/customerNotificationService');
+const notificationDeliveryService = require('../services/notificationDeliveryService');
+const openaiService = require('../services/openaiService');
+const orderRoutes = require('../routes/orderRoutes');
+const logger = require('../utils/logger');
+const { buildApp, as, createOrder } = require('./helpers/testApp');
+
+describe('Notification history', () => {
+  const app = buildApp({ '/api/orders': orderRoutes });
+
+  beforeEach(() => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('OpenAI messages are stored with their token usage and channel', async () => {
+    // Arrange
+    const order = await createOrder('c-openai');
+    jest.spyOn(openaiService.client.chat.completions, 'create').mockResolvedValue({
+      choices: [{ message: { content: ' Seu pedido está a caminho. ' } }],
+      usage: { prompt_tokens: 120, completion_tokens: 30, total_tokens: 150 },
+    });
+
+    // Act
+    const result = await customerNotificationService.notifyCustomerAboutOrderStatus(order._id, 'c-openai');
+
+    // Assert
+    const notification = await Notification.findById(result.notificationId);
+    expect(notification).toMatchObject({
+      orderId: order._id,
+      customerId: 'c-openai',
+      queryType: 'general_status',
+      message: 'Seu pedido está a caminho.',
+      source: MessageSource.OPENAI,
+      model: openaiService.model,
+      tokenUsage: { promptTokens: 120, completionTokens: 30, totalTokens: 150 },
+      channel: 'push',
+      status: NotificationStatus.DELIVERED,
+    });
+    expect(notification.deliveryAttempts).toHaveLength(1);
+  });
+
+  test('Fallback messages and failed deliveries are stored too', async () => {
+    const order = await createOrder('c-fallback');
+    jest.spyOn(openaiService.client.chat.completions, 'create').mockRejectedValue(new Error('rate limited'));
+    jest.spyOn(notificationDeliveryService, 'deliver').mockResolvedValue({
+      status: NotificationStatus.FAILED,
+      channel: null,
+      attempts: [{ channel: 'sms', status: NotificationStatus.FAILED, providerMessageId: null, error: 'Customer has no phone number', attemptedAt: new Date() }],
+    });
+
+    const result = await customerNotificationService.notifyCustomerAboutTimeout(order._id, 'c-fallback');
+
+    expect(result.success).toBe(false);
+    const notification = await Notification.findById(result.notificationId);
+    expect(notification).toMatchObject({
+      queryType: 'timeout_explanation',
+      message: openaiService.getFallbackMessage({ orderId: order._id }, 'timeout_explanation'),
+      source: MessageSource.FALLBACK,
+      tokenUsage: null,
+      channel: null,
+      status: NotificationStatus.FAILED,
+    });
+    expect(notification.deliveryAttempts[0].error).toBe('Customer has no phone number');
+  });
+
+  test('Support agents list the notifications of an order, oldest first', async () => {
+    const order = await createOrder('c-history');
+    await new Notification({
+      orderId: order._id, customerId: 'c-history', queryType: 'cancellation_notice', message: 'Segunda',
+      source: MessageSource.FALLBACK, status: NotificationStatus.DELIVERED, createdAt: new Date('2024-01-01T10:05:00Z'),
+    }).save();
+    await new Notification({
+      orderId: order._id, customerId: 'c-history', queryType: 'reassignment_reason', message: 'Primeira',
+      source: MessageSource.OPENAI, status: NotificationStatus.DELIVERED, createdAt: new Date('2024-01-01T10:00:00Z'),
+    }).save();
+
+    const response = await request(app)
+      .get(`/api/orders/${order._id}/notifications`)
+      .set(as(Role.OPS, 'agent-1'))
+      .expect(200);
+
+    expect(response.body.count).toBe(2);
+    expect(response.body.notifications.map(notification => notification.message)).toEqual(['Primeira', 'Segunda']);
+  });
+
+  test('Only ops can read the history, and unknown orders are not found', async () => {
+    const order = await createOrder('c-private');
+
+    await request(app)
+      .get(`/api/orders/${order._id}/notifications`)
+      .set(as(Role.CUSTOMER, 'c-private'))
+      .expect(403);
+
+    await request(app)
+      .get('/api/orders/missing-order/notifications')
+      .set(as(Role.OPS, 'agent-1'))
+      .expect(404);
+  });
+});
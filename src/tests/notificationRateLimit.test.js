@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Tests for sliding-window notification rate limiting
+ * @module tests/notificationRateLimit
+ * @requires ../utils/slidingWindowLimiter
+ * @requires ../services/customerNotificationService
+ */
+
+// The OpenAI client refuses to start without a key; message generation is stubbed in this suite
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const { SlidingWindowLimiter } = require('../utils/slidingWindowLimiter');
+const { OrderEvent, orderEvents } = require('../events/orderEvents');
+const { NotificationStatus } = require('../models/Notification');
+const customerNotificationService = require('../services/customerNotificationService');
+const notificationDeliveryService = require('../services/notificationDeliveryService');
+const orderAssignmentService = require('../services/orderAssignmentService');
+const openaiService = require('../services/openaiService');
+const logger = require('../utils/logger');
+
+describe('SlidingWindowLimiter', () => {
+  test('Events leave the window as time passes', () => {
+    const limiter = new SlidingWindowLimiter({ limit: 2, windowMs: 1000 });
+
+    limiter.record('order-1', 0);
+    limiter.record('order-1', 400);
+
+    expect(limiter.isLimited('order-1', 900)).toBe(true);
+    expect(limiter.getRetryAfter('order-1', 900)).toBe(100);
+    expect(limiter.isLimited('order-1', 1000)).toBe(false);
+    expect(limiter.getCount('order-1', 1400)).toBe(0);
+  });
+
+  test('Expired keys are swept and finished keys can be evicted', () => {
+    const limiter = new SlidingWindowLimiter({ limit: 2, windowMs: 1000 });
+    limiter.lastSweepAt = 0;
+
+    limiter.record('stale', 0);
+    limiter.record('active', 500);
+    limiter.record('active', 1600);
+
+    expect(limiter.size).toBe(1);
+    expect(limiter.evict('active')).toBe(true);
+    expect(limiter.size).toBe(0);
+  });
+});
+
+describe('Notification rate limiting', () => {
+  let deliverSpy;
+  let originalOrderLimiter;
+  let originalCustomerLimiter;
+
+  beforeEach(() => {
+    originalOrderLimiter = customerNotificationService.orderLimiter;
+    originalCustomerLimiter = customerNotificationService.customerLimiter;
+    customerNotificationService.orderLimiter = new SlidingWindowLimiter({ limit: 2, windowMs: 60000 });
+    customerNotificationService.customerLimiter = new SlidingWindowLimiter({ limit: 3, windowMs: 60000 });
+
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    jest.spyOn(orderAssignmentService, 'getOrderStatus')
+      .mockImplementation(async orderId => ({ orderId, status: 'pending' }));
+    jest.spyOn(openaiService, 'composeOrderStatusMessage')
+      .mockResolvedValue({ message: 'Atualização', source: 'fallback', model: null, tokenUsage: null });
+    deliverSpy = jest.spyOn(notificationDeliveryService, 'deliver')
+      .mockResolvedValue({ status: NotificationStatus.DELIVERED, channel: 'push', attempts: [] });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    customerNotificationService.orderLimiter = originalOrderLimiter;
+    customerNotificationService.customerLimiter = originalCustomerLimiter;
+  });
+
+  /**
+   * Send a general status notification
+   * @param {string} orderId - Order ID
+   * @param {string} customerId - Customer ID
+   * @param {string} [queryType] - Notification type
+   * @returns {Promise<Object>} Notification result
+   */
+  const notify = (orderId, customerId, queryType) =>
+    customerNotificationService.notifyCustomerAboutOrderStatus(orderId, customerId, queryType);
+
+  test('An order is limited within its window and notified again once it slides', async () => {
+    customerNotificationService.orderLimiter = new SlidingWindowLimiter({ limit: 2, windowMs: 50 });
+
+    await notify('order-window', 'c-window');
+    await notify('order-window', 'c-window');
+    const limited = await notify('order-window', 'c-window');
+
+    expect(limited).toMatchObject({ success: false, limitedBy: 'order' });
+    expect(limited.retryAfterMs).toBeGreaterThan(0);
+
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    expect((await notify('order-window', 'c-window')).success).toBe(true);
+    expect(deliverSpy).toHaveBeenCalledTimes(3);
+  });
+
+  test('A customer is limited across all of their orders', async () => {
+    await notify('order-a', 'c-busy');
+    await notify('order-b', 'c-busy');
+    await notify('order-c', 'c-busy');
+
+    const limited = await notify('order-d', 'c-busy');
+
+    expect(limited).toMatchObject({ success: false, limitedBy: 'customer' });
+    expect((await notify('order-e', 'c-other')).success).toBe(true);
+  });
+
+  test('Timeout and cancellation notices bypass the limits', async () => {
+    await notify('order-critical', 'c-critical');
+    await notify('order-critical', 'c-critical');
+
+    const timeout = await customerNotificationService.notifyCustomerAboutTimeout('order-critical', 'c-critical');
+    const cancellation = await customerNotificationService.notifyCustomerAboutCancellation('order-critical', 'c-critical');
+
+    expect(timeout.success).toBe(true);
+    expect(cancellation.success).toBe(true);
+  });
+
+  test('Counters of finished orders are released', async () => {
+    const { orderLimiter } = customerNotificationService;
+
+    await notify('order-delivered', 'c-finished');
+    expect(orderLimiter.getCount('order-delivered')).toBe(1);
+
+    orderEvents.publish(OrderEvent.DELIVERED, { orderId: 'order-delivered', customerId: 'c-finished' });
+    await new Promise(resolve => setImmediate(resolve));
+    expect(orderLimiter.getCount('order-delivered')).toBe(0);
+
+    orderAssignmentService.getOrderStatus.mockResolvedValue({ orderId: 'order-cancelled', status: 'cancelled' });
+    await customerNotificationService.notifyCustomerAboutCancellation('order-cancelled', 'c-finished');
+    expect(orderLimiter.size).toBe(0);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * @fileoverview Tests for order lifecycle events and the customer notifications they trigger
+ * @module tests/orderEvents
+ * @requires ../events/orderEvents
+ * @requires ../models/Order
+ * @requires ../services/customerNotificationService
+ * @requires ../utils/logger
+ */
+
+// The OpenAI client refuses to start without a key; notifications are stubbed in this suite
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const { OrderEvent, orderEvents } = require('../events/orderEvents');
+const { Order, AssignmentStatus } = require('../models/Order');
+const customerNotificationService = require('../services/customerNotificationService');
+const logger = require('../utils/logger');
+
+/**
+ * Wait for async event handlers to run
+ * @returns {Promise<void>}
+ */
+const flushHandlers = () => new Promise(resolve => setImmediate(resolve));
+
+/**
+ * Record every order event published while the test runs
+ * @returns {{events: Object[], stop: Function}} Recorded payloads and an unsubscribe function
+ */
+const recordEvents = () => {
+  const events = [];
+  const unsubscribers = Object.values(OrderEvent).map(event =>
+    orderEvents.subscribe(event, payload => events.push(payload)));
+  return { events, stop: () => unsubscribers.forEach(unsubscribe => unsubscribe()) };
+};
+
+describe('Order lifecycle events', () => {
+  let notifySpy;
+
+  beforeEach(() => {
+    notifySpy = jest.spyOn(customerNotificationService, 'notifyCustomerAboutOrderStatus')
+      .mockResolvedValue({ success: true });
+    customerNotificationService.enableReassignmentNotifications = true;
+  });
+
+  afterEach(() => {
+    notifySpy.mockRestore();
+  });
+
+  test('Order changes publish assigned, reassigned, accepted and timed_out events', async () => {
+    const recorder = recordEvents();
+    const order = new Order({ customerId: 'customer-1' });
+    await order.save();
+
+    await order.addDriverAssignment({ driverId: 'driver-1' });
+    await order.recordReassignment('driver-1', 'driver-2', 'TIMEOUT');
+    await order.markAsTimedOut();
+
+    const accepted = new Order({ customerId: 'customer-2' });
+    await accepted.save();
+    await accepted.addDriverAssignment({ driverId: 'driver-3' });
+    await accepted.recordDriverResponse('driver-3', AssignmentStatus.ACCEPTED);
+
+    await flushHandlers();
+    recorder.stop();
+
+    expect(recorder.events.map(e => [e.event, e.orderId])).toEqual([
+      [OrderEvent.ASSIGNED, order._id],
+      [OrderEvent.REASSIGNED, order._id],
+      [OrderEvent.TIMED_OUT, order._id],
+      [OrderEvent.ASSIGNED, accepted._id],
+      [OrderEvent.ACCEPTED, accepted._id],
+    ]);
+    expect(recorder.events[1]).toEqual(expect.objectContaining({
+      customerId: 'customer-1',
+      previousDriverId: 'driver-1',
+      newDriverId: 'driver-2',
+      reason: 'TIMEOUT',
+      reassignmentCount: 1,
+    }));
+  });
+
+  test('Timeouts and cancellations notify the customer whichever path caused them', async () => {
+    const timedOut = new Order({ customerId: 'customer-1' });
+    await timedOut.save();
+    await timedOut.markAsTimedOut();
+
+    const cancelled = new Order({ customerId: 'customer-2' });
+    await cancelled.save();
+    await cancelled.cancel({ reason: 'Restaurant closed', actor: 'ops', actorId: 'ops-1' });
+
+    await flushHandlers();
+
+    expect(notifySpy).toHaveBeenCalledWith(timedOut._id, 'customer-1', 'timeout_explanation');
+    expect(notifySpy).toHaveBeenCalledWith(cancelled._id, 'customer-2', 'cancellation_notice');
+  });
+
+  test('Repeated reassignments notify the customer, the first one does not', async () => {
+    const order = new Order({ customerId: 'customer-1' });
+    await order.save();
+    await order.addDriverAssignment({ driverId: 'driver-1' });
+
+    await order.recordReassignment('driver-1', 'driver-2', 'TIMEOUT');
+    await flushHandlers();
+    expect(notifySpy).not.toHaveBeenCalled();
+
+    await order.recordReassignment('driver-2', 'driver-3', 'REJECTION');
+    await flushHandlers();
+    expect(notifySpy).toHaveBeenCalledWith(order._id, 'customer-1', 'reassignment_reason');
+  });
+
+  test('A failing subscriber does not break the publisher', async () => {
+    const errorSpy = jest.spyOn(logger, 'error').mockImplementation(() => {});
+    const unsubscribe = orderEvents.subscribe(OrderEvent.CANCELLED, () => {
+      throw new Error('Subscriber exploded');
+    });
+    const order = new Order({ customerId: 'customer-1' });
+    await order.save();
+
+    await expect(order.cancel({ reason: 'Test', actor: 'ops' })).resolves.toBe(order);
+
+    await flushHandlers();
+    expect(errorSpy).toHaveBeenCalledWith(
+      expect.stringContaining('Order event handler for cancelled failed'),
+      expect.any(Error)
+    );
+    unsubscribe();
+    errorSpy.mockRestore();
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @fileoverview Tests for the order lifecycle state machine
+ * @module tests/orderLifecycle
+ * @requires ../models/Order
+ * @requires ../middleware/errorHandler
+ */
+
+const { Order, OrderStatus, AssignmentStatus, TransitionActor } = require('../models/Order');
+const { ApiError } = require('../middleware/errorHandler');
+
+/**
+ * Helper to create a saved pending order with one pending driver assignment
+ * @param {string} [driverId='driver-1'] - Assigned driver ID
+ * @returns {Promise<Order>} The order
+ */
+const createAssignedOrder = async (driverId = 'driver-1') => {
+  const order = new Order({ customerId: 'customer-1' });
+  await order.save();
+  return order.addDriverAssignment({ driverId });
+};
+
+describe('Order lifecycle state machine', () => {
+  test('Accepting an order records the transition with its actor', async () => {
+    // Arrange
+    const order = await createAssignedOrder();
+
+    // Act
+    await order.recordDriverResponse('driver-1', AssignmentStatus.ACCEPTED);
+
+    // Assert
+    expect(order.status).toBe(OrderStatus.ACCEPTED);
+    expect(order.statusHistory).toHaveLength(1);
+    expect(order.statusHistory[0]).toMatchObject({
+      from: OrderStatus.PENDING,
+      to: OrderStatus.ACCEPTED,
+      actor: TransitionActor.DRIVER,
+      actorId: 'driver-1',
+    });
+    expect(order.statusHistory[0].timestamp).toBeInstanceOf(Date);
+  });
+
+  test('A timed-out order cannot be accepted', async () => {
+    // Arrange
+    const order = await createAssignedOrder();
+    await order.markAsTimedOut();
+
+    // Act & Assert
+    await expect(order.recordDriverResponse('driver-1', AssignmentStatus.ACCEPTED))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(order.status).toBe(OrderStatus.TIMEOUT);
+  });
+
+  test('Invalid transitions throw a 409 ApiError listing the allowed statuses', async () => {
+    // Arrange
+    const order = await createAssignedOrder();
+    await order.markAsTimedOut();
+
+    // Act
+    let error;
+    try {
+      order.transitionTo(OrderStatus.ACCEPTED);
+    } catch (e) {
+      error = e;
+    }
+
+    // Assert
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error.statusCode).toBe(409);
+    expect(error.data).toMatchObject({
+      currentStatus: OrderStatus.TIMEOUT,
+      requestedStatus: OrderStatus.ACCEPTED,
+    });
+    expect(order.statusHistory).toHaveLength(1);
+  });
+
+  test('Drivers cannot be assigned or reassigned once the order left pending', async () => {
+    // Arrange
+    const order = await createAssignedOrder();
+    await order.recordDriverResponse('driver-1', AssignmentStatus.ACCEPTED);
+
+    // Act & Assert
+    await expect(order.addDriverAssignment({ driverId: 'driver-2' }))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(order.recordReassignment('driver-1', 'driver-2', 'TIMEOUT'))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('Cancelling withdraws the pending driver offer and records who cancelled', async () => {
+    // Arrange
+    const order = await createAssignedOrder();
+
+    // Act
+    await order.cancel({ reason: 'Customer changed their mind', actor: TransitionActor.CUSTOMER, actorId: 'customer-1' });
+
+    // Assert
+    expect(order.status).toBe(OrderStatus.CANCELLED);
+    expect(order.driverAssignments[0].status).toBe(AssignmentStatus.WITHDRAWN);
+    expect(order.cancelledAt).toBeInstanceOf(Date);
+    expect(order.statusHistory[0]).toMatchObject({
+      to: OrderStatus.CANCELLED,
+      actor: TransitionActor.CUSTOMER,
+      reason: 'Customer changed their mind',
+    });
+    await expect(order.cancel({ reason: 'again', actor: TransitionActor.OPS }))
+      .rejects.toMatchObject({ statusCode: 409 });
+  });
+
+  test('Delivery progress moves through picked_up, in_transit and delivered', async () => {
+    // Arrange
+    const order = await createAssignedOrder();
+    await order.recordDriverResponse('driver-1', AssignmentStatus.ACCEPTED);
+
+    // Act
+    await order.recordDeliveryProgress('driver-1', OrderStatus.PICKED_UP);
+    await order.recordDeliveryProgress('driver-1', OrderStatus.IN_TRANSIT);
+    await order.recordDeliveryProgress('driver-1', OrderStatus.DELIVERED);
+
+    // Assert
+    expect(order.status).toBe(OrderStatus.DELIVERED);
+    expect(order.pickedUpAt).toBeInstanceOf(Date);
+    expect(order.inTransitAt).toBeInstanceOf(Date);
+    expect(order.completedAt).toEqual(order.deliveredAt);
+    expect(order.statusHistory.map(h => h.to)).toEqual([
+      OrderStatus.ACCEPTED,
+      OrderStatus.PICKED_UP,
+      OrderStatus.IN_TRANSIT,
+      OrderStatus.DELIVERED,
+    ]);
+  });
+
+  test('Only the assigned driver can report progress, and stages cannot be skipped', async () => {
+    // Arrange
+    const order = await createAssignedOrder();
+    await order.recordDriverResponse('driver-1', AssignmentStatus.ACCEPTED);
+
+    // Act & Assert
+    await expect(order.recordDeliveryProgress('driver-2', OrderStatus.PICKED_UP))
+      .rejects.toMatchObject({ statusCode: 409 });
+    await expect(order.recordDeliveryProgress('driver-1', OrderStatus.DELIVERED))
+      .rejects.toMatchObject({ statusCode: 409 });
+    expect(order.completedAt).toBeNull();
+  });
+});
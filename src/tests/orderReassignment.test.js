@@ -261,6 +261,153 @@ describe('Order Assignment and Auto-Reassignment', () => {
     expect(mockOrder.markAsTimedOut).toHaveBeenCalled();
     expect(mockOrder.status).toBe(OrderStatus.TIMEOUT);
   });
+
+  /**
+   * @rf4 @auto_reassignment
+   * Scenario: Assignment timers are recovered after a restart
+   * Given orders with pending driver assignments saved before the restart
+   * When the service recovers assignment timers
+   * Then assignments still inside their window get a timer for the remaining time
+   * And overdue assignments are reassigned immediately
+   */
+  test('Pending assignments are recovered after a restart', async () => {
+    // Arrange
+    const now = Date.now();
+    const inWindowDriverId = generateMockId();
+    const inWindowOrder = {
+      _id: generateMockId(),
+      status: OrderStatus.PENDING,
+      assignmentTimeout: 15,
+      assignmentRound: 1,
+      currentDriverId: inWindowDriverId,
+      driverAssignments: [
+        { driverId: inWindowDriverId, status: AssignmentStatus.PENDING, round: 1, assignedAt: new Date(now - 5000) },
+      ],
+    };
+    const overdueDriverId = generateMockId();
+    const overdueOrder = {
+      _id: generateMockId(),
+      status: OrderStatus.PENDING,
+      assignmentTimeout: 15,
+      assignmentRound: 1,
+      currentDriverId: overdueDriverId,
+      driverAssignments: [
+        { driverId: generateMockId(), status: AssignmentStatus.TIMED_OUT, round: 1, assignedAt: new Date(now - 60000) },
+        { driverId: overdueDriverId, status: AssignmentStatus.PENDING, round: 1, assignedAt: new Date(now - 30000) },
+      ],
+    };
+
+    Order.find.mockResolvedValue([inWindowOrder, overdueOrder]);
+
+    const reassignSpy = jest.spyOn(orderAssignmentService, 'handleDriverTimeoutReassignment')
+      .mockResolvedValue(overdueOrder);
+    const timerSpy = jest.spyOn(orderAssignmentService, 'setupAutoReassignment');
+
+    // Act
+    const summary = await orderAssignmentService.recoverAssignmentTimers();
+
+    // Assert
+    expect(Order.find).toHaveBeenCalledWith({ status: OrderStatus.PENDING });
+    expect(summary).toEqual({ rearmed: 1, overdue: 1, failed: 0 });
+    expect(timerSpy).toHaveBeenCalledWith(
+      inWindowOrder._id,
+      inWindowOrder.driverAssignments[0].driverId,
+      10000
+    );
+    expect(orderAssignmentService.assignmentTimers.has(inWindowOrder._id)).toBe(true);
+    expect(reassignSpy).toHaveBeenCalledWith(overdueOrder._id, overdueOrder.driverAssignments[1].driverId);
+
+    reassignSpy.mockRestore();
+    timerSpy.mockRestore();
+  });
+
+  /**
+   * @rf4 @auto_reassignment
+   * Scenario: Only the current offer is recovered
+   * Given an order in its second assignment round that still lists a pending offer from the first
+   * When the service restarts
+   * Then the timer is re-armed for the driver currently holding the order
+   */
+  test('Recovery re-arms the current driver\'s offer, not a stale one from an earlier round', async () => {
+    // Arrange
+    const now = Date.now();
+    const staleDriverId = generateMockId();
+    const currentDriverId = generateMockId();
+    const order = {
+      _id: generateMockId(),
+      status: OrderStatus.PENDING,
+      assignmentTimeout: 15,
+      assignmentRound: 2,
+      currentDriverId,
+      driverAssignments: [
+        { driverId: staleDriverId, status: AssignmentStatus.PENDING, round: 1, assignedAt: new Date(now - 60000) },
+        { driverId: currentDriverId, status: AssignmentStatus.PENDING, round: 2, assignedAt: new Date(now - 5000) },
+      ],
+    };
+    Order.find.mockResolvedValue([order]);
+    const reassignSpy = jest.spyOn(orderAssignmentService, 'handleDriverTimeoutReassignment');
+    const timerSpy = jest.spyOn(orderAssignmentService, 'setupAutoReassignment');
+
+    // Act
+    const summary = await orderAssignmentService.recoverAssignmentTimers();
+
+    // Assert
+    expect(summary).toEqual({ rearmed: 1, overdue: 0, failed: 0 });
+    expect(timerSpy).toHaveBeenCalledWith(order._id, currentDriverId, 10000);
+    expect(reassignSpy).not.toHaveBeenCalled();
+
+    orderAssignmentService.cleanupOrderTimers(order._id);
+    reassignSpy.mockRestore();
+    timerSpy.mockRestore();
+  });
+
+  /**
+   * @rf4 @auto_reassignment
+   * Scenario: Recovered timers use the configured assignment timeout
+   * Given DRIVER_ASSIGNMENT_TIMEOUT is set to 60 seconds
+   * When an assignment made 20 seconds before the restart is recovered
+   * Then it is re-armed for the remaining 40 seconds instead of being treated as overdue
+   */
+  test('Recovered timers use DRIVER_ASSIGNMENT_TIMEOUT', async () => {
+    // Arrange
+    const originalTimeout = process.env.DRIVER_ASSIGNMENT_TIMEOUT;
+    process.env.DRIVER_ASSIGNMENT_TIMEOUT = '60000';
+    let service;
+    let MockOrder;
+    jest.isolateModules(() => {
+      service = require('../services/orderAssignmentService');
+      ({ Order: MockOrder } = require('../models/Order'));
+    });
+    const driverId = generateMockId();
+    const order = {
+      _id: generateMockId(),
+      status: OrderStatus.PENDING,
+      assignmentTimeout: 15,
+      assignmentRound: 1,
+      currentDriverId: driverId,
+      driverAssignments: [
+        { driverId, status: AssignmentStatus.PENDING, round: 1, assignedAt: new Date(Date.now() - 20000) },
+      ],
+    };
+    MockOrder.find.mockResolvedValue([order]);
+    const timerSpy = jest.spyOn(service, 'setupAutoReassignment');
+
+    try {
+      // Act
+      const summary = await service.recoverAssignmentTimers();
+
+      // Assert
+      expect(summary).toEqual({ rearmed: 1, overdue: 0, failed: 0 });
+      expect(timerSpy).toHaveBeenCalledWith(order._id, order.driverAssignments[0].driverId, 40000);
+    } finally {
+      service.cleanupOrderTimers(order._id);
+      if (originalTimeout === undefined) {
+        delete process.env.DRIVER_ASSIGNMENT_TIMEOUT;
+      } else {
+        process.env.DRIVER_ASSIGNMENT_TIMEOUT = originalTimeout;
+      }
+    }
+  });
 });
 
 /**
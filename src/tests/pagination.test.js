@@ -0,0 +1,117 @@
+/**
+ * @fileoverview Tests for sorting, cursor pagination and the order listing endpoint
+ * @module tests/pagination
+ * @requires supertest
+ * @requires ../utils/pagination
+ * @requires ../routes/orderRoutes
+ * @requires ./helpers/testApp
+ */
+
+// The OpenAI client refuses to start without a key; no request in this suite reaches it
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const { Role } = require('../utils/authToken');
+const { encodeCursor, decodeCursor, paginate } = require('../utils/pagination');
+const orderRoutes = require('../routes/orderRoutes');
+const { buildApp, as, createOrder } = require('./helpers/testApp');
+
+const items = [
+  { _id: 'b', createdAt: new Date('2024-05-01T10:00:00.000Z'), reassignmentCount: 1 },
+  { _id: 'a', createdAt: new Date('2024-05-01T10:00:00.000Z'), reassignmentCount: 3 },
+  { _id: 'c', createdAt: new Date('2024-05-01T11:00:00.000Z'), reassignmentCount: 0 },
+  { _id: 'd', createdAt: new Date('2024-05-01T09:00:00.000Z'), reassignmentCount: 2 },
+];
+
+describe('Cursor pagination', () => {
+  test('Cursors round-trip their sort field and position', () => {
+    const cursor = encodeCursor('createdAt', new Date('2024-05-01T10:00:00.000Z'), 'a');
+
+    expect(decodeCursor(cursor)).toEqual({ sortBy: 'createdAt', value: '2024-05-01T10:00:00.000Z', id: 'a' });
+    expect(decodeCursor('not-a-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify(['2024-05-01', 'a'])).toString('base64url'))).toBeNull();
+  });
+
+  test('Items are sorted by the field, then by ID to break ties', () => {
+    const ids = options => paginate(items, options).items.map(item => item._id);
+
+    expect(ids({ sortOrder: 'asc' })).toEqual(['d', 'a', 'b', 'c']);
+    expect(ids({ sortOrder: 'desc' })).toEqual(['c', 'b', 'a', 'd']);
+    expect(ids({ sortBy: 'reassignmentCount', sortOrder: 'asc' })).toEqual(['c', 'b', 'd', 'a']);
+  });
+
+  test('Pages follow each other until hasMore is false', () => {
+    const first = paginate(items, { sortOrder: 'asc', limit: 3 });
+    const second = paginate(items, { sortOrder: 'asc', limit: 3, cursor: first.nextCursor });
+
+    expect(first).toMatchObject({ hasMore: true, nextCursor: expect.any(String) });
+    expect(first.items.map(item => item._id)).toEqual(['d', 'a', 'b']);
+    expect(second).toEqual({ items: [items[2]], hasMore: false, nextCursor: null });
+  });
+
+  test('Malformed cursors and cursors from another sort are rejected', () => {
+    const { nextCursor } = paginate(items, { sortBy: 'createdAt', limit: 1 });
+
+    expect(() => paginate(items, { cursor: 'garbage' })).toThrow('Invalid pagination cursor');
+    expect(() => paginate(items, { sortBy: 'reassignmentCount', cursor: nextCursor }))
+      .toThrow('Pagination cursor was issued for sortBy=createdAt, not reassignmentCount');
+  });
+});
+
+describe('GET /api/orders', () => {
+  const app = buildApp({ '/api/orders': orderRoutes });
+  const asOps = as(Role.OPS, 'ops-1');
+
+  beforeAll(async () => {
+    await createOrder('c-list', { reassignmentCount: 2, createdAt: new Date('2024-06-01T10:00:00.000Z') });
+    await createOrder('c-list', { reassignmentCount: 0, createdAt: new Date('2024-06-01T11:00:00.000Z') });
+    await createOrder('c-list', { reassignmentCount: 5, createdAt: new Date('2024-06-01T12:00:00.000Z') });
+  });
+
+  test('Orders are filtered, sorted and paged with a cursor', async () => {
+    // Act
+    const first = await request(app)
+      .get('/api/orders')
+      .query({ customerId: 'c-list', minReassignmentCount: 1, sortBy: 'reassignmentCount', sortOrder: 'desc', limit: 1 })
+      .set(asOps)
+      .expect(200);
+    const second = await request(app)
+      .get('/api/orders')
+      .query({
+        customerId: 'c-list',
+        minReassignmentCount: 1,
+        sortBy: 'reassignmentCount',
+        sortOrder: 'desc',
+        limit: 1,
+        cursor: first.body.pagination.nextCursor,
+      })
+      .set(asOps)
+      .expect(200);
+
+    // Assert
+    expect(first.body.orders.map(order => order.reassignmentCount)).toEqual([5]);
+    expect(first.body.pagination).toMatchObject({ limit: 1, hasMore: true });
+    expect(second.body.orders.map(order => order.reassignmentCount)).toEqual([2]);
+    expect(second.body.pagination).toEqual({ limit: 1, nextCursor: null, hasMore: false });
+  });
+
+  test('A cursor cannot be reused with another sortBy', async () => {
+    const first = await request(app)
+      .get('/api/orders')
+      .query({ customerId: 'c-list', sortBy: 'createdAt', limit: 1 })
+      .set(asOps)
+      .expect(200);
+
+    const response = await request(app)
+      .get('/api/orders')
+      .query({ customerId: 'c-list', sortBy: 'reassignmentCount', cursor: first.body.pagination.nextCursor })
+      .set(asOps)
+      .expect(400);
+
+    expect(response.body.data.errors).toEqual([expect.objectContaining({
+      location: 'query',
+      field: 'cursor',
+      message: '"cursor" was issued for a different sortBy',
+    })]);
+  });
+});
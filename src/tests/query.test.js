@@ -0,0 +1,54 @@
+/**
+ * @fileoverview Tests for query matching against stored documents
+ * @module tests/query
+ * @requires ../utils/query
+ */
+
+const { matchesQuery } = require('../utils/query');
+
+describe('Query matching', () => {
+  const order = {
+    status: 'pending',
+    reassignmentCount: 2,
+    currentDriverId: null,
+    createdAt: new Date('2024-05-01T12:00:00.000Z'),
+  };
+
+  test('Plain values and $eq/$ne match by equality', () => {
+    expect(matchesQuery(order, { status: 'pending' })).toBe(true);
+    expect(matchesQuery(order, { status: { $eq: 'pending' } })).toBe(true);
+    expect(matchesQuery(order, { status: { $ne: 'pending' } })).toBe(false);
+    expect(matchesQuery(order, { status: 'pending', reassignmentCount: 3 })).toBe(false);
+    expect(matchesQuery(order, { currentDriverId: null })).toBe(true);
+  });
+
+  test('$in and $nin test membership', () => {
+    expect(matchesQuery(order, { status: { $in: ['pending', 'accepted'] } })).toBe(true);
+    expect(matchesQuery(order, { status: { $in: ['accepted'] } })).toBe(false);
+    expect(matchesQuery(order, { status: { $nin: ['cancelled', 'timeout'] } })).toBe(true);
+    expect(matchesQuery(order, { status: { $nin: ['pending'] } })).toBe(false);
+  });
+
+  test('$gt, $gte, $lt and $lte compare numbers', () => {
+    expect(matchesQuery(order, { reassignmentCount: { $gt: 1 } })).toBe(true);
+    expect(matchesQuery(order, { reassignmentCount: { $gt: 2 } })).toBe(false);
+    expect(matchesQuery(order, { reassignmentCount: { $gte: 2 } })).toBe(true);
+    expect(matchesQuery(order, { reassignmentCount: { $lt: 2 } })).toBe(false);
+    expect(matchesQuery(order, { reassignmentCount: { $lte: 2 } })).toBe(true);
+    expect(matchesQuery(order, { reassignmentCount: { $gte: 1, $lt: 3 } })).toBe(true);
+  });
+
+  test('Dates compare by timestamp and missing values never satisfy a range', () => {
+    expect(matchesQuery(order, { createdAt: new Date('2024-05-01T12:00:00.000Z') })).toBe(true);
+    expect(matchesQuery(order, {
+      createdAt: { $gte: new Date('2024-05-01T00:00:00.000Z'), $lte: new Date('2024-05-02T00:00:00.000Z') },
+    })).toBe(true);
+    expect(matchesQuery(order, { createdAt: { $lt: new Date('2024-05-01T00:00:00.000Z') } })).toBe(false);
+    expect(matchesQuery(order, { currentDriverId: { $gt: 'a' } })).toBe(false);
+    expect(matchesQuery(order, { deliveredAt: { $lte: new Date() } })).toBe(false);
+  });
+
+  test('Unsupported operators are rejected', () => {
+    expect(() => matchesQuery(order, { status: { $regex: 'pend' } })).toThrow('Unsupported query operator: $regex');
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Tests for request ID propagation
+ * @module tests/requestContext
+ * @requires supertest
+ * @requires express
+ * @requires winston
+ * @requires ../middleware/requestId
+ * @requires ../utils/requestContext
+ * @requires ../utils/logger
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { Transport } = require('winston');
+const { requestId } = require('../middleware/requestId');
+const { getRequestId } = require('../utils/requestContext');
+const { errorHandler, conflict } = require('../middleware/errorHandler');
+const logger = require('../utils/logger');
+
+/**
+ * Winston transport that keeps log entries in memory
+ * @class MemoryTransport
+ * @extends Transport
+ */
+class MemoryTransport extends Transport {
+  constructor() {
+    super({ level: 'debug' });
+    this.entries = [];
+  }
+
+  log(info, callback) {
+    this.entries.push(info);
+    callback();
+  }
+}
+
+/**
+ * Build a minimal app that reports and logs the active request ID
+ * @returns {Object} Express application
+ */
+const buildApp = () => {
+  const app = express();
+  app.use(requestId);
+  app.use(express.json());
+  app.post('/echo', async (req, res) => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    logger.info('Handled echo');
+    logger.logIntegrationMetrics({ endpoint: 'echo' });
+    res.json({ requestId: getRequestId() });
+  });
+  app.get('/fail', (req, res, next) => next(conflict('Already cancelled')));
+  app.use(errorHandler);
+  return app;
+};
+
+describe('Request ID propagation', () => {
+  const app = buildApp();
+  const transport = new MemoryTransport();
+
+  beforeAll(() => {
+    logger.add(transport);
+  });
+
+  afterAll(() => {
+    logger.remove(transport);
+  });
+
+  beforeEach(() => {
+    transport.entries = [];
+  });
+
+  test('A caller-provided X-Request-Id reaches async code, logs and metrics', async () => {
+    const response = await request(app)
+      .post('/echo')
+      .set('X-Request-Id', 'support-ticket-42')
+      .send({ hello: 'world' });
+
+    expect(response.headers['x-request-id']).toBe('support-ticket-42');
+    expect(response.body.requestId).toBe('support-ticket-42');
+
+    const logEntry = transport.entries.find(e => e.message === 'Handled echo');
+    const metricsEntry = transport.entries.find(e => e.message === 'Integration metrics');
+    expect(logEntry.requestId).toBe('support-ticket-42');
+    expect(metricsEntry.metrics.requestId).toBe('support-ticket-42');
+  });
+
+  test('An ID is generated when the caller sends none or an invalid one', async () => {
+    const response = await request(app)
+      .post('/echo')
+      .set('X-Request-Id', 'bad id\twith spaces')
+      .send({});
+
+    expect(response.headers['x-request-id']).toMatch(/^[0-9a-f-]{36}$/);
+    expect(response.body.requestId).toBe(response.headers['x-request-id']);
+  });
+
+  test('The error envelope carries the request ID', async () => {
+    const response = await request(app).get('/fail').set('X-Request-Id', 'trace-1');
+
+    expect(response.status).toBe(409);
+    expect(response.body.requestId).toBe('trace-1');
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * @fileoverview Tests for Joi request validation on order and chat routes
+ * @module tests/requestValidation
+ * @requires supertest
+ * @requires ../services/driverRankingStrategies
+ * @requires ../routes/orderRoutes
+ * @requires ../routes/chatRoutes
+ * @requires ../utils/authToken
+ * @requires ./helpers/testApp
+ */
+
+// The OpenAI client refuses to start without a key; no request in this suite reaches it
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const request = require('supertest');
+const orderAssignmentService = require('../services/orderAssignmentService');
+const customerNotificationService = require('../services/customerNotificationService');
+const { registerStrategy, unregisterStrategy } = require('../services/driverRankingStrategies');
+const orderRoutes = require('../routes/orderRoutes');
+const chatRoutes = require('../routes/chatRoutes');
+const { Role } = require('../utils/authToken');
+const { buildApp, as } = require('./helpers/testApp');
+
+// Ops may call every route, so these tests only exercise validation
+const asOps = as(Role.OPS, 'ops-1');
+
+const validOrder = {
+  customerId: 'customer-1',
+  orderDetails: {
+    items: [{ name: 'Pizza Margherita', quantity: 1, price: 29.9 }],
+    totalAmount: 29.9,
+    deliveryAddress: 'Rua Exemplo, 123',
+    deliveryCoordinates: { latitude: -23.5505, longitude: -46.6333 },
+  },
+};
+
+describe('Request validation', () => {
+  const app = buildApp({ '/api/orders': orderRoutes, '/api/chat': chatRoutes });
+
+  afterEach(() => {
+    // The registry is module-global; keep strategies registered here out of other tests
+    unregisterStrategy('by_rating');
+  });
+
+  test('Valid orders are created', async () => {
+    const response = await request(app).post('/api/orders').set(asOps).send(validOrder);
+
+    expect(response.status).toBe(201);
+    expect(response.body.order.customerId).toBe('customer-1');
+  });
+
+  test('Each invalid order field is reported in the error data', async () => {
+    const response = await request(app).post('/api/orders').set(asOps).send({
+      customerId: 'customer-1',
+      orderDetails: {
+        ...validOrder.orderDetails,
+        items: [{ name: 'Pizza', quantity: 0, price: 10 }],
+        totalAmount: -5,
+      },
+    });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Request validation failed');
+    expect(response.body.data.errors.map(e => e.field)).toEqual(expect.arrayContaining([
+      'orderDetails.items.0.quantity',
+      'orderDetails.totalAmount',
+    ]));
+    expect(response.body.data.errors[0].location).toBe('body');
+  });
+
+  test('Ranking strategies are checked against the registry when the order arrives', async () => {
+    const unknown = await request(app).post('/api/orders').set(asOps).send({ ...validOrder, rankingStrategy: 'by_rating' });
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.data.errors).toEqual([
+      expect.objectContaining({ field: 'rankingStrategy', type: 'any.only', message: expect.stringContaining('proximity') }),
+    ]);
+
+    registerStrategy({ name: 'by_rating', description: 'Highest rated first', rank: candidates => candidates });
+    const registered = await request(app).post('/api/orders').set(asOps).send({ ...validOrder, rankingStrategy: 'by_rating' });
+
+    expect(registered.status).toBe(201);
+    expect(registered.body.order.rankingStrategy).toBe('by_rating');
+  });
+
+  test('Driver responses require a real boolean', async () => {
+    const spy = jest.spyOn(orderAssignmentService, 'handleDriverResponse');
+
+    const response = await request(app)
+      .post('/api/orders/order-1/driver-response')
+      .set(asOps)
+      .send({ driverId: 'driver-1', accepted: 'yes' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.data.errors).toEqual([
+      expect.objectContaining({ field: 'accepted', type: 'boolean.base' }),
+    ]);
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+
+  test('Listing query parameters are validated and converted', async () => {
+    const invalid = await request(app).get('/api/orders?status=pending,lost&limit=500').set(asOps);
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.data.errors.map(e => e.field)).toEqual(['status', 'limit']);
+
+    const valid = await request(app).get('/api/orders?status=pending&limit=5').set(asOps);
+
+    expect(valid.status).toBe(200);
+    expect(valid.body.pagination.limit).toBe(5);
+  });
+
+  test('Chat messages must be non-empty', async () => {
+    const spy = jest.spyOn(customerNotificationService, 'handleCustomerChatbotQuery');
+
+    const response = await request(app)
+      .post('/api/chat')
+      .set(asOps)
+      .send({ orderId: 'order-1', customerId: 'customer-1', message: '   ' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.data.errors[0].field).toBe('message');
+    expect(spy).not.toHaveBeenCalled();
+    spy.mockRestore();
+  });
+});
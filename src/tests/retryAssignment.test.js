@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Tests for restarting the assignment of timed-out orders
+ * @module tests/retryAssignment
+ * @requires supertest
+ * @requires ../routes/orderRoutes
+ * @requires ../services/orderAssignmentService
+ * @requires ./helpers/testApp
+ */
+
+const request = require('supertest');
+const { Role } = require('../utils/authToken');
+const { Order, OrderStatus, AssignmentStatus } = require('../models/Order');
+const { Driver, DriverAvailability } = require('../models/Driver');
+const orderAssignmentService = require('../services/orderAssignmentService');
+const orderRoutes = require('../routes/orderRoutes');
+const { buildApp, as, createOrder, createOnlineDriver } = require('./helpers/testApp');
+
+/**
+ * Helper to create an order that timed out after two drivers let their offers expire
+ * @param {string} customerId - Customer who placed the order
+ * @param {string} firstDriverId - Driver the order was offered to first
+ * @param {string} secondDriverId - Driver the order was reassigned to
+ * @returns {Promise<Order>} The timed-out order
+ */
+const createTimedOutOrder = async (customerId, firstDriverId, secondDriverId) => {
+  const order = await createOrder(customerId);
+  await order.addDriverAssignment({ driverId: firstDriverId });
+  await order.recordReassignment(firstDriverId, secondDriverId, 'TIMEOUT');
+  return order.markAsTimedOut();
+};
+
+describe('Retry assignment', () => {
+  const app = buildApp({ '/api/orders': orderRoutes });
+
+  let originalMaxAttempts;
+
+  beforeEach(() => {
+    originalMaxAttempts = orderAssignmentService.maxAssignmentAttempts;
+    orderAssignmentService.maxAssignmentAttempts = 2;
+  });
+
+  afterEach(async () => {
+    orderAssignmentService.maxAssignmentAttempts = originalMaxAttempts;
+    (await Order.find()).forEach(order => orderAssignmentService.cleanupOrderTimers(order._id));
+    for (const driver of await Driver.find({ availability: DriverAvailability.ONLINE })) {
+      driver.availability = DriverAvailability.OFFLINE;
+      await driver.save();
+    }
+  });
+
+  test('A timed-out order gets a new round with a fresh attempt budget', async () => {
+    // Arrange: the first round used up both attempts on driver-1 and driver-2
+    const order = await createTimedOutOrder('c-retry', 'driver-1', 'driver-2');
+    const driver = await createOnlineDriver('Caio');
+
+    // Act
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/retry-assignment`)
+      .set(as(Role.CUSTOMER, 'c-retry'))
+      .send({ reason: 'Quero tentar de novo' })
+      .expect(200);
+
+    // Assert
+    const { order: restarted } = response.body;
+    expect(restarted).toMatchObject({
+      status: OrderStatus.PENDING,
+      assignmentRound: 2,
+      currentDriverId: driver._id,
+      timeoutAt: null,
+    });
+    expect(restarted.driverAssignments.map(a => [a.driverId, a.round, a.status])).toEqual([
+      ['driver-1', 1, AssignmentStatus.TIMED_OUT],
+      ['driver-2', 1, AssignmentStatus.TIMED_OUT],
+      [driver._id, 2, AssignmentStatus.PENDING],
+    ]);
+    expect(restarted.statusHistory.map(t => t.to)).toEqual([OrderStatus.TIMEOUT, OrderStatus.PENDING]);
+    expect(restarted.statusHistory[1]).toMatchObject({ actor: 'customer', actorId: 'c-retry', reason: 'Quero tentar de novo' });
+    expect(orderAssignmentService.assignmentTimers.has(order._id)).toBe(true);
+  });
+
+  test('Drivers from the expired round are free for other orders after a retry', async () => {
+    // Arrange
+    const order = await createTimedOutOrder('c-stale', 'driver-7', 'driver-8');
+    await createOnlineDriver('Dora');
+
+    // Act
+    const restarted = await orderAssignmentService.retryAssignment(order._id, { actor: 'ops', actorId: 'ops-1' });
+
+    // Assert: only the round-2 offer is pending, and round-1 drivers can take another order
+    const pending = restarted.driverAssignments.filter(a => a.status === AssignmentStatus.PENDING);
+    expect(pending).toEqual([expect.objectContaining({ driverId: restarted.currentDriverId, round: 2 })]);
+    const engaged = await orderAssignmentService.getDriversWithPendingAssignments();
+    expect(engaged.has('driver-7')).toBe(false);
+    expect(engaged.has('driver-8')).toBe(false);
+    expect(engaged.has(restarted.currentDriverId)).toBe(true);
+  });
+
+  test('Without drivers the new round times out again', async () => {
+    const order = await createTimedOutOrder('c-nobody', 'driver-3', 'driver-4');
+
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/retry-assignment`)
+      .set(as(Role.OPS, 'ops-1'))
+      .expect(200);
+
+    expect(response.body.order).toMatchObject({ status: OrderStatus.TIMEOUT, assignmentRound: 2 });
+    expect(response.body.order.statusHistory[1]).toMatchObject({ actor: 'ops', actorId: 'ops-1' });
+    expect(response.body.message).toContain('timed out again');
+  });
+
+  test('Only timed-out orders can be retried', async () => {
+    const order = await createOrder('c-pending');
+
+    await request(app)
+      .post(`/api/orders/${order._id}/retry-assignment`)
+      .set(as(Role.OPS, 'ops-1'))
+      .expect(409);
+  });
+
+  test('Customers retry only their own orders, and the actor comes from the token', async () => {
+    const order = await createTimedOutOrder('c-owner', 'driver-5', 'driver-6');
+
+    await request(app)
+      .post(`/api/orders/${order._id}/retry-assignment`)
+      .set(as(Role.CUSTOMER, 'c-other'))
+      .expect(403);
+
+    const forged = await request(app)
+      .post(`/api/orders/${order._id}/retry-assignment`)
+      .set(as(Role.CUSTOMER, 'c-owner'))
+      .send({ actor: 'ops', actorId: 'ops-1' })
+      .expect(400);
+    expect(forged.body.data.errors.map(e => e.field)).toEqual(['actor', 'actorId']);
+
+    const response = await request(app)
+      .post(`/api/orders/${order._id}/retry-assignment`)
+      .set(as(Role.CUSTOMER, 'c-owner'))
+      .expect(200);
+    expect(response.body.order.statusHistory[1]).toMatchObject({ actor: 'customer', actorId: 'c-owner' });
+  });
+});
@@ -0,0 +1,148 @@
+/**
+ * @fileoverview Tests for the storage adapters and their selection
+ * @module tests/storageAdapters
+ * @requires fs
+ * @requires os
+ * @requires path
+ * @requires ../config/storage/fileAdapter
+ * @requires ../config/storage/memoryAdapter
+ * @requires ../config/database
+ * @requires ../utils/logger
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileAdapter, reviveDates } = require('../config/storage/fileAdapter');
+const { MemoryAdapter } = require('../config/storage/memoryAdapter');
+const { connectDatabase, disconnectDatabase, getCollection, getStorageAdapter } = require('../config/database');
+const logger = require('../utils/logger');
+
+/**
+ * Read a collection's log file as parsed entries
+ * @param {string} directory - Data directory
+ * @param {string} name - Collection name
+ * @returns {Object[]} Log entries
+ */
+const readLog = (directory, name) => fs.readFileSync(path.join(directory, `${name}.jsonl`), 'utf8')
+  .split('\n')
+  .filter(Boolean)
+  .map(line => JSON.parse(line));
+
+describe('File storage adapter', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('Documents written before a reconnect are read back', async () => {
+    // Arrange
+    const createdAt = new Date('2024-05-01T12:00:00.000Z');
+    const writer = new FileAdapter({ directory });
+    await writer.connect();
+    const orders = writer.collection('orders');
+
+    // Act
+    await orders.set('o-1', { _id: 'o-1', status: 'pending', createdAt });
+    await orders.set('o-2', { _id: 'o-2', status: 'pending', createdAt });
+    await orders.set('o-1', { _id: 'o-1', status: 'accepted', createdAt });
+    await orders.delete('o-2');
+    await writer.disconnect();
+
+    const reader = new FileAdapter({ directory });
+    await reader.connect();
+
+    // Assert
+    expect(await reader.collection('orders').values()).toEqual([
+      { _id: 'o-1', status: 'accepted', createdAt },
+    ]);
+    expect(await reader.collection('orders').get('o-2')).toBeUndefined();
+  });
+
+  test('Connecting compacts each log to one entry per live document', async () => {
+    const writer = new FileAdapter({ directory });
+    await writer.connect();
+    const drivers = writer.collection('drivers');
+    await drivers.set('d-1', { _id: 'd-1', availability: 'offline' });
+    await drivers.set('d-1', { _id: 'd-1', availability: 'online' });
+    await drivers.set('d-2', { _id: 'd-2', availability: 'online' });
+    await drivers.delete('d-2');
+    await writer.disconnect();
+    expect(readLog(directory, 'drivers')).toHaveLength(4);
+
+    await new FileAdapter({ directory }).connect();
+
+    expect(readLog(directory, 'drivers')).toEqual([
+      { op: 'set', id: 'd-1', doc: { _id: 'd-1', availability: 'online' } },
+    ]);
+    expect(fs.existsSync(path.join(directory, 'drivers.jsonl.tmp'))).toBe(false);
+  });
+
+  test('Only known timestamp fields are revived as dates', () => {
+    const revived = JSON.parse(JSON.stringify({
+      createdAt: new Date('2024-05-01T12:00:00.000Z'),
+      driverAssignments: [{ assignedAt: '2024-05-01T12:00:05.123Z' }],
+      attempts: [{ sentAt: '2024-05-01T12:00:06.000Z' }],
+      notes: '2024-05-01T12:00:07.000Z',
+      updatedAt: 'not a date',
+    }), reviveDates);
+
+    expect(revived.createdAt).toEqual(new Date('2024-05-01T12:00:00.000Z'));
+    expect(revived.driverAssignments[0].assignedAt).toEqual(new Date('2024-05-01T12:00:05.123Z'));
+    expect(revived.attempts[0].sentAt).toBe('2024-05-01T12:00:06.000Z');
+    expect(revived.notes).toBe('2024-05-01T12:00:07.000Z');
+    expect(revived.updatedAt).toBe('not a date');
+  });
+});
+
+describe('Storage adapter selection', () => {
+  const originalEnv = { ...process.env };
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-test-'));
+  });
+
+  afterEach(async () => {
+    process.env = { ...originalEnv };
+    await connectDatabase({ adapter: 'memory' });
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('STORAGE_ADAPTER=file persists collections under STORAGE_DIR', async () => {
+    process.env.STORAGE_ADAPTER = 'file';
+    process.env.STORAGE_DIR = directory;
+
+    await connectDatabase();
+    await getCollection('customers').set('c-1', { _id: 'c-1' });
+    await disconnectDatabase();
+
+    expect(getStorageAdapter()).toBeInstanceOf(FileAdapter);
+    expect(readLog(directory, 'customers')).toEqual([{ op: 'set', id: 'c-1', doc: { _id: 'c-1' } }]);
+  });
+
+  test('The memory adapter is the default', async () => {
+    delete process.env.STORAGE_ADAPTER;
+
+    await connectDatabase();
+
+    expect(getStorageAdapter()).toBeInstanceOf(MemoryAdapter);
+    expect(getStorageAdapter()).not.toBeInstanceOf(FileAdapter);
+  });
+
+  test('An unknown adapter is rejected and the current one is kept', async () => {
+    const current = getStorageAdapter();
+    process.env.STORAGE_ADAPTER = 'postgres';
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+
+    await expect(connectDatabase()).rejects.toThrow('Unknown storage adapter: postgres');
+    expect(getStorageAdapter()).toBe(current);
+    expect(logger.error).toHaveBeenCalled();
+    logger.error.mockRestore();
+  });
+});
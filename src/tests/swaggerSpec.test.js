@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Tests for the generated OpenAPI specification
+ * @module tests/swaggerSpec
+ * @requires ../config/swagger
+ * @requires ../validation/modelSchemas
+ * @requires ../models/Order
+ * @requires ../models/Driver
+ */
+
+const { buildSwaggerSpec } = require('../config/swagger');
+const { orderSchema, driverSchema } = require('../validation/modelSchemas');
+const { Order, AssignmentStatus } = require('../models/Order');
+const { Driver } = require('../models/Driver');
+
+/**
+ * Collect every $ref value in a document
+ * @param {*} node - Document node
+ * @param {string[]} [refs=[]] - Accumulator
+ * @returns {string[]} The $ref values
+ */
+const collectRefs = (node, refs = []) => {
+  if (Array.isArray(node)) {
+    node.forEach(child => collectRefs(child, refs));
+  } else if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([key, value]) => {
+      if (key === '$ref') {
+        refs.push(value);
+      } else {
+        collectRefs(value, refs);
+      }
+    });
+  }
+  return refs;
+};
+
+/**
+ * Serialize a model the way Express sends it
+ * @param {Object} model - Model instance
+ * @returns {Object} JSON representation
+ */
+const toJson = (model) => JSON.parse(JSON.stringify(model));
+
+describe('OpenAPI specification', () => {
+  const spec = buildSwaggerSpec();
+
+  test('Every $ref points to a defined component', () => {
+    // Act
+    const refs = collectRefs(spec.paths);
+
+    // Assert
+    expect(refs.length).toBeGreaterThan(0);
+    refs.forEach(ref => {
+      const [, , section, name] = ref.split('/');
+      expect(spec.components[section]).toHaveProperty(name);
+    });
+  });
+
+  test('Order components are generated from the Joi schemas', () => {
+    // Assert
+    const { schemas } = spec.components;
+    expect(schemas.Order.properties.status.enum).toContain('cancelled');
+    expect(schemas.OrderDetails.properties).toHaveProperty('deliveryCoordinates');
+    expect(schemas.OrderDetails.properties).toHaveProperty('pickupCoordinates');
+    expect(schemas.DriverAssignment.properties.status.enum).toContain(AssignmentStatus.WITHDRAWN);
+    expect(schemas).toHaveProperty('ReassignmentLog');
+    expect(schemas.ApiError.required).toEqual(expect.arrayContaining(['success', 'statusCode', 'message']));
+  });
+
+  test('A reassigned and cancelled order matches the documented Order model', async () => {
+    // Arrange
+    const order = new Order({
+      customerId: 'customer-1',
+      orderDetails: {
+        items: [{ name: 'Pizza', quantity: 1, price: 42 }],
+        totalAmount: 42,
+        deliveryAddress: 'Rua Exemplo, 123',
+        deliveryCoordinates: { latitude: -23.55, longitude: -46.63 },
+      },
+    });
+    await order.save();
+    await order.addDriverAssignment({ driverId: 'driver-1' });
+    await order.recordReassignment('driver-1', 'driver-2', 'TIMEOUT');
+    await order.cancel({ reason: 'Customer changed their mind', actor: 'customer', actorId: 'customer-1' });
+
+    // Act
+    const { error } = orderSchema.validate(toJson(order));
+
+    // Assert
+    expect(error).toBeUndefined();
+  });
+
+  test('A registered driver matches the documented Driver model', async () => {
+    // Arrange
+    const driver = new Driver({ name: 'Ana' });
+    await driver.updateLocation({ latitude: -23.55, longitude: -46.63 });
+
+    // Act
+    const { error } = driverSchema.validate(toJson(driver));
+
+    // Assert
+    expect(error).toBeUndefined();
+  });
+});
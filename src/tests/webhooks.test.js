@@ -0,0 +1,284 @@
+/**
+ * @fileoverview Tests for webhook subscriptions and signed event delivery
+ * @module tests/webhooks
+ * @requires http
+ * @requires supertest
+ * @requires ../services/webhookService
+ * @requires ../routes/webhookRoutes
+ * @requires ./helpers/testApp
+ */
+
+// The OpenAI client refuses to start without a key; no request in this suite reaches it
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'test-key';
+
+const http = require('http');
+const request = require('supertest');
+const { Role } = require('../utils/authToken');
+const { OrderEvent, orderEvents } = require('../events/orderEvents');
+const { WebhookSubscription } = require('../models/WebhookSubscription');
+const { WebhookDelivery, DeliveryStatus } = require('../models/WebhookDelivery');
+const webhookService = require('../services/webhookService');
+const webhookRoutes = require('../routes/webhookRoutes');
+const logger = require('../utils/logger');
+const { buildApp, as, createOrder } = require('./helpers/testApp');
+
+const asOps = as(Role.OPS, 'ops-1');
+const MERCHANT_ID = 'merchant-1';
+
+/**
+ * Poll until a condition holds
+ * @param {Function} condition - Returns truthy when done
+ * @param {number} [timeout=2000] - Maximum wait in milliseconds
+ * @returns {Promise<void>}
+ */
+const waitFor = async (condition, timeout = 2000) => {
+  const deadline = Date.now() + timeout;
+  while (!(await condition())) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('Outbound webhooks', () => {
+  let receiver;
+  let receiverUrl;
+  let received;
+  let responseCodes;
+  let originalRetryBaseDelay;
+
+  beforeAll(async () => {
+    // Local receiver answering with the queued status codes (200 once the queue is empty)
+    receiver = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body });
+        res.writeHead(responseCodes.shift() || 200);
+        res.end();
+      });
+    });
+    await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+    receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+    originalRetryBaseDelay = webhookService.retryBaseDelay;
+    webhookService.retryBaseDelay = 20;
+  });
+
+  afterAll(async () => {
+    webhookService.cancelRetries();
+    webhookService.retryBaseDelay = originalRetryBaseDelay;
+    await new Promise(resolve => receiver.close(resolve));
+  });
+
+  beforeEach(async () => {
+    received = [];
+    responseCodes = [];
+    for (const subscription of await WebhookSubscription.find()) {
+      await WebhookSubscription.deleteById(subscription._id);
+    }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('Delivery is signed with the subscription secret', async () => {
+    // Arrange
+    const secret = 'a-very-long-test-secret';
+    const subscription = await new WebhookSubscription({
+      merchantId: MERCHANT_ID,
+      url: receiverUrl,
+      events: [OrderEvent.REASSIGNED],
+      secret,
+    }).save();
+    const order = await createOrder('c1', { merchantId: MERCHANT_ID });
+
+    // Act
+    orderEvents.publish(OrderEvent.REASSIGNED, { orderId: order._id, customerId: 'c1', reassignmentCount: 2 });
+    await waitFor(() => received.length === 1);
+
+    // Assert
+    const { headers, body } = received[0];
+    expect(headers['x-webhook-event']).toBe(OrderEvent.REASSIGNED);
+    expect(headers['x-webhook-signature'])
+      .toBe(webhookService.signPayload(secret, headers['x-webhook-timestamp'], body));
+    expect(webhookService.signPayload('wrong-secret', headers['x-webhook-timestamp'], body))
+      .not.toBe(headers['x-webhook-signature']);
+
+    const parsed = JSON.parse(body);
+    expect(parsed.id).toBe(headers['x-webhook-id']);
+    expect(parsed.data).toMatchObject({ orderId: order._id, reassignmentCount: 2 });
+
+    await waitFor(async () => {
+      const [delivery] = await WebhookDelivery.find({ subscriptionId: subscription._id });
+      return delivery && delivery.status === DeliveryStatus.SUCCEEDED;
+    });
+  });
+
+  test('Only active subscriptions for the event receive it', async () => {
+    await new WebhookSubscription({ merchantId: MERCHANT_ID, url: receiverUrl, events: [OrderEvent.CANCELLED] }).save();
+    await new WebhookSubscription({
+      merchantId: MERCHANT_ID,
+      url: receiverUrl,
+      events: [OrderEvent.TIMED_OUT],
+      active: false,
+    }).save();
+    const order = await createOrder('c1', { merchantId: MERCHANT_ID });
+
+    await webhookService.dispatchEvent({ event: OrderEvent.TIMED_OUT, orderId: order._id });
+
+    expect(received).toHaveLength(0);
+  });
+
+  test('Events are only delivered to subscriptions of the order\'s merchant', async () => {
+    const own = await new WebhookSubscription({ merchantId: MERCHANT_ID, url: receiverUrl, events: [OrderEvent.CANCELLED] }).save();
+    const other = await new WebhookSubscription({ merchantId: 'merchant-2', url: receiverUrl, events: [OrderEvent.CANCELLED] }).save();
+    const order = await createOrder('c1', { merchantId: MERCHANT_ID });
+    const unscopedOrder = await createOrder('c2');
+
+    await webhookService.dispatchEvent({ event: OrderEvent.CANCELLED, orderId: order._id, customerId: 'c1' });
+    await webhookService.dispatchEvent({ event: OrderEvent.CANCELLED, orderId: unscopedOrder._id, customerId: 'c2' });
+
+    expect(received).toHaveLength(1);
+    expect(JSON.parse(received[0].body).data.customerId).toBe('c1');
+    expect(await WebhookDelivery.find({ subscriptionId: own._id })).toHaveLength(1);
+    expect(await WebhookDelivery.find({ subscriptionId: other._id })).toHaveLength(0);
+  });
+
+  test('Failed delivery is retried with backoff and every attempt is logged', async () => {
+    jest.spyOn(logger, 'warn').mockImplementation(() => {});
+    responseCodes = [500, 503];
+    const subscription = await new WebhookSubscription({ merchantId: MERCHANT_ID, url: receiverUrl, events: [OrderEvent.TIMED_OUT] }).save();
+    const order = await createOrder('c1', { merchantId: MERCHANT_ID });
+
+    await webhookService.dispatchEvent({ event: OrderEvent.TIMED_OUT, orderId: order._id });
+    await waitFor(() => received.length === 3);
+
+    let delivery;
+    await waitFor(async () => {
+      [delivery] = await WebhookDelivery.find({ subscriptionId: subscription._id });
+      return delivery.status === DeliveryStatus.SUCCEEDED;
+    });
+
+    expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([500, 503, 200]);
+    expect(delivery.attempts[0].error).toMatch(/HTTP 500/);
+    expect(webhookService.getRetryDelay(1)).toBe(20);
+    expect(webhookService.getRetryDelay(2)).toBe(40);
+    // Every attempt carries the same delivery ID so receivers can deduplicate
+    expect(new Set(received.map(({ headers }) => headers['x-webhook-id'])).size).toBe(1);
+  });
+
+  test('Client errors end the delivery without retrying', async () => {
+    jest.spyOn(logger, 'error').mockImplementation(() => {});
+    responseCodes = [410];
+    const subscription = await new WebhookSubscription({ merchantId: MERCHANT_ID, url: receiverUrl, events: [OrderEvent.ACCEPTED] }).save();
+    const order = await createOrder('c1', { merchantId: MERCHANT_ID });
+
+    await webhookService.dispatchEvent({ event: OrderEvent.ACCEPTED, orderId: order._id });
+
+    const [delivery] = await WebhookDelivery.find({ subscriptionId: subscription._id });
+    expect(delivery.status).toBe(DeliveryStatus.FAILED);
+    expect(delivery.attempts).toHaveLength(1);
+    expect(webhookService.retryTimers.has(delivery._id)).toBe(false);
+  });
+
+  test('Retries waiting when the process stopped are resumed on startup', async () => {
+    jest.spyOn(logger, 'info').mockImplementation(() => {});
+    const subscription = await new WebhookSubscription({ merchantId: MERCHANT_ID, url: receiverUrl, events: [OrderEvent.TIMED_OUT] }).save();
+    const order = await createOrder('c1', { merchantId: MERCHANT_ID });
+    // A delivery whose retry timer was lost: one failed attempt and a next attempt already due
+    const delivery = await new WebhookDelivery({
+      subscriptionId: subscription._id,
+      event: OrderEvent.TIMED_OUT,
+      orderId: order._id,
+      payload: { event: OrderEvent.TIMED_OUT, orderId: order._id },
+    }).save();
+    await delivery.recordAttempt({
+      statusCode: 503,
+      error: 'Receiver responded with HTTP 503',
+      durationMs: 5,
+      success: false,
+      nextAttemptAt: new Date(Date.now() - 1000),
+    });
+
+    const scheduled = await webhookService.recoverPendingDeliveries();
+
+    expect(scheduled).toBe(1);
+    await waitFor(async () => {
+      const recovered = await WebhookDelivery.findById(delivery._id);
+      return recovered.status === DeliveryStatus.SUCCEEDED;
+    });
+    expect(received).toHaveLength(1);
+    expect(received[0].headers['x-webhook-id']).toBe(delivery._id);
+    expect(await webhookService.recoverPendingDeliveries()).toBe(0);
+  });
+
+  describe('Webhook API', () => {
+    const app = buildApp({ '/api/webhooks': webhookRoutes });
+
+    test('Subscriptions are managed by ops and the secret is only revealed on creation', async () => {
+      const created = await request(app)
+        .post('/api/webhooks')
+        .set(asOps)
+        .send({ merchantId: MERCHANT_ID, url: receiverUrl, events: [OrderEvent.CANCELLED] })
+        .expect(201);
+
+      const { _id: webhookId, secret } = created.body.webhook;
+      expect(secret).toMatch(/^whsec_/);
+      expect(created.body.webhook.merchantId).toBe(MERCHANT_ID);
+
+      const fetched = await request(app).get(`/api/webhooks/${webhookId}`).set(asOps).expect(200);
+      expect(fetched.body.webhook.secret).toBeUndefined();
+
+      const updated = await request(app)
+        .patch(`/api/webhooks/${webhookId}`)
+        .set(asOps)
+        .send({ active: false })
+        .expect(200);
+      expect(updated.body.webhook.active).toBe(false);
+
+      const listed = await request(app).get('/api/webhooks').set(asOps).expect(200);
+      expect(listed.body.webhooks.map(webhook => webhook._id)).toEqual([webhookId]);
+
+      await request(app).delete(`/api/webhooks/${webhookId}`).set(asOps).expect(200);
+      await request(app).get(`/api/webhooks/${webhookId}`).set(asOps).expect(404);
+    });
+
+    test('Invalid subscriptions and non-ops callers are rejected', async () => {
+      await request(app)
+        .post('/api/webhooks')
+        .set(asOps)
+        .send({ url: 'ftp://example.com', events: ['unknown'] })
+        .expect(400);
+
+      // Every subscription is scoped to a merchant
+      await request(app)
+        .post('/api/webhooks')
+        .set(asOps)
+        .send({ url: receiverUrl, events: [OrderEvent.CANCELLED] })
+        .expect(400);
+
+      await request(app).get('/api/webhooks').set(as(Role.CUSTOMER, 'c1')).expect(403);
+    });
+
+    test('Delivery log lists the attempts of a subscription', async () => {
+      const subscription = await new WebhookSubscription({ merchantId: MERCHANT_ID, url: receiverUrl, events: [OrderEvent.CANCELLED] }).save();
+      const order = await createOrder('c1', { merchantId: MERCHANT_ID });
+      await webhookService.dispatchEvent({ event: OrderEvent.CANCELLED, orderId: order._id });
+
+      const response = await request(app)
+        .get(`/api/webhooks/${subscription._id}/deliveries`)
+        .query({ status: DeliveryStatus.SUCCEEDED })
+        .set(asOps)
+        .expect(200);
+
+      expect(response.body.count).toBe(1);
+      expect(response.body.deliveries[0]).toMatchObject({
+        event: OrderEvent.CANCELLED,
+        orderId: order._id,
+        status: DeliveryStatus.SUCCEEDED,
+      });
+      expect(response.body.deliveries[0].attempts).toHaveLength(1);
+    });
+  });
+});
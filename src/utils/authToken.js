@@ -0,0 +1,141 @@
+/**
+ * @fileoverview Signed access tokens (HS256 JWTs) verifiable without a database lookup
+ * @module utils/authToken
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Caller roles
+ * @readonly
+ * @enum {string}
+ */
+const Role = {
+  CUSTOMER: 'customer',
+  DRIVER: 'driver',
+  OPS: 'ops',
+};
+
+const TOKEN_HEADER = { alg: 'HS256', typ: 'JWT' };
+
+/**
+ * Default token lifetime in seconds
+ * @constant {number}
+ */
+const DEFAULT_TOKEN_TTL = parseInt(process.env.AUTH_TOKEN_TTL, 10) || 24 * 60 * 60;
+
+/**
+ * Error raised when a token cannot be trusted
+ * @class TokenError
+ * @extends Error
+ */
+class TokenError extends Error {}
+
+/**
+ * Encode a value as base64url JSON
+ * @function encodeSegment
+ * @param {Object} value - Value to encode
+ * @returns {string} Encoded segment
+ */
+const encodeSegment = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+
+/**
+ * Compute the signature of a token's header and payload
+ * @function sign
+ * @param {string} data - `header.payload`
+ * @param {string} secret - Signing secret
+ * @returns {string} base64url signature
+ */
+const sign = (data, secret) => crypto.createHmac('sha256', secret).update(data).digest('base64url');
+
+/**
+ * Get the signing secret
+ * @function getAuthSecret
+ * @returns {string} The AUTH_SECRET
+ * @throws {Error} If AUTH_SECRET is not configured
+ */
+const getAuthSecret = () => {
+  if (!process.env.AUTH_SECRET) {
+    throw new Error('AUTH_SECRET is not configured');
+  }
+  return process.env.AUTH_SECRET;
+};
+
+/**
+ * Issue a signed token
+ * @function signToken
+ * @param {Object} claims - Token claims
+ * @param {string} claims.role - Caller role (customer, driver, ops)
+ * @param {string} claims.sub - Subject ID (customer ID, driver ID or operator ID)
+ * @param {Object} [options={}] - Signing options
+ * @param {number} [options.expiresIn] - Lifetime in seconds
+ * @param {string} [options.secret] - Signing secret, defaults to AUTH_SECRET
+ * @returns {string} The token
+ */
+const signToken = ({ role, sub }, { expiresIn = DEFAULT_TOKEN_TTL, secret = getAuthSecret() } = {}) => {
+  if (!Object.values(Role).includes(role)) {
+    throw new Error(`Unknown role: ${role}`);
+  }
+  if (!sub) {
+    throw new Error('Token subject is required');
+  }
+
+  const issuedAt = Math.floor(Date.now() / 1000);
+  const data = `${encodeSegment(TOKEN_HEADER)}.${encodeSegment({
+    role,
+    sub: String(sub),
+    iat: issuedAt,
+    exp: issuedAt + expiresIn,
+  })}`;
+
+  return `${data}.${sign(data, secret)}`;
+};
+
+/**
+ * Verify a token's signature and expiry
+ * @function verifyToken
+ * @param {string} token - The token
+ * @param {Object} [options={}] - Verification options
+ * @param {string} [options.secret] - Signing secret, defaults to AUTH_SECRET
+ * @returns {{role: string, sub: string, iat: number, exp: number}} The token claims
+ * @throws {TokenError} If the token is malformed, forged or expired
+ */
+const verifyToken = (token, { secret = getAuthSecret() } = {}) => {
+  const segments = typeof token === 'string' ? token.split('.') : [];
+
+  if (segments.length !== 3) {
+    throw new TokenError('Malformed token');
+  }
+
+  const [header, payload, signature] = segments;
+  const expected = Buffer.from(sign(`${header}.${payload}`, secret));
+  const actual = Buffer.from(signature);
+
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw new TokenError('Invalid token signature');
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new TokenError('Malformed token');
+  }
+
+  if (!Object.values(Role).includes(claims.role) || !claims.sub) {
+    throw new TokenError('Token is missing a valid role or subject');
+  }
+
+  if (!Number.isFinite(claims.exp) || claims.exp <= Math.floor(Date.now() / 1000)) {
+    throw new TokenError('Token has expired');
+  }
+
+  return claims;
+};
+
+module.exports = {
+  Role,
+  TokenError,
+  signToken,
+  verifyToken,
+};
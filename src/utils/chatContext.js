@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Builds the OpenAI messages array for a conversation within a token budget
+ * @module utils/chatContext
+ */
+
+/**
+ * Rough characters-per-token ratio for Portuguese and English text
+ * @constant {number}
+ */
+const CHARS_PER_TOKEN = 4;
+
+/**
+ * Fixed per-message overhead the chat format adds (role, separators)
+ * @constant {number}
+ */
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate the tokens a chat message costs. Deliberately errs on the high side
+ * so the real prompt stays under the budget.
+ * @function estimateTokens
+ * @param {string} text - Message content
+ * @returns {number} Estimated token count
+ */
+const estimateTokens = (text = '') => Math.ceil(text.length / CHARS_PER_TOKEN) + MESSAGE_OVERHEAD_TOKENS;
+
+/**
+ * Build the messages for a chat completion: the system message, as many of the most
+ * recent prior turns as fit in the budget (oldest are dropped first, whole turns only),
+ * and the new user message. The system and new user messages are always kept.
+ * @function buildChatMessages
+ * @param {Object} options - Conversation parts
+ * @param {string} options.systemMessage - System prompt
+ * @param {Array<{message: string, response: string}>} [options.history=[]] - Prior turns, oldest first
+ * @param {string} options.userMessage - The customer's new message
+ * @param {number} options.tokenBudget - Maximum estimated prompt tokens
+ * @param {number} [options.maxTurns=Infinity] - Maximum prior turns to include
+ * @returns {{messages: Object[], includedTurns: number, droppedTurns: number, estimatedTokens: number}} Messages and truncation details
+ */
+const buildChatMessages = ({ systemMessage, history = [], userMessage, tokenBudget, maxTurns = Infinity }) => {
+  let estimatedTokens = estimateTokens(systemMessage) + estimateTokens(userMessage);
+  const included = [];
+
+  // Walk back from the newest turn and stop at the first one that does not fit
+  for (let index = history.length - 1; index >= 0 && included.length < maxTurns; index -= 1) {
+    const turn = history[index];
+    const turnTokens = estimateTokens(turn.message) + estimateTokens(turn.response);
+
+    if (estimatedTokens + turnTokens > tokenBudget) {
+      break;
+    }
+
+    estimatedTokens += turnTokens;
+    included.unshift(turn);
+  }
+
+  return {
+    messages: [
+      { role: 'system', content: systemMessage },
+      ...included.flatMap(turn => [
+        { role: 'user', content: turn.message },
+        { role: 'assistant', content: turn.response },
+      ]),
+      { role: 'user', content: userMessage },
+    ],
+    includedTurns: included.length,
+    droppedTurns: history.length - included.length,
+    estimatedTokens,
+  };
+};
+
+module.exports = {
+  estimateTokens,
+  buildChatMessages,
+};
@@ -0,0 +1,53 @@
+/**
+ * @fileoverview Geographic helpers
+ * @module utils/geo
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Convert degrees to radians
+ * @function toRadians
+ * @param {number} degrees - Angle in degrees
+ * @returns {number} Angle in radians
+ */
+const toRadians = (degrees) => (degrees * Math.PI) / 180;
+
+/**
+ * Check whether a point carries usable coordinates.
+ * The `{ latitude: 0, longitude: 0 }` default on new orders is treated as unknown.
+ * @function hasCoordinates
+ * @param {Object} [point] - Point with latitude and longitude
+ * @returns {boolean} Whether the point has usable coordinates
+ */
+const hasCoordinates = (point) => Boolean(
+  point &&
+  Number.isFinite(point.latitude) &&
+  Number.isFinite(point.longitude) &&
+  !(point.latitude === 0 && point.longitude === 0)
+);
+
+/**
+ * Great-circle distance between two points using the haversine formula
+ * @function haversineDistanceKm
+ * @param {Object} from - Origin point
+ * @param {number} from.latitude - Origin latitude
+ * @param {number} from.longitude - Origin longitude
+ * @param {Object} to - Destination point
+ * @param {number} to.latitude - Destination latitude
+ * @param {number} to.longitude - Destination longitude
+ * @returns {number} Distance in kilometres
+ */
+const haversineDistanceKm = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+module.exports = {
+  hasCoordinates,
+  haversineDistanceKm,
+};
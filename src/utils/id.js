@@ -0,0 +1,18 @@
+/**
+ * @fileoverview Document ID generation
+ * @module utils/id
+ * @requires crypto
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Generate a unique ID
+ * @function generateId
+ * @returns {string} A unique ID
+ */
+const generateId = () => crypto.randomBytes(12).toString('hex');
+
+module.exports = {
+  generateId,
+};
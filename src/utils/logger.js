@@ -2,12 +2,24 @@
  * @fileoverview Logging utility
  * @module utils/logger
  * @requires winston
+ * @requires ./requestContext
  */
 
 const winston = require('winston');
+const { getRequestId } = require('./requestContext');
+
+// Tag entries with the ID of the request being handled, if any
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) {
+    info.requestId = requestId;
+  }
+  return info;
+});
 
 // Define log format
 const logFormat = winston.format.combine(
+  requestIdFormat(),
   winston.format.timestamp({ format: 'YYYY-MM-DD HH:mm:ss' }),
   winston.format.errors({ stack: true }),
   winston.format.json()
@@ -33,7 +45,7 @@ const logger = winston.createLogger({
 
 // Add integration metrics logger
 logger.logIntegrationMetrics = (metrics) => {
-  logger.info('Integration metrics', { metrics });
+  logger.info('Integration metrics', { metrics: { requestId: getRequestId(), ...metrics } });
 };
 
 module.exports = logger; 
\ No newline at end of file
@@ -0,0 +1,275 @@
+/**
+ * @fileoverview Minimal in-process metrics registry with Prometheus text exposition
+ * @module utils/metrics
+ */
+
+/**
+ * Default histogram buckets, in seconds
+ * @constant {number[]}
+ */
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the exposition format
+ * @function escapeLabelValue
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+/**
+ * Render a label set as `{a="1",b="2"}`
+ * @function formatLabels
+ * @param {Object} labels - Label values keyed by name
+ * @returns {string} Rendered labels, empty when there are none
+ */
+const formatLabels = (labels) => {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+/**
+ * Base class for labelled metrics
+ * @class Metric
+ */
+class Metric {
+  /**
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Description shown in the HELP line
+   * @param {string[]} [options.labelNames=[]] - Allowed label names
+   */
+  constructor({ name, help, labelNames = [] }) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.series = new Map();
+  }
+
+  /**
+   * Normalise labels to the declared names, in declaration order
+   * @param {Object} [labels={}] - Label values
+   * @returns {Object} Normalised labels
+   * @throws {Error} If an undeclared label is used
+   */
+  normalizeLabels(labels = {}) {
+    Object.keys(labels).forEach(name => {
+      if (!this.labelNames.includes(name)) {
+        throw new Error(`Unknown label "${name}" for metric ${this.name}`);
+      }
+    });
+
+    const normalized = {};
+    this.labelNames.forEach(name => {
+      normalized[name] = labels[name] === undefined || labels[name] === null ? '' : String(labels[name]);
+    });
+    return normalized;
+  }
+
+  /**
+   * Get or create the series for a label set
+   * @param {Object} labels - Label values
+   * @param {function(): Object} create - Factory for a new series value
+   * @returns {Object} The series
+   */
+  getSeries(labels, create) {
+    const normalized = this.normalizeLabels(labels);
+    const key = JSON.stringify(normalized);
+
+    if (!this.series.has(key)) {
+      this.series.set(key, { labels: normalized, ...create() });
+    }
+
+    return this.series.get(key);
+  }
+
+  /**
+   * Drop all recorded values
+   */
+  reset() {
+    this.series.clear();
+  }
+
+  /**
+   * Render the HELP and TYPE header lines
+   * @returns {string[]} Header lines
+   */
+  renderHeader() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+/**
+ * Monotonically increasing counter
+ * @class Counter
+ * @extends Metric
+ */
+class Counter extends Metric {
+  get type() {
+    return 'counter';
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} [labels={}] - Label values
+   * @param {number} [value=1] - Amount to add
+   */
+  inc(labels = {}, value = 1) {
+    if (value < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.getSeries(labels, () => ({ value: 0 })).value += value;
+  }
+
+  /**
+   * Get the current value for a label set
+   * @param {Object} [labels={}] - Label values
+   * @returns {number} Counter value
+   */
+  get(labels = {}) {
+    const series = this.series.get(JSON.stringify(this.normalizeLabels(labels)));
+    return series ? series.value : 0;
+  }
+
+  /**
+   * Render the metric in exposition format
+   * @returns {string[]} Lines
+   */
+  render() {
+    const lines = this.renderHeader();
+    this.series.forEach(({ labels, value }) => {
+      lines.push(`${this.name}${formatLabels(labels)} ${value}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Histogram with cumulative buckets
+ * @class Histogram
+ * @extends Metric
+ */
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options (see Metric)
+   * @param {number[]} [options.buckets=DEFAULT_BUCKETS] - Upper bounds of the buckets
+   */
+  constructor({ buckets = DEFAULT_BUCKETS, ...options }) {
+    super(options);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  get type() {
+    return 'histogram';
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} [labels={}] - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels = {}, value) {
+    const series = this.getSeries(labels, () => ({
+      counts: this.buckets.map(() => 0),
+      sum: 0,
+      count: 0,
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index] += 1;
+      }
+    });
+    series.sum += value;
+    series.count += 1;
+  }
+
+  /**
+   * Render the metric in exposition format
+   * @returns {string[]} Lines
+   */
+  render() {
+    const lines = this.renderHeader();
+    this.series.forEach(({ labels, counts, sum, count }) => {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    });
+    return lines;
+  }
+}
+
+/**
+ * Collection of metrics rendered together
+ * @class MetricsRegistry
+ */
+class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+  }
+
+  /**
+   * Register a metric
+   * @param {Metric} metric - Metric to register
+   * @returns {Metric} The metric
+   * @throws {Error} If a metric with the same name exists
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.set(metric.name, metric);
+    return metric;
+  }
+
+  /**
+   * Create and register a counter
+   * @param {Object} options - Counter options
+   * @returns {Counter} The counter
+   */
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  /**
+   * Create and register a histogram
+   * @param {Object} options - Histogram options
+   * @returns {Histogram} The histogram
+   */
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * Drop the values of every metric
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+
+  /**
+   * Render every metric in the Prometheus text exposition format
+   * @returns {string} Exposition text
+   */
+  render() {
+    const lines = [];
+    this.metrics.forEach(metric => lines.push(...metric.render()));
+    return `${lines.join('\n')}\n`;
+  }
+}
+
+module.exports = {
+  Counter,
+  Histogram,
+  MetricsRegistry,
+  DEFAULT_BUCKETS,
+};
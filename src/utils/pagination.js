@@ -0,0 +1,123 @@
+/**
+ * @fileoverview Sorting and cursor pagination for in-process result sets
+ * @module utils/pagination
+ */
+
+/**
+ * Encode the position of an item in a sorted list as an opaque cursor.
+ * The sort field is recorded so the cursor cannot be reused with another sort.
+ * @function encodeCursor
+ * @param {string} sortBy - Field the list is sorted by
+ * @param {*} sortValue - Value of the sort field for the item
+ * @param {string} id - Item ID
+ * @returns {string} Cursor
+ */
+const encodeCursor = (sortBy, sortValue, id) => {
+  const value = sortValue instanceof Date ? sortValue.toISOString() : sortValue;
+  return Buffer.from(JSON.stringify([sortBy, value, id])).toString('base64url');
+};
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @function decodeCursor
+ * @param {string} cursor - Cursor
+ * @returns {{sortBy: string, value: *, id: string}|null} Decoded position, or null if the cursor is malformed
+ */
+const decodeCursor = (cursor) => {
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!Array.isArray(decoded) || decoded.length !== 3 || typeof decoded[0] !== 'string' || typeof decoded[2] !== 'string') {
+      return null;
+    }
+    return { sortBy: decoded[0], value: decoded[1], id: decoded[2] };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Normalize a sort value so dates, ISO strings and numbers compare consistently
+ * @function toSortable
+ * @param {*} value - Raw value
+ * @returns {*} Sortable value
+ */
+const toSortable = (value) => {
+  if (value instanceof Date) return value.getTime();
+  if (typeof value === 'string' && !Number.isNaN(Date.parse(value)) && /^\d{4}-\d{2}-\d{2}T/.test(value)) {
+    return Date.parse(value);
+  }
+  return value === undefined ? null : value;
+};
+
+/**
+ * Compare two sort values, nulls first
+ * @function compareValues
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {number} Sort comparison result
+ */
+const compareValues = (a, b) => {
+  const left = toSortable(a);
+  const right = toSortable(b);
+
+  if (left === right) return 0;
+  if (left === null) return -1;
+  if (right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+/**
+ * Sort items and return one page after the given cursor
+ * @function paginate
+ * @param {Object[]} items - Items to page through (each needs an `_id`)
+ * @param {Object} [options={}] - Pagination options
+ * @param {string} [options.sortBy='createdAt'] - Field to sort by
+ * @param {string} [options.sortOrder='desc'] - 'asc' or 'desc'
+ * @param {number} [options.limit=20] - Page size
+ * @param {string} [options.cursor] - Cursor returned with the previous page
+ * @param {function(Object): *} [options.getSortValue] - Custom accessor for the sort value
+ * @returns {{items: Object[], nextCursor: (string|null), hasMore: boolean}} The page
+ * @throws {Error} If the cursor is malformed or was issued for another sort field
+ */
+const paginate = (items, {
+  sortBy = 'createdAt',
+  sortOrder = 'desc',
+  limit = 20,
+  cursor,
+  getSortValue = item => item[sortBy],
+} = {}) => {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const compare = (aValue, aId, bValue, bId) => {
+    const byValue = compareValues(aValue, bValue);
+    return (byValue !== 0 ? byValue : String(aId).localeCompare(String(bId))) * direction;
+  };
+
+  let sorted = [...items].sort((a, b) => compare(getSortValue(a), a._id, getSortValue(b), b._id));
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw new Error('Invalid pagination cursor');
+    }
+    if (position.sortBy !== sortBy) {
+      throw new Error(`Pagination cursor was issued for sortBy=${position.sortBy}, not ${sortBy}`);
+    }
+    sorted = sorted.filter(item => compare(getSortValue(item), item._id, position.value, position.id) > 0);
+  }
+
+  const page = sorted.slice(0, limit);
+  const hasMore = sorted.length > limit;
+  const last = page[page.length - 1];
+
+  return {
+    items: page,
+    nextCursor: hasMore && last ? encodeCursor(sortBy, getSortValue(last), last._id) : null,
+    hasMore,
+  };
+};
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  paginate,
+};
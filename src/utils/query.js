@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Query matching for documents held by storage adapters
+ * @module utils/query
+ */
+
+/**
+ * Normalize a value for comparison (dates compare by timestamp)
+ * @function toComparable
+ * @param {*} value - Value to normalize
+ * @returns {*} Comparable value
+ */
+const toComparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+/**
+ * Comparison operators supported in query objects
+ * @readonly
+ * @type {Object<string, function(*, *): boolean>}
+ */
+const operators = {
+  $eq: (actual, expected) => toComparable(actual) === toComparable(expected),
+  $ne: (actual, expected) => toComparable(actual) !== toComparable(expected),
+  $in: (actual, expected) => expected.some(value => toComparable(actual) === toComparable(value)),
+  $nin: (actual, expected) => !expected.some(value => toComparable(actual) === toComparable(value)),
+  $gt: (actual, expected) => actual !== null && actual !== undefined && toComparable(actual) > toComparable(expected),
+  $gte: (actual, expected) => actual !== null && actual !== undefined && toComparable(actual) >= toComparable(expected),
+  $lt: (actual, expected) => actual !== null && actual !== undefined && toComparable(actual) < toComparable(expected),
+  $lte: (actual, expected) => actual !== null && actual !== undefined && toComparable(actual) <= toComparable(expected),
+};
+
+/**
+ * Check whether a value is an operator object such as `{ $gte: 2 }`
+ * @function isOperatorObject
+ * @param {*} value - Query value
+ * @returns {boolean} Whether every key is an operator
+ */
+const isOperatorObject = (value) => (
+  value !== null &&
+  typeof value === 'object' &&
+  !(value instanceof Date) &&
+  !Array.isArray(value) &&
+  Object.keys(value).length > 0 &&
+  Object.keys(value).every(key => key.startsWith('$'))
+);
+
+/**
+ * Check whether a document matches a query.
+ * Plain values match by equality; operator objects support
+ * `$eq`, `$ne`, `$in`, `$nin`, `$gt`, `$gte`, `$lt` and `$lte`.
+ * @function matchesQuery
+ * @param {Object} document - Document to test
+ * @param {Object} [query={}] - Query object
+ * @returns {boolean} Whether the document matches every criterion
+ * @throws {Error} If the query uses an unsupported operator
+ */
+const matchesQuery = (document, query = {}) => Object.entries(query).every(([key, condition]) => {
+  const actual = document[key];
+
+  if (!isOperatorObject(condition)) {
+    return operators.$eq(actual, condition);
+  }
+
+  return Object.entries(condition).every(([operator, expected]) => {
+    if (!operators[operator]) {
+      throw new Error(`Unsupported query operator: ${operator}`);
+    }
+    return operators[operator](actual, expected);
+  });
+});
+
+module.exports = {
+  matchesQuery,
+};
@@ -0,0 +1,42 @@
+/**
+ * @fileoverview Per-request context propagated through async calls
+ * @module utils/requestContext
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context.
+ * Everything started inside it, including timers, sees the same context.
+ * @function runWithContext
+ * @param {Object} context - Context values
+ * @param {string} context.requestId - ID used to correlate logs for the request
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+const runWithContext = (context, fn) => storage.run(context, fn);
+
+/**
+ * Get the current request context
+ * @function getContext
+ * @returns {Object|undefined} The context, if any
+ */
+const getContext = () => storage.getStore();
+
+/**
+ * Get the ID of the request being handled
+ * @function getRequestId
+ * @returns {string|undefined} The request ID, if running inside a request
+ */
+const getRequestId = () => {
+  const context = storage.getStore();
+  return context ? context.requestId : undefined;
+};
+
+module.exports = {
+  runWithContext,
+  getContext,
+  getRequestId,
+};
@@ -0,0 +1,135 @@
+/**
+ * @fileoverview Sliding-window counter used to rate-limit events per key
+ * @module utils/slidingWindowLimiter
+ */
+
+/**
+ * @class SlidingWindowLimiter
+ * @description Allows at most `limit` events per key within any `windowMs` period.
+ * Keys whose events have all expired are swept lazily, so memory follows active keys only.
+ */
+class SlidingWindowLimiter {
+  /**
+   * Create a limiter
+   * @param {Object} options - Limiter settings
+   * @param {number} options.limit - Events allowed per window
+   * @param {number} options.windowMs - Window length in milliseconds
+   */
+  constructor({ limit, windowMs }) {
+    this.limit = limit;
+    this.windowMs = windowMs;
+    this.events = new Map();
+    this.lastSweepAt = Date.now();
+  }
+
+  /**
+   * Timestamps of the key's events still inside the window
+   * @method getEvents
+   * @param {string} key - Limiter key
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {number[]} Event timestamps, oldest first
+   */
+  getEvents(key, now = Date.now()) {
+    const timestamps = this.events.get(key);
+
+    if (!timestamps) {
+      return [];
+    }
+
+    const windowStart = now - this.windowMs;
+    const recent = timestamps.filter(timestamp => timestamp > windowStart);
+
+    if (recent.length === 0) {
+      this.events.delete(key);
+    } else if (recent.length !== timestamps.length) {
+      this.events.set(key, recent);
+    }
+
+    return recent;
+  }
+
+  /**
+   * Number of events recorded for the key within the window
+   * @method getCount
+   * @param {string} key - Limiter key
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {number} Event count
+   */
+  getCount(key, now = Date.now()) {
+    return this.getEvents(key, now).length;
+  }
+
+  /**
+   * Check whether another event for the key would exceed the limit
+   * @method isLimited
+   * @param {string} key - Limiter key
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {boolean} Whether the key is at its limit
+   */
+  isLimited(key, now = Date.now()) {
+    return this.getCount(key, now) >= this.limit;
+  }
+
+  /**
+   * Milliseconds until the key can accept another event
+   * @method getRetryAfter
+   * @param {string} key - Limiter key
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   * @returns {number} Delay in milliseconds (0 when not limited)
+   */
+  getRetryAfter(key, now = Date.now()) {
+    const recent = this.getEvents(key, now);
+
+    if (recent.length < this.limit) {
+      return 0;
+    }
+
+    return recent[recent.length - this.limit] + this.windowMs - now;
+  }
+
+  /**
+   * Record an event for the key
+   * @method record
+   * @param {string} key - Limiter key
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   */
+  record(key, now = Date.now()) {
+    this.events.set(key, [...this.getEvents(key, now), now]);
+
+    if (now - this.lastSweepAt >= this.windowMs) {
+      this.sweep(now);
+    }
+  }
+
+  /**
+   * Forget every event of a key
+   * @method evict
+   * @param {string} key - Limiter key
+   * @returns {boolean} Whether the key was tracked
+   */
+  evict(key) {
+    return this.events.delete(key);
+  }
+
+  /**
+   * Drop keys whose events have all left the window
+   * @method sweep
+   * @param {number} [now=Date.now()] - Current time in milliseconds
+   */
+  sweep(now = Date.now()) {
+    [...this.events.keys()].forEach(key => this.getEvents(key, now));
+    this.lastSweepAt = now;
+  }
+
+  /**
+   * Number of keys currently tracked
+   * @type {number}
+   */
+  get size() {
+    return this.events.size;
+  }
+}
+
+module.exports = {
+  SlidingWindowLimiter,
+};
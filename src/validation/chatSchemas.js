@@ -0,0 +1,58 @@
+/**
+ * @fileoverview Joi schemas for chat routes
+ * @module validation/chatSchemas
+ * @requires joi
+ * @requires ../models/ChatExchange
+ * @requires ../utils/pagination
+ */
+
+const Joi = require('joi');
+const { CHAT_HISTORY_SORT_FIELD } = require('../models/ChatExchange');
+const { decodeCursor } = require('../utils/pagination');
+
+/**
+ * Body of POST /api/chat
+ * @constant {Joi.ObjectSchema}
+ */
+const chatQuerySchema = Joi.object({
+  orderId: Joi.string().trim().min(1).required(),
+  customerId: Joi.string().trim().min(1).required(),
+  message: Joi.string().trim().min(1).max(1000).required(),
+}).meta({ className: 'ChatQueryRequest' });
+
+/**
+ * Route parameters of GET /api/chat/history/:orderId
+ * @constant {Joi.ObjectSchema}
+ */
+const chatHistoryParamsSchema = Joi.object({
+  orderId: Joi.string().trim().min(1).required(),
+});
+
+/**
+ * Query string of GET /api/chat/history/:orderId
+ * @constant {Joi.ObjectSchema}
+ */
+const chatHistoryQuerySchema = Joi.object({
+  customerId: Joi.string().trim(),
+  sortOrder: Joi.string().valid('asc', 'desc').default('asc'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string()
+    .custom((value, helpers) => {
+      const position = decodeCursor(value);
+      if (!position) {
+        return helpers.error('any.invalid');
+      }
+      // Cursors from other listings (e.g. orders sorted by reassignmentCount) mean nothing here
+      return position.sortBy === CHAT_HISTORY_SORT_FIELD ? value : helpers.error('cursor.sortBy');
+    })
+    .messages({
+      'any.invalid': '"cursor" is not a valid pagination cursor',
+      'cursor.sortBy': `"cursor" was not issued for chat history, which is sorted by ${CHAT_HISTORY_SORT_FIELD}`,
+    }),
+});
+
+module.exports = {
+  chatQuerySchema,
+  chatHistoryParamsSchema,
+  chatHistoryQuerySchema,
+};
@@ -0,0 +1,39 @@
+/**
+ * @fileoverview Joi schemas for customer routes
+ * @module validation/customerSchemas
+ * @requires joi
+ * @requires ../models/Customer
+ */
+
+const Joi = require('joi');
+const { NotificationChannel } = require('../models/Customer');
+
+/**
+ * Route parameters of /api/customers/:customerId routes
+ * @constant {Joi.ObjectSchema}
+ */
+const customerIdParamsSchema = Joi.object({
+  customerId: Joi.string().trim().min(1).required(),
+});
+
+/**
+ * Body of PUT /api/customers/:customerId/notification-preferences.
+ * Contact details travel with the channels so a channel can be enabled together with its address.
+ * @constant {Joi.ObjectSchema}
+ */
+const notificationPreferencesSchema = Joi.object({
+  channels: Joi.array()
+    .items(Joi.string().valid(...Object.values(NotificationChannel)))
+    .min(1)
+    .unique()
+    .description('Channels to notify on, most preferred first; later channels are fallbacks'),
+  phone: Joi.string().trim().pattern(/^\+[1-9]\d{7,14}$/)
+    .messages({ 'string.pattern.base': '"phone" must be in E.164 format (e.g. +5511999999999)' }),
+  email: Joi.string().trim().email(),
+  pushToken: Joi.string().trim().min(1),
+}).min(1).meta({ className: 'NotificationPreferencesRequest' });
+
+module.exports = {
+  customerIdParamsSchema,
+  notificationPreferencesSchema,
+};
@@ -0,0 +1,62 @@
+/**
+ * @fileoverview Joi schemas for driver routes
+ * @module validation/driverSchemas
+ * @requires joi
+ * @requires ../models/Driver
+ * @requires ./orderSchemas
+ */
+
+const Joi = require('joi');
+const { DriverAvailability, VehicleType } = require('../models/Driver');
+const { coordinatesSchema } = require('./orderSchemas');
+
+/**
+ * Driver fields shared by create and update
+ * @constant {Object}
+ */
+const driverFields = {
+  name: Joi.string().trim().min(1),
+  phone: Joi.string().trim(),
+  vehicleType: Joi.string().valid(...Object.values(VehicleType)),
+  availability: Joi.string().valid(...Object.values(DriverAvailability)),
+  lastKnownLocation: coordinatesSchema,
+};
+
+/**
+ * Route parameters of /api/drivers/:driverId routes
+ * @constant {Joi.ObjectSchema}
+ */
+const driverIdParamsSchema = Joi.object({
+  driverId: Joi.string().trim().min(1).required(),
+});
+
+/**
+ * Body of POST /api/drivers
+ * @constant {Joi.ObjectSchema}
+ */
+const createDriverSchema = Joi.object({
+  ...driverFields,
+  name: driverFields.name.required(),
+}).meta({ className: 'CreateDriverRequest' });
+
+/**
+ * Body of PATCH /api/drivers/:driverId
+ * @constant {Joi.ObjectSchema}
+ */
+const updateDriverSchema = Joi.object(driverFields).min(1).meta({ className: 'UpdateDriverRequest' });
+
+/**
+ * Query string of GET /api/drivers
+ * @constant {Joi.ObjectSchema}
+ */
+const listDriversQuerySchema = Joi.object({
+  availability: driverFields.availability,
+  vehicleType: driverFields.vehicleType,
+});
+
+module.exports = {
+  driverIdParamsSchema,
+  createDriverSchema,
+  updateDriverSchema,
+  listDriversQuerySchema,
+};
@@ -0,0 +1,29 @@
+/**
+ * @fileoverview Joi schemas for merchant routes
+ * @module validation/merchantSchemas
+ * @requires joi
+ */
+
+const Joi = require('joi');
+
+/**
+ * Route parameters of /api/merchants/:merchantId routes
+ * @constant {Joi.ObjectSchema}
+ */
+const merchantIdParamsSchema = Joi.object({
+  merchantId: Joi.string().trim().min(1).required(),
+});
+
+/**
+ * Body of PUT /api/merchants/:merchantId/dispatch-settings
+ * @constant {Joi.ObjectSchema}
+ */
+const dispatchSettingsSchema = Joi.object({
+  autoDispatch: Joi.boolean().strict().required()
+    .description('false keeps the merchant\'s new orders waiting for a manual assignment'),
+}).meta({ className: 'DispatchSettingsRequest' });
+
+module.exports = {
+  merchantIdParamsSchema,
+  dispatchSettingsSchema,
+};
@@ -0,0 +1,528 @@
+/**
+ * @fileoverview Joi schemas describing API response models.
+ * Together with the request schemas they are the source of the OpenAPI components.
+ * @module validation/modelSchemas
+ * @requires joi
+ * @requires ../models/Order
+ * @requires ../models/Driver
+ * @requires ../models/WebhookDelivery
+ * @requires ../models/Customer
+ * @requires ../models/Notification
+ * @requires ../models/ChatExchange
+ * @requires ../models/ChatAction
+ * @requires ../events/orderEvents
+ * @requires ./orderSchemas
+ */
+
+const Joi = require('joi');
+const { OrderStatus, AssignmentStatus, TransitionActor } = require('../models/Order');
+const { DriverAvailability, VehicleType } = require('../models/Driver');
+const { DeliveryStatus } = require('../models/WebhookDelivery');
+const { NotificationChannel } = require('../models/Customer');
+const { NotificationStatus, MessageSource } = require('../models/Notification');
+const { ChatIntent } = require('../models/ChatExchange');
+const { ChatActionName, ChatActionStatus } = require('../models/ChatAction');
+const { OrderEvent } = require('../events/orderEvents');
+const { coordinatesSchema, orderDetailsSchema } = require('./orderSchemas');
+
+/**
+ * Offer of an order to a single driver
+ * @constant {Joi.ObjectSchema}
+ */
+const driverAssignmentSchema = Joi.object({
+  _id: Joi.string(),
+  driverId: Joi.string().required(),
+  status: Joi.string().valid(...Object.values(AssignmentStatus)).required(),
+  round: Joi.number().integer().min(1).description('Assignment round the offer belongs to'),
+  assignedAt: Joi.date().required(),
+  respondedAt: Joi.date(),
+  responseTime: Joi.number().description('Milliseconds between assignment and response'),
+}).meta({ className: 'DriverAssignment' });
+
+/**
+ * Record of an order moving from one driver to another
+ * @constant {Joi.ObjectSchema}
+ */
+const reassignmentLogSchema = Joi.object({
+  _id: Joi.string(),
+  previousDriverId: Joi.string().required(),
+  newDriverId: Joi.string().required(),
+  reason: Joi.string().valid('TIMEOUT', 'REJECTION').required(),
+  timestamp: Joi.date().required(),
+}).meta({ className: 'ReassignmentLog' });
+
+/**
+ * Entry of an order's statusHistory
+ * @constant {Joi.ObjectSchema}
+ */
+const statusTransitionSchema = Joi.object({
+  from: Joi.string().valid(...Object.values(OrderStatus)).required(),
+  to: Joi.string().valid(...Object.values(OrderStatus)).required(),
+  actor: Joi.string().valid(...Object.values(TransitionActor)).required(),
+  actorId: Joi.string().allow(null),
+  reason: Joi.string().allow(null),
+  timestamp: Joi.date().required(),
+}).meta({ className: 'StatusTransition' });
+
+/**
+ * Details of a cancelled order
+ * @constant {Joi.ObjectSchema}
+ */
+const cancellationSchema = Joi.object({
+  reason: Joi.string().required(),
+  actor: Joi.string().valid(TransitionActor.CUSTOMER, TransitionActor.OPS, TransitionActor.SYSTEM).required(),
+  actorId: Joi.string().allow(null),
+}).meta({ className: 'Cancellation' });
+
+/**
+ * Request for a human support agent to take over an order's conversation
+ * @constant {Joi.ObjectSchema}
+ */
+const humanAgentRequestSchema = Joi.object({
+  reason: Joi.string().required(),
+  actor: Joi.string().valid(TransitionActor.CUSTOMER, TransitionActor.OPS, TransitionActor.SYSTEM).required(),
+  actorId: Joi.string().allow(null),
+  requestedAt: Joi.date().required(),
+}).meta({ className: 'HumanAgentRequest' });
+
+/**
+ * Order as returned by the API
+ * @constant {Joi.ObjectSchema}
+ */
+const orderSchema = Joi.object({
+  _id: Joi.string().required(),
+  customerId: Joi.string().required(),
+  merchantId: Joi.string().allow(null),
+  orderDetails: orderDetailsSchema.required(),
+  status: Joi.string().valid(...Object.values(OrderStatus)).required(),
+  currentDriverId: Joi.string().allow(null).required(),
+  driverAssignments: Joi.array().items(driverAssignmentSchema).required(),
+  createdAt: Joi.date().required(),
+  updatedAt: Joi.date().required(),
+  pickedUpAt: Joi.date().allow(null),
+  inTransitAt: Joi.date().allow(null),
+  deliveredAt: Joi.date().allow(null),
+  completedAt: Joi.date().allow(null),
+  timeoutAt: Joi.date().allow(null),
+  cancelledAt: Joi.date().allow(null),
+  cancellation: cancellationSchema.allow(null),
+  assignmentTimeout: Joi.number().description('Seconds a driver has to respond'),
+  assignmentRound: Joi.number().integer().min(1).description('Current assignment round; restarts after a timeout open a new one'),
+  reassignmentCount: Joi.number().integer().min(0).required(),
+  reassignmentLogs: Joi.array().items(reassignmentLogSchema).required(),
+  rankingStrategy: Joi.string().allow(null),
+  statusHistory: Joi.array().items(statusTransitionSchema).required(),
+  humanAgentRequest: humanAgentRequestSchema.allow(null),
+}).meta({ className: 'Order' });
+
+/**
+ * Order status summary returned by GET /api/orders/:orderId/status
+ * @constant {Joi.ObjectSchema}
+ */
+const orderStatusSchema = Joi.object({
+  orderId: Joi.string().required(),
+  status: orderSchema.extract('status').required(),
+  currentDriverId: Joi.string().allow(null).required(),
+  reassignmentCount: Joi.number().integer().min(0).required(),
+  reassignmentLogs: Joi.array().items(reassignmentLogSchema).required(),
+  createdAt: Joi.date().required(),
+  pickedUpAt: Joi.date().allow(null),
+  inTransitAt: Joi.date().allow(null),
+  deliveredAt: Joi.date().allow(null),
+  completedAt: Joi.date().allow(null),
+  timeoutAt: Joi.date().allow(null),
+  cancelledAt: Joi.date().allow(null),
+  cancellation: cancellationSchema.allow(null),
+  assignmentTimeout: orderSchema.extract('assignmentTimeout'),
+  assignmentRound: orderSchema.extract('assignmentRound'),
+  orderDetails: orderDetailsSchema.required(),
+  statusHistory: Joi.array().items(statusTransitionSchema).required(),
+}).meta({ className: 'OrderStatusSummary' });
+
+/**
+ * Driver as returned by the API
+ * @constant {Joi.ObjectSchema}
+ */
+const driverSchema = Joi.object({
+  _id: Joi.string().required(),
+  name: Joi.string().required(),
+  phone: Joi.string().allow(null),
+  vehicleType: Joi.string().valid(...Object.values(VehicleType)).required(),
+  availability: Joi.string().valid(...Object.values(DriverAvailability)).required(),
+  lastKnownLocation: coordinatesSchema.keys({ updatedAt: Joi.date() }).allow(null),
+  createdAt: Joi.date().required(),
+  updatedAt: Joi.date().required(),
+}).meta({ className: 'Driver' });
+
+/**
+ * Metadata the API router adds to every /api response
+ * @constant {Joi.ObjectSchema}
+ */
+const responseMetaSchema = Joi.object({
+  apiVersion: Joi.string().required(),
+  timestamp: Joi.date().required(),
+}).meta({ className: 'ResponseMeta' });
+
+/**
+ * Error envelope produced by the errorHandler middleware
+ * @constant {Joi.ObjectSchema}
+ */
+const apiErrorSchema = Joi.object({
+  success: Joi.boolean().valid(false).required(),
+  statusCode: Joi.number().integer().required(),
+  message: Joi.string().required(),
+  data: Joi.object({
+    errors: Joi.array().items(Joi.object({
+      location: Joi.string().valid('params', 'query', 'body'),
+      field: Joi.string(),
+      message: Joi.string(),
+      type: Joi.string(),
+    }).meta({ className: 'ValidationErrorDetail' })).description('Present on request validation failures'),
+  }).unknown(true).required(),
+  requestId: Joi.string(),
+  timestamp: Joi.date().required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'ApiError' });
+
+/**
+ * Response carrying only a confirmation message
+ * @constant {Joi.ObjectSchema}
+ */
+const messageResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  message: Joi.string().required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'MessageResponse' });
+
+/**
+ * Response wrapping a single order
+ * @constant {Joi.ObjectSchema}
+ */
+const orderResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  message: Joi.string(),
+  order: orderSchema.required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'OrderResponse' });
+
+/**
+ * Response wrapping a page of orders
+ * @constant {Joi.ObjectSchema}
+ */
+const orderListResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  count: Joi.number().integer().required(),
+  orders: Joi.array().items(orderSchema).required(),
+  pagination: Joi.object({
+    limit: Joi.number().integer().required(),
+    nextCursor: Joi.string().allow(null).required(),
+    hasMore: Joi.boolean().required(),
+  }).required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'OrderListResponse' });
+
+/**
+ * Response wrapping an order status summary
+ * @constant {Joi.ObjectSchema}
+ */
+const orderStatusResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  orderStatus: orderStatusSchema.required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'OrderStatusResponse' });
+
+/**
+ * Response wrapping a single driver
+ * @constant {Joi.ObjectSchema}
+ */
+const driverResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  driver: driverSchema.required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'DriverResponse' });
+
+/**
+ * Response wrapping a list of drivers
+ * @constant {Joi.ObjectSchema}
+ */
+const driverListResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  count: Joi.number().integer().required(),
+  drivers: Joi.array().items(driverSchema).required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'DriverListResponse' });
+
+/**
+ * Action the chatbot proposed, or the customer confirmed or declined, in a chat exchange
+ * @constant {Joi.ObjectSchema}
+ */
+const chatExchangeActionSchema = Joi.object({
+  actionId: Joi.string().required(),
+  name: Joi.string().valid(...Object.values(ChatActionName)).required(),
+  status: Joi.string().valid(...Object.values(ChatActionStatus)).required()
+    .description('awaiting_confirmation when proposed; the outcome once the customer answered'),
+}).meta({ className: 'ChatExchangeAction' });
+
+/**
+ * Chatbot answer returned by POST /api/chat
+ * @constant {Joi.ObjectSchema}
+ */
+const chatResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  orderId: Joi.string().required(),
+  customerId: Joi.string().required(),
+  exchangeId: Joi.string().description('ID of the stored chat exchange'),
+  intent: Joi.string().valid(...Object.values(ChatIntent)).allow(null)
+    .description('Intent detected in the message; null for answers to a confirmation question'),
+  intentConfidence: Joi.number().min(0).max(1).allow(null)
+    .description('Classifier confidence; null when the keyword fallback was used'),
+  intentScores: Joi.object().pattern(Joi.string().valid(...Object.values(ChatIntent)), Joi.number().min(0).max(1))
+    .allow(null)
+    .description('Classifier score per intent label; null when the keyword fallback was used'),
+  queryType: Joi.string(),
+  response: Joi.string().description('Chatbot answer'),
+  action: chatExchangeActionSchema.allow(null),
+  error: Joi.string(),
+  timestamp: Joi.date(),
+  responseTime: Joi.number().description('OpenAI latency in milliseconds'),
+  processingTime: Joi.number().description('Total handling time in milliseconds'),
+  meta: responseMetaSchema,
+}).meta({ className: 'ChatResponse' });
+
+/**
+ * Stored chat exchange: a customer message and the chatbot answer
+ * @constant {Joi.ObjectSchema}
+ */
+const chatExchangeSchema = Joi.object({
+  _id: Joi.string().required(),
+  orderId: Joi.string().required(),
+  customerId: Joi.string().required(),
+  message: Joi.string().required().description('Customer message'),
+  intent: Joi.string().valid(...Object.values(ChatIntent)).allow(null)
+    .description('Intent detected in the message; null for answers to a confirmation question'),
+  intentConfidence: Joi.number().min(0).max(1).allow(null)
+    .description('Classifier confidence; null when the keyword fallback was used'),
+  intentScores: Joi.object().pattern(Joi.string().valid(...Object.values(ChatIntent)), Joi.number().min(0).max(1))
+    .allow(null)
+    .description('Classifier score per intent label; null when the keyword fallback was used'),
+  queryType: Joi.string().required().description('Query type detected from the message'),
+  response: Joi.string().required().description('Chatbot answer'),
+  responseTime: Joi.number().required().description('OpenAI latency in milliseconds'),
+  action: chatExchangeActionSchema.allow(null),
+  createdAt: Joi.date().required().description('When the customer message was received'),
+  respondedAt: Joi.date().required(),
+}).meta({ className: 'ChatExchange' });
+
+/**
+ * Chat history returned by GET /api/chat/history/:orderId
+ * @constant {Joi.ObjectSchema}
+ */
+const chatHistoryResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  orderId: Joi.string().required(),
+  customerId: Joi.string().required(),
+  count: Joi.number().integer().required(),
+  history: Joi.array().items(chatExchangeSchema).required(),
+  pagination: Joi.object({
+    limit: Joi.number().integer().required(),
+    nextCursor: Joi.string().allow(null).required(),
+    hasMore: Joi.boolean().required(),
+  }).required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'ChatHistoryResponse' });
+
+/**
+ * Webhook subscription as returned by the API (secret only on creation)
+ * @constant {Joi.ObjectSchema}
+ */
+const webhookSubscriptionSchema = Joi.object({
+  _id: Joi.string().required(),
+  merchantId: Joi.string().required(),
+  url: Joi.string().uri().required(),
+  events: Joi.array().items(Joi.string().valid(...Object.values(OrderEvent))).required(),
+  secret: Joi.string().description('Only returned when the subscription is created'),
+  description: Joi.string().allow(null),
+  active: Joi.boolean().required(),
+  createdAt: Joi.date().required(),
+  updatedAt: Joi.date().required(),
+}).meta({ className: 'WebhookSubscription' });
+
+/**
+ * Delivery of one order event to one subscription, with every attempt
+ * @constant {Joi.ObjectSchema}
+ */
+const webhookDeliverySchema = Joi.object({
+  _id: Joi.string().required(),
+  subscriptionId: Joi.string().required(),
+  event: Joi.string().valid(...Object.values(OrderEvent)).required(),
+  orderId: Joi.string().required(),
+  payload: Joi.object().unknown(true).required(),
+  status: Joi.string().valid(...Object.values(DeliveryStatus)).required(),
+  attempts: Joi.array().items(Joi.object({
+    attempt: Joi.number().integer().min(1).required(),
+    attemptedAt: Joi.date().required(),
+    statusCode: Joi.number().integer().allow(null).required(),
+    error: Joi.string().allow(null).required(),
+    durationMs: Joi.number().required(),
+  }).meta({ className: 'WebhookDeliveryAttempt' })).required(),
+  nextAttemptAt: Joi.date().allow(null),
+  createdAt: Joi.date().required(),
+  completedAt: Joi.date().allow(null),
+}).meta({ className: 'WebhookDelivery' });
+
+/**
+ * Response wrapping a single webhook subscription
+ * @constant {Joi.ObjectSchema}
+ */
+const webhookResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  webhook: webhookSubscriptionSchema.required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'WebhookResponse' });
+
+/**
+ * Response wrapping a list of webhook subscriptions
+ * @constant {Joi.ObjectSchema}
+ */
+const webhookListResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  count: Joi.number().integer().required(),
+  webhooks: Joi.array().items(webhookSubscriptionSchema).required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'WebhookListResponse' });
+
+/**
+ * Response wrapping a webhook delivery log
+ * @constant {Joi.ObjectSchema}
+ */
+const webhookDeliveryListResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  count: Joi.number().integer().required(),
+  deliveries: Joi.array().items(webhookDeliverySchema).required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'WebhookDeliveryListResponse' });
+
+/**
+ * Customer contact details and notification preferences
+ * @constant {Joi.ObjectSchema}
+ */
+const customerSchema = Joi.object({
+  _id: Joi.string().required(),
+  name: Joi.string().allow(null),
+  phone: Joi.string().allow(null),
+  email: Joi.string().allow(null),
+  pushToken: Joi.string().allow(null),
+  notificationPreferences: Joi.object({
+    channels: Joi.array().items(Joi.string().valid(...Object.values(NotificationChannel))).required()
+      .description('Most preferred first; empty means the default channels'),
+  }).required(),
+  createdAt: Joi.date().required(),
+  updatedAt: Joi.date().required(),
+}).meta({ className: 'Customer' });
+
+/**
+ * Response wrapping a single customer
+ * @constant {Joi.ObjectSchema}
+ */
+const customerResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  customer: customerSchema.required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'CustomerResponse' });
+
+/**
+ * Dispatch settings of a merchant
+ * @constant {Joi.ObjectSchema}
+ */
+const merchantSchema = Joi.object({
+  _id: Joi.string().required(),
+  autoDispatch: Joi.boolean().required()
+    .description('Whether new orders are offered automatically when AUTO_DISPATCH_ENABLED is on'),
+  createdAt: Joi.date().required(),
+  updatedAt: Joi.date().required(),
+}).meta({ className: 'Merchant' });
+
+/**
+ * Response wrapping a single merchant
+ * @constant {Joi.ObjectSchema}
+ */
+const merchantResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  merchant: merchantSchema.required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'MerchantResponse' });
+
+/**
+ * Notification generated for a customer and its delivery result
+ * @constant {Joi.ObjectSchema}
+ */
+const notificationSchema = Joi.object({
+  _id: Joi.string().required(),
+  orderId: Joi.string().required(),
+  customerId: Joi.string().required(),
+  queryType: Joi.string().required(),
+  message: Joi.string().required(),
+  source: Joi.string().valid(...Object.values(MessageSource)).required()
+    .description('openai, or fallback when the OpenAI call failed'),
+  model: Joi.string().allow(null).required(),
+  tokenUsage: Joi.object({
+    promptTokens: Joi.number().integer(),
+    completionTokens: Joi.number().integer(),
+    totalTokens: Joi.number().integer(),
+  }).allow(null).required(),
+  channel: Joi.string().valid(...Object.values(NotificationChannel)).allow(null).required()
+    .description('Channel that delivered the message'),
+  status: Joi.string().valid(...Object.values(NotificationStatus)).required(),
+  deliveryAttempts: Joi.array().items(Joi.object({
+    channel: Joi.string().required(),
+    status: Joi.string().valid(...Object.values(NotificationStatus)).required(),
+    providerMessageId: Joi.string().allow(null).required(),
+    error: Joi.string().allow(null).required(),
+    attemptedAt: Joi.date().required(),
+  }).meta({ className: 'NotificationDeliveryAttempt' })).required(),
+  createdAt: Joi.date().required(),
+}).meta({ className: 'Notification' });
+
+/**
+ * Response wrapping the notification history of an order
+ * @constant {Joi.ObjectSchema}
+ */
+const notificationListResponseSchema = Joi.object({
+  success: Joi.boolean().required(),
+  orderId: Joi.string().required(),
+  count: Joi.number().integer().required(),
+  notifications: Joi.array().items(notificationSchema).required(),
+  meta: responseMetaSchema,
+}).meta({ className: 'NotificationListResponse' });
+
+module.exports = {
+  driverAssignmentSchema,
+  reassignmentLogSchema,
+  statusTransitionSchema,
+  cancellationSchema,
+  orderSchema,
+  orderStatusSchema,
+  driverSchema,
+  responseMetaSchema,
+  apiErrorSchema,
+  messageResponseSchema,
+  orderResponseSchema,
+  orderListResponseSchema,
+  orderStatusResponseSchema,
+  driverResponseSchema,
+  driverListResponseSchema,
+  chatResponseSchema,
+  chatExchangeSchema,
+  chatHistoryResponseSchema,
+  webhookSubscriptionSchema,
+  webhookDeliverySchema,
+  webhookResponseSchema,
+  webhookListResponseSchema,
+  webhookDeliveryListResponseSchema,
+  customerSchema,
+  customerResponseSchema,
+  merchantSchema,
+  merchantResponseSchema,
+  notificationSchema,
+  notificationListResponseSchema,
+};
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Joi schemas for order routes
+ * @module validation/orderSchemas
+ * @requires joi
+ * @requires ../models/Order
+ * @requires ../services/driverRankingStrategies
+ * @requires ../utils/pagination
+ */
+
+const Joi = require('joi');
+const { OrderStatus, ORDER_SORT_FIELDS } = require('../models/Order');
+const { hasStrategy, listStrategies } = require('../services/driverRankingStrategies');
+const { decodeCursor } = require('../utils/pagination');
+
+/**
+ * Geographic point
+ * @constant {Joi.ObjectSchema}
+ */
+const coordinatesSchema = Joi.object({
+  latitude: Joi.number().min(-90).max(90).required(),
+  longitude: Joi.number().min(-180).max(180).required(),
+}).meta({ className: 'Coordinates' });
+
+/**
+ * Line item of an order
+ * @constant {Joi.ObjectSchema}
+ */
+const orderItemSchema = Joi.object({
+  name: Joi.string().trim().min(1).required(),
+  quantity: Joi.number().integer().min(1).required(),
+  price: Joi.number().min(0).required(),
+}).meta({ className: 'OrderItem' });
+
+/**
+ * Order contents and delivery information
+ * @constant {Joi.ObjectSchema}
+ */
+const orderDetailsSchema = Joi.object({
+  items: Joi.array().items(orderItemSchema).min(1).required(),
+  totalAmount: Joi.number().min(0).required(),
+  deliveryAddress: Joi.string().trim().min(1).required(),
+  deliveryCoordinates: coordinatesSchema,
+  pickupCoordinates: coordinatesSchema,
+}).meta({ className: 'OrderDetails' });
+
+/**
+ * Route parameters of /api/orders/:orderId routes
+ * @constant {Joi.ObjectSchema}
+ */
+const orderIdParamsSchema = Joi.object({
+  orderId: Joi.string().trim().min(1).required(),
+});
+
+/**
+ * Body of POST /api/orders
+ * @constant {Joi.ObjectSchema}
+ */
+const createOrderSchema = Joi.object({
+  customerId: Joi.string().trim().min(1).required(),
+  merchantId: Joi.string().trim().min(1)
+    .description('Merchant the order comes from; merchants can turn auto-dispatch off for their orders'),
+  orderDetails: orderDetailsSchema.required(),
+  // Checked against the registry at request time so strategies registered after startup are accepted
+  rankingStrategy: Joi.string()
+    .custom((value, helpers) => (
+      hasStrategy(value) ? value : helpers.error('any.only', { strategies: listStrategies().join(', ') })
+    ))
+    .messages({ 'any.only': '"rankingStrategy" must be one of: {#strategies}' })
+    .description('Overrides the deployment\'s driver ranking strategy for this order; '
+      + `any registered strategy (built in: ${listStrategies().join(', ')})`),
+}).meta({ className: 'CreateOrderRequest' });
+
+/**
+ * Query string of GET /api/orders
+ * @constant {Joi.ObjectSchema}
+ */
+const listOrdersQuerySchema = Joi.object({
+  status: Joi.string()
+    .custom((value, helpers) => {
+      const statuses = value.split(',').map(s => s.trim()).filter(Boolean);
+      const invalid = statuses.filter(s => !Object.values(OrderStatus).includes(s));
+      return invalid.length > 0 ? helpers.error('any.invalid') : statuses;
+    })
+    .messages({ 'any.invalid': `"status" must be a comma-separated list of: ${Object.values(OrderStatus).join(', ')}` }),
+  customerId: Joi.string().trim(),
+  currentDriverId: Joi.string().trim(),
+  createdFrom: Joi.date().iso(),
+  createdTo: Joi.date().iso(),
+  minReassignmentCount: Joi.number().integer().min(0),
+  sortBy: Joi.string().valid(...Object.keys(ORDER_SORT_FIELDS)).default('createdAt'),
+  sortOrder: Joi.string().valid('asc', 'desc').default('desc'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  cursor: Joi.string()
+    .custom((value, helpers) => {
+      const position = decodeCursor(value);
+      if (!position) {
+        return helpers.error('any.invalid');
+      }
+      // A cursor marks a position in one sort order; it means nothing in another
+      return position.sortBy === helpers.state.ancestors[0].sortBy ? value : helpers.error('cursor.sortBy');
+    })
+    .messages({
+      'any.invalid': '"cursor" is not a valid pagination cursor',
+      'cursor.sortBy': '"cursor" was issued for a different sortBy',
+    }),
+});
+
+/**
+ * Body of POST /api/orders/:orderId/assign
+ * @constant {Joi.ObjectSchema}
+ */
+const assignOrderSchema = Joi.object({
+  driverId: Joi.string().trim().min(1).required(),
+}).meta({ className: 'AssignOrderRequest' });
+
+/**
+ * Body of POST /api/orders/:orderId/driver-response
+ * @constant {Joi.ObjectSchema}
+ */
+const driverResponseSchema = Joi.object({
+  driverId: Joi.string().trim().min(1).required(),
+  accepted: Joi.boolean().strict().required(),
+}).meta({ className: 'DriverResponseRequest' });
+
+/**
+ * Body of the delivery progress routes (picked-up, in-transit, delivered)
+ * @constant {Joi.ObjectSchema}
+ */
+const deliveryProgressSchema = Joi.object({
+  driverId: Joi.string().trim().min(1).required()
+    .description('ID of the driver currently assigned to the order'),
+}).meta({ className: 'DeliveryProgressRequest' });
+
+/**
+ * Body of POST /api/orders/:orderId/cancel
+ * @constant {Joi.ObjectSchema}
+ */
+const cancelOrderSchema = Joi.object({
+  reason: Joi.string().trim().min(1).max(500).required(),
+}).meta({ className: 'CancelOrderRequest' });
+
+/**
+ * Body of POST /api/orders/:orderId/retry-assignment
+ * @constant {Joi.ObjectSchema}
+ */
+const retryAssignmentSchema = Joi.object({
+  reason: Joi.string().trim().min(1).max(500),
+}).meta({ className: 'RetryAssignmentRequest' });
+
+module.exports = {
+  coordinatesSchema,
+  orderItemSchema,
+  orderDetailsSchema,
+  orderIdParamsSchema,
+  createOrderSchema,
+  listOrdersQuerySchema,
+  assignOrderSchema,
+  driverResponseSchema,
+  deliveryProgressSchema,
+  cancelOrderSchema,
+  retryAssignmentSchema,
+};
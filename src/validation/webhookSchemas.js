@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Joi schemas for webhook routes
+ * @module validation/webhookSchemas
+ * @requires joi
+ * @requires ../events/orderEvents
+ * @requires ../models/WebhookDelivery
+ */
+
+const Joi = require('joi');
+const { OrderEvent } = require('../events/orderEvents');
+const { DeliveryStatus } = require('../models/WebhookDelivery');
+
+/**
+ * Webhook fields shared by create and update
+ * @constant {Object}
+ */
+const webhookFields = {
+  url: Joi.string().trim().uri({ scheme: ['http', 'https'] }),
+  events: Joi.array().items(Joi.string().valid(...Object.values(OrderEvent))).min(1).unique(),
+  secret: Joi.string().min(16).max(256)
+    .description('HMAC signing secret; generated when omitted'),
+  description: Joi.string().trim().max(500),
+  active: Joi.boolean(),
+};
+
+/**
+ * Route parameters of /api/webhooks/:webhookId routes
+ * @constant {Joi.ObjectSchema}
+ */
+const webhookIdParamsSchema = Joi.object({
+  webhookId: Joi.string().trim().min(1).required(),
+});
+
+/**
+ * Body of POST /api/webhooks
+ * @constant {Joi.ObjectSchema}
+ */
+const createWebhookSchema = Joi.object({
+  merchantId: Joi.string().trim().min(1).required()
+    .description('Merchant whose order events are delivered; fixed once the subscription is created'),
+  ...webhookFields,
+  url: webhookFields.url.required(),
+  events: webhookFields.events.required(),
+}).meta({ className: 'CreateWebhookRequest' });
+
+/**
+ * Body of PATCH /api/webhooks/:webhookId
+ * @constant {Joi.ObjectSchema}
+ */
+const updateWebhookSchema = Joi.object(webhookFields).min(1).meta({ className: 'UpdateWebhookRequest' });
+
+/**
+ * Query string of GET /api/webhooks/:webhookId/deliveries
+ * @constant {Joi.ObjectSchema}
+ */
+const listDeliveriesQuerySchema = Joi.object({
+  status: Joi.string().valid(...Object.values(DeliveryStatus)),
+  event: Joi.string().valid(...Object.values(OrderEvent)),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+});
+
+module.exports = {
+  webhookIdParamsSchema,
+  createWebhookSchema,
+  updateWebhookSchema,
+  listDeliveriesQuerySchema,
+};